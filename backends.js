@@ -0,0 +1,316 @@
+/**
+ * Speed Test Backends
+ *
+ * Provider interface for the servers a speed test talks to. A backend only
+ * describes the requests used for download, upload and latency measurements;
+ * the measurement engine performs the transfers and all timing, so pointing it
+ * at different infrastructure means supplying a different backend rather than
+ * changing the measurement methods.
+ *
+ * Included providers:
+ * - CloudflareBackend: speed.cloudflare.com `__down` / `__up` endpoints
+ * - HttpbinBackend: httpbin.org `/bytes`, `/post` and `/get`
+ * - EchoServerBackend: any server exposing a byte generator, an upload sink
+ *   and a small latency target (for example the bundled `server.js`)
+ */
+
+class SpeedTestBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.id - Short identifier used in configuration
+   * @param {string} options.name - Human-readable provider name
+   * @param {string} options.baseUrl - Origin the endpoint paths are joined to
+   */
+  constructor({ id, name, baseUrl = "" } = {}) {
+    this.id = id;
+    this.name = name;
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+  }
+
+  /**
+   * Describe the backend for status displays and exports
+   * @returns {Object} Metadata with id, name, base URL and capabilities
+   */
+  getMetadata() {
+    return {
+      id: this.id,
+      name: this.name,
+      baseUrl: this.baseUrl,
+      capabilities: {
+        download: this.supports("download"),
+        upload: this.supports("upload"),
+        latency: this.supports("latency"),
+      },
+    };
+  }
+
+  /**
+   * Describe the backend as a configuration createBackend() can rebuild it
+   * from, so it can be handed to the measurement worker
+   * @returns {Object|null} Backend options with a `type` field, or null for
+   *   providers that only exist as a class in the page
+   */
+  toConfig() {
+    return null;
+  }
+
+  /**
+   * Check whether the backend provides an endpoint for a measurement type
+   * @param {string} type - 'download', 'upload' or 'latency'
+   * @returns {boolean} True when the backend can serve that measurement
+   */
+  supports(type) {
+    switch (type) {
+      case "download":
+        return this.getDownloadRequest(1) !== null;
+      case "upload":
+        return this.getUploadRequest(1, new Uint8Array(1)) !== null;
+      case "latency":
+        return this.getLatencyRequests().length > 0;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Build the request that downloads a payload of the given size
+   * @param {number} bytes - Number of bytes the server should send
+   * @returns {{url: string, init: Object}|null} Fetch arguments, or null if unsupported
+   */
+  getDownloadRequest(bytes) {
+    return null;
+  }
+
+  /**
+   * Build the request that uploads the given payload
+   * @param {number} bytes - Payload size in bytes
+   * @param {Uint8Array} data - Payload to send
+   * @returns {{url: string, init: Object}|null} Fetch arguments, or null if unsupported
+   */
+  getUploadRequest(bytes, data) {
+    return null;
+  }
+
+  /**
+   * Build the small requests used to measure round-trip latency
+   * @returns {Array<{url: string, init: Object}>} Fetch arguments for each target
+   */
+  getLatencyRequests() {
+    return [];
+  }
+}
+
+/**
+ * Cloudflare Speed Test endpoints (speed.cloudflare.com)
+ */
+class CloudflareBackend extends SpeedTestBackend {
+  constructor({ baseUrl = "https://speed.cloudflare.com" } = {}) {
+    super({ id: "cloudflare", name: "Cloudflare", baseUrl });
+  }
+
+  toConfig() {
+    return { type: "cloudflare", baseUrl: this.baseUrl };
+  }
+
+  getDownloadRequest(bytes) {
+    return {
+      url: `${this.baseUrl}/__down?bytes=${bytes}`,
+      init: { method: "GET", cache: "no-cache" },
+    };
+  }
+
+  getUploadRequest(bytes, data) {
+    return {
+      url: `${this.baseUrl}/__up`,
+      init: {
+        method: "POST",
+        headers: { "Content-Type": "application/octet-stream" },
+        body: data,
+      },
+    };
+  }
+
+  getLatencyRequests() {
+    // A zero-byte download is the smallest request the service answers
+    return [
+      {
+        url: `${this.baseUrl}/__down?bytes=0`,
+        init: { method: "GET", cache: "no-cache", mode: "no-cors" },
+      },
+    ];
+  }
+}
+
+/**
+ * HTTPBin request inspection service (httpbin.org)
+ */
+class HttpbinBackend extends SpeedTestBackend {
+  constructor({ baseUrl = "https://httpbin.org" } = {}) {
+    super({ id: "httpbin", name: "HTTPBin", baseUrl });
+  }
+
+  toConfig() {
+    return { type: "httpbin", baseUrl: this.baseUrl };
+  }
+
+  getDownloadRequest(bytes) {
+    return {
+      url: `${this.baseUrl}/bytes/${bytes}`,
+      init: { method: "GET", cache: "no-cache" },
+    };
+  }
+
+  getUploadRequest(bytes, data) {
+    return {
+      url: `${this.baseUrl}/post`,
+      init: {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/octet-stream",
+          "Content-Length": bytes.toString(),
+        },
+        body: data,
+      },
+    };
+  }
+
+  getLatencyRequests() {
+    return [
+      {
+        url: `${this.baseUrl}/get`,
+        init: { method: "GET", cache: "no-cache", mode: "no-cors" },
+      },
+    ];
+  }
+}
+
+/**
+ * Generic echo server with configurable endpoint paths
+ *
+ * Paths may contain a `{bytes}` placeholder which is replaced with the
+ * requested payload size. Set a path to null when the server does not
+ * provide that endpoint.
+ */
+class EchoServerBackend extends SpeedTestBackend {
+  /**
+   * @param {Object} options - Echo server options
+   * @param {string} options.baseUrl - Server origin, e.g. "http://192.168.1.10:8080"
+   * @param {string} [options.id] - Identifier, defaults to "echo"
+   * @param {string} [options.name] - Display name, defaults to "Echo Server"
+   * @param {string|null} [options.downloadPath] - Byte generator path
+   * @param {string|null} [options.uploadPath] - Upload sink path
+   * @param {string|null} [options.latencyPath] - Latency target path
+   * @param {Object} [options.headers] - Extra headers sent with every request
+   */
+  constructor({
+    baseUrl = "",
+    id = "echo",
+    name = "Echo Server",
+    downloadPath = "/__down?bytes={bytes}",
+    uploadPath = "/__up",
+    latencyPath = "/__ping",
+    headers = {},
+  } = {}) {
+    super({ id, name, baseUrl });
+    this.paths = {
+      download: downloadPath,
+      upload: uploadPath,
+      latency: latencyPath,
+    };
+    this.headers = headers;
+  }
+
+  /**
+   * Resolve an endpoint path against the base URL
+   * @param {string} path - Path template
+   * @param {number} bytes - Value for the {bytes} placeholder
+   * @returns {string} Absolute or origin-relative URL
+   */
+  resolve(path, bytes = 0) {
+    return `${this.baseUrl}${path.replace("{bytes}", bytes)}`;
+  }
+
+  toConfig() {
+    return {
+      type: "echo",
+      id: this.id,
+      name: this.name,
+      baseUrl: this.baseUrl,
+      downloadPath: this.paths.download,
+      uploadPath: this.paths.upload,
+      latencyPath: this.paths.latency,
+      headers: this.headers,
+    };
+  }
+
+  getDownloadRequest(bytes) {
+    if (!this.paths.download) return null;
+
+    return {
+      url: this.resolve(this.paths.download, bytes),
+      init: { method: "GET", cache: "no-cache", headers: { ...this.headers } },
+    };
+  }
+
+  getUploadRequest(bytes, data) {
+    if (!this.paths.upload) return null;
+
+    return {
+      url: this.resolve(this.paths.upload, bytes),
+      init: {
+        method: "POST",
+        headers: {
+          ...this.headers,
+          "Content-Type": "application/octet-stream",
+        },
+        body: data,
+      },
+    };
+  }
+
+  getLatencyRequests() {
+    if (!this.paths.latency) return [];
+
+    return [
+      {
+        url: this.resolve(this.paths.latency),
+        init: { method: "GET", cache: "no-cache", headers: { ...this.headers } },
+      },
+    ];
+  }
+}
+
+/**
+ * Create a backend from a plain configuration value
+ * @param {string|Object|SpeedTestBackend} config - Backend id ('cloudflare',
+ *   'httpbin', 'echo'), an options object with a `type` field, or an existing backend
+ * @returns {SpeedTestBackend} Backend instance
+ */
+function createBackend(config) {
+  if (config instanceof SpeedTestBackend) {
+    return config;
+  }
+
+  const options = typeof config === "string" ? { type: config } : config || {};
+
+  switch (options.type) {
+    case "cloudflare":
+      return new CloudflareBackend(options);
+    case "httpbin":
+      return new HttpbinBackend(options);
+    case "echo":
+      return new EchoServerBackend(options);
+    default:
+      throw new Error(`Unknown speed test backend: ${options.type}`);
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SpeedTestBackend,
+    CloudflareBackend,
+    HttpbinBackend,
+    EchoServerBackend,
+    createBackend,
+  };
+}
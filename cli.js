@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+/**
+ * Command Line Speed Test
+ *
+ * Runs the same measurement engine as the web app from Node.js (18+, for the
+ * built-in fetch) and writes the results as CSV, JSON, InfluxDB line protocol
+ * or Prometheus metrics, in the same format as the browser export. Live
+ * progress goes to stderr so the results can be piped or redirected from
+ * stdout.
+ *
+ * Usage: node cli.js run [--type both] [--duration 60] [--interval 3]
+ *                        [--format csv|json|influx|prometheus] [--output FILE]
+ *                        [--label LABEL] [--push URL] [--authorization VALUE]
+ *                        [--connections 2] [--server auto]
+ *                        [--backend cloudflare|httpbin|URL]
+ *                        [--quiet] [--verbose]
+ *
+ * A duration of 0 runs until interrupted with Ctrl+C; the results collected
+ * so far are still written.
+ */
+
+const fs = require("fs");
+const { SpeedTestEngine } = require("./engine.js");
+const { SpeedTestResults } = require("./results.js");
+
+const USAGE = `Usage: node cli.js run [options]
+
+Options:
+  --type <type>          download, upload or both (default: both)
+  --duration <seconds>   Test duration, 0 runs until Ctrl+C (default: 60)
+  --interval <seconds>   Time between samples (default: 3)
+  --format <format>      csv, json, influx or prometheus (default: csv)
+  --output <file>        Write results to a file instead of stdout
+  --label <label>        Run label for influx and prometheus metrics
+  --push <url>           Also POST the influx or prometheus metrics to a URL,
+                         such as an InfluxDB write API or a Pushgateway job
+  --authorization <value>
+                         Authorization header sent with --push
+  --connections <n>      Parallel connections per direction, or auto (default: 2)
+  --server <mode>        auto, single, sequential or interleaved (default: auto)
+  --backend <backend>    cloudflare, httpbin or the URL of a speed test server
+                         such as server.js (default: Cloudflare and HTTPBin)
+  --quiet                Don't show live progress
+  --verbose              Log individual request failures to stderr
+  --help                 Show this help`;
+
+const CHOICES = {
+  type: ["download", "upload", "both"],
+  format: ["csv", "json", "influx", "prometheus"],
+  server: ["auto", "single", "sequential", "interleaved"],
+};
+
+/**
+ * Parse the command and its flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ * @throws {Error} When a flag is unknown or has an invalid value
+ */
+function parseArgs(argv) {
+  const options = {
+    command: null,
+    type: "both",
+    duration: 60,
+    interval: 3,
+    format: "csv",
+    output: null,
+    label: "",
+    push: null,
+    authorization: null,
+    connections: "2",
+    server: "auto",
+    backend: null,
+    quiet: false,
+    verbose: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "--type":
+      case "--format":
+      case "--server":
+      case "--output":
+      case "--label":
+      case "--push":
+      case "--authorization":
+      case "--backend":
+      case "--connections":
+        options[arg.slice(2)] = value();
+        break;
+      case "--duration":
+      case "--interval":
+        options[arg.slice(2)] = Number(value());
+        break;
+      case "--quiet":
+      case "--verbose":
+      case "--help":
+        options[arg.slice(2)] = true;
+        break;
+      default:
+        if (arg.startsWith("-") || options.command) {
+          throw new Error(`Unexpected argument: ${arg}`);
+        }
+        options.command = arg;
+    }
+  }
+
+  for (const [name, choices] of Object.entries(CHOICES)) {
+    if (!choices.includes(options[name])) {
+      throw new Error(`--${name} must be one of ${choices.join(", ")}`);
+    }
+  }
+  if (!Number.isFinite(options.duration) || options.duration < 0) {
+    throw new Error("--duration must be 0 or a number of seconds");
+  }
+  if (!Number.isFinite(options.interval) || options.interval <= 0) {
+    throw new Error("--interval must be a positive number of seconds");
+  }
+  if (options.connections !== "auto" && !(parseInt(options.connections) > 0)) {
+    throw new Error("--connections must be auto or a positive number");
+  }
+  if (options.push && !["influx", "prometheus"].includes(options.format)) {
+    throw new Error("--push needs --format influx or prometheus");
+  }
+  // A bare "echo" backend has only relative URLs, which Node can't fetch
+  if (
+    options.backend !== null &&
+    !["cloudflare", "httpbin"].includes(options.backend) &&
+    !isHttpURL(options.backend)
+  ) {
+    throw new Error("--backend must be cloudflare, httpbin or an http(s) URL");
+  }
+
+  return options;
+}
+
+/**
+ * Check that a value is an absolute http or https URL
+ * @param {string} value - Flag value
+ * @returns {boolean} True when Node can fetch from it
+ */
+function isHttpURL(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Turn the --backend value into a backend configuration
+ * @param {string|null} backend - Provider id or server URL
+ * @returns {string|Object|undefined} Configuration for createBackend, or
+ *   undefined for the default providers
+ */
+function resolveBackend(backend) {
+  if (!backend) return undefined;
+  if (/^https?:\/\//.test(backend)) {
+    return { type: "echo", name: new URL(backend).host, baseUrl: backend };
+  }
+  return backend;
+}
+
+/**
+ * Format a throughput reading for the progress line
+ * @param {number|null} value - Mbps
+ * @returns {string} e.g. "245.3 Mbps" or "--"
+ */
+function formatSpeed(value) {
+  return value !== null && value !== undefined
+    ? `${value.toFixed(1)} Mbps`
+    : "--";
+}
+
+/**
+ * Show live progress on stderr
+ * Terminals get a single line that is redrawn in place; otherwise one line is
+ * written per sample so logs stay readable.
+ * @param {SpeedTestEngine} engine - Engine to follow
+ * @param {NodeJS.WriteStream} stream - Output stream
+ */
+function reportProgress(engine, stream) {
+  const interactive = Boolean(stream.isTTY);
+  let status = "";
+  let ping = null;
+
+  const describe = ({ elapsed, duration, download, upload }) => {
+    const time =
+      duration > 0
+        ? `${elapsed.toFixed(0)}s / ${duration}s`
+        : `${elapsed.toFixed(0)}s`;
+    const latency = ping !== null ? `${ping.toFixed(0)} ms` : "--";
+    return `[${time}] ${status} ↓ ${formatSpeed(download)} ↑ ${formatSpeed(
+      upload
+    )} ping ${latency}`;
+  };
+
+  engine.on("status", ({ message }) => {
+    if (!interactive && message !== status) stream.write(`${message}\n`);
+    status = message;
+  });
+
+  engine.on("progress", (progress) => {
+    if (interactive) stream.write(`\r\x1b[K${describe(progress)}`);
+  });
+
+  engine.on("sample", (sample) => {
+    ping = sample.ping.status === "ok" ? sample.ping.value : null;
+
+    if (sample.failures.length > 0) {
+      const failures = sample.failures
+        .map((f) => `${f.type} ${f.status}`)
+        .join(", ");
+      stream.write(
+        `${interactive ? "\r\x1b[K" : ""}Measurement failed: ${failures}\n`
+      );
+    }
+
+    if (!interactive) {
+      stream.write(
+        `[${sample.timestamp.toFixed(1)}s] ↓ ${formatSpeed(
+          sample.download && sample.download.value
+        )} ↑ ${formatSpeed(sample.upload && sample.upload.value)} ping ${
+          ping !== null ? `${ping.toFixed(1)} ms` : "--"
+        }\n`
+      );
+    }
+  });
+
+  engine.on("error", ({ message }) => {
+    stream.write(`${interactive ? "\r\x1b[K" : ""}${message}\n`);
+  });
+
+  engine.on("complete", () => {
+    if (interactive) stream.write("\r\x1b[K");
+  });
+}
+
+/**
+ * Run a speed test and write its results
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<SpeedTestResults>} Results once the run has stopped
+ */
+function runSpeedTest(options) {
+  const silent = () => {};
+  const log = options.verbose ? console.error : silent;
+  const engine = new SpeedTestEngine({
+    backend: resolveBackend(options.backend),
+    testType: options.type,
+    testDuration: options.duration,
+    measurementInterval: options.interval * 1000,
+    connectionMode: options.connections,
+    serverMode: options.server,
+    logger: { log, warn: log, error: log },
+  });
+
+  if (!options.quiet) {
+    reportProgress(engine, process.stderr);
+  }
+
+  // Ctrl+C ends the run early but still writes the results
+  const interrupt = () => engine.stop();
+  process.once("SIGINT", interrupt);
+
+  return new Promise((resolve) => {
+    engine.on("complete", (run) => {
+      process.removeListener("SIGINT", interrupt);
+      resolve(SpeedTestResults.fromRun(run));
+    });
+    engine.start();
+  });
+}
+
+/**
+ * Write results to a file or stdout
+ * @param {SpeedTestResults} results - Results of the run
+ * @param {Object} options - Parsed command line options
+ */
+function writeResults(results, options) {
+  let content;
+  if (options.format === "json") {
+    content = results.generateJSON();
+  } else if (options.format === "csv") {
+    content = results.generateCSV();
+  } else {
+    content = results.generateMetrics(options.format, options.label);
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, content + "\n");
+    if (!options.quiet) {
+      console.error(`Results written to ${options.output}`);
+    }
+  } else {
+    process.stdout.write(content + "\n");
+  }
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help || !options.command) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  if (options.command !== "run") {
+    console.error(`Unknown command: ${options.command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const results = await runSpeedTest(options);
+  writeResults(results, options);
+
+  if (options.push) {
+    try {
+      await results.pushMetrics({ ...options, url: options.push });
+      if (!options.quiet) {
+        console.error(`Metrics pushed to ${options.push}`);
+      }
+    } catch (error) {
+      console.error(`Couldn't push metrics: ${error.message}`);
+      return 1;
+    }
+  }
+
+  // A run where every interval failed is reported through the exit code
+  const { download, upload, ping } = results.summarize();
+  return download || upload || ping ? 0 : 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { parseArgs, runSpeedTest };
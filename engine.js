@@ -0,0 +1,2348 @@
+/**
+ * Speed Test Engine
+ *
+ * Headless download, upload and latency measurements. The engine has no DOM
+ * dependencies: it is configured with plain options, owns the transfers, the
+ * timers and the server selection/comparison logic, and reports through events:
+ *
+ * - sample: {timestamp, download, upload, ping, failures, server} - one
+ *   completed measurement interval
+ * - progress: {elapsed, duration, fraction, download, upload} - run progress
+ *   and live throughput in Mbps (null where not measured yet)
+ * - error: {message} - a problem the run continues after
+ * - complete: {startTime, endTime, settings, servers, idleLatency,
+ *   loadedLatency, samples} - the run has stopped
+ * - status: {message} - phase description for a status line
+ * - servers: {download, upload, latency, selection, comparison} - servers
+ *   the run measures against, once selection has finished
+ * - idle-latency: ping sample taken before any transfers start
+ * - loaded-latency: {download, upload} ping samples taken under one
+ *   direction's load before the intervals of a 'both' run
+ *
+ * It runs anywhere fetch is available: the page drives it through
+ * SpeedTestWorkerClient, which hosts it in a dedicated worker (worker.js) so
+ * measurements never compete with rendering, and Node can require it directly:
+ *
+ *   const engine = new SpeedTestEngine({ testType: "download", testDuration: 30 });
+ *   engine.on("sample", (sample) => console.log(sample.download.value));
+ *   engine.start();
+ */
+
+// Backend providers come from backends.js, loaded before this file in pages
+// and workers, or required when the engine is used from Node
+const backendProviders =
+  typeof module !== "undefined" && module.exports
+    ? require("./backends.js")
+    : {
+        SpeedTestBackend,
+        CloudflareBackend,
+        HttpbinBackend,
+        EchoServerBackend,
+        createBackend,
+      };
+
+/**
+ * Error describing why a measurement failed
+ * Every recorded sample carries a status: 'ok' for successful measurements,
+ * otherwise one of 'timeout', 'http-error', 'cors' or 'network-error'.
+ */
+class MeasurementError extends Error {
+  /**
+   * @param {string} status - Failure status
+   * @param {string} message - Human-readable reason
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = "MeasurementError";
+    this.status = status;
+  }
+}
+
+/**
+ * Minimal event emitter shared by the engine and its worker client
+ */
+class SpeedTestEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  /**
+   * Register a listener for an event type
+   * @param {string} type - Event type
+   * @param {Function} listener - Called with the event detail
+   * @returns {Function} Function that removes the listener again
+   */
+  on(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Remove a previously registered listener
+   * @param {string} type - Event type
+   * @param {Function} listener - Listener passed to on()
+   */
+  off(type, listener) {
+    const listeners = this.listeners[type] || [];
+    this.listeners[type] = listeners.filter((l) => l !== listener);
+  }
+
+  /**
+   * Call every listener registered for an event type
+   * @param {string} type - Event type
+   * @param {*} detail - Event payload
+   */
+  emit(type, detail) {
+    for (const listener of this.listeners[type] || []) {
+      try {
+        listener(detail);
+      } catch (error) {
+        console.error(`Speed test ${type} listener failed:`, error);
+      }
+    }
+  }
+}
+
+class SpeedTestEngine extends SpeedTestEmitter {
+  /**
+   * @param {Object} options - Engine options
+   * @param {string|Object|SpeedTestBackend} options.backend - Backend used for
+   *   every measurement instead of the default Cloudflare/HTTPBin pairing
+   * @param {Array<string|Object|SpeedTestBackend>} options.compareBackends -
+   *   Backends measured in turn by the server comparison modes
+   * @param {Object} options.testConfig - Overrides for the measurement configuration
+   * @param {Object} options.logger - Console-like object for diagnostics,
+   *   defaults to console
+   * @param {string} options.testType - Default run setting, see start()
+   * @param {number} options.testDuration - Default run setting, see start()
+   * @param {number} options.measurementInterval - Default run setting, see start()
+   * @param {string} options.connectionMode - Default run setting, see start()
+   * @param {string} options.serverMode - Default run setting, see start()
+   */
+  constructor(options = {}) {
+    super();
+
+    this.logger = options.logger || console;
+
+    // Run settings used when start() doesn't override them
+    this.defaultSettings = {
+      testType: options.testType || "both",
+      testDuration:
+        options.testDuration !== undefined ? options.testDuration : 60,
+      measurementInterval: options.measurementInterval || 3000,
+      connectionMode: String(options.connectionMode || 2),
+      serverMode: options.serverMode || "single",
+    };
+
+    // Run state
+    this.isRunning = false;
+    this.startTime = null;
+    this.endTime = null;
+    this.settings = null; // Settings of the current or last run
+    this.idleLatency = null; // Latency probe taken before transfers start
+    this.loadedLatency = null; // Probes under download-only and upload-only load
+    this.runServers = null; // Servers the current run measures against
+    this.samples = []; // Interval samples of the current run
+    this.requestTimings = []; // Per-request network phase breakdowns
+    this.requests = []; // Every transfer and latency probe of the current run
+    this.claimedTimingEntries = new WeakSet(); // Resource Timing entries already matched
+
+    // Timer references for cleanup
+    this.measurementInterval = null;
+    this.measuring = false; // An interval's measurement is in flight
+    this.continuousInterval = null;
+    this.progressInterval = null;
+    this.autoStopTimeout = null;
+
+    // Configuration for speed test servers
+    this.serverConfig = this.initializeServerConfig(options.backend);
+    this.comparisonBackends = this.initializeComparisonBackends(
+      options.compareBackends,
+      options.backend
+    );
+    this.comparison = null; // Server comparison state for the current run
+    this.serverSelection = null; // Automatic server selection for the current run
+
+    // Measurement parameters
+    this.testConfig = {
+      ...this.initializeTestConfig(),
+      ...options.testConfig,
+    };
+
+    this.initializeResourceTiming();
+  }
+
+  /**
+   * Initialize measurement configuration parameters
+   * @returns {Object} Test configuration object
+   */
+  initializeTestConfig() {
+    return {
+      measurementInterval: 3000, // 3 seconds between measurements (set from the run settings)
+      continuousTestInterval: 500, // 500ms between starting new continuous tests
+      progressUpdateInterval: 100, // 100ms between progress events
+      throughputSampleInterval: 200, // Emit a throughput sample every 200ms of streamed data
+      throughputHistoryWindow: 5000, // Keep the last 5 seconds of throughput samples
+      liveReadingWindow: 2000, // Live speed display averages the last 2 seconds
+      validSpeedRange: { min: 0, max: 10000 }, // Mbps
+      validPingRange: { min: 0, max: 5000 }, // ms (LAN servers answer in well under 5ms)
+      latencyProbe: {
+        burstSize: 5, // Small requests sent back-to-back each interval
+        requestTimeout: 2000, // ms before a probe request counts as lost
+        loadedPhaseDuration: 4000, // ms of one-direction load before each loaded burst of a 'both' run
+      },
+      // Continuous transfers are sized so each request lasts about targetDuration
+      // at the recently observed per-connection throughput
+      transferSizing: {
+        targetDuration: 3000, // ms, 2-4 seconds keeps requests well past TCP slow start
+        initialBytes: 1024 * 1024, // Used until throughput has been observed
+        minBytes: 256 * 1024,
+        maxGrowth: 4, // A request is at most 4x the previous one, damping noisy early samples
+        maxBytes: {
+          download: 100 * 1024 * 1024,
+          upload: 50 * 1024 * 1024, // Upload payloads are generated in memory
+        },
+      },
+      uploadTimeout: 30000, // ms before a stalled upload request counts as timed out
+      continuousConnections: 2, // Number of overlapping connections to maintain
+      comparisonSegmentDuration: 30000, // ms per server in sequential mode when running continuously
+      selectionTransferBytes: 256 * 1024, // Test transfer a candidate server must complete
+      // Auto mode starts at min and adds one connection per step while throughput improves
+      connectionTuning: {
+        min: 1,
+        max: 12,
+        evaluationInterval: 2000, // ms of throughput compared after each step
+        minImprovement: 0.1, // Keep ramping while throughput grows by 10% or more
+      },
+    };
+  }
+
+  /**
+   * Start a run
+   * Settings not given here fall back to the constructor options.
+   * @param {Object} settings - Run settings
+   * @param {string} settings.testType - 'download', 'upload' or 'both'
+   * @param {number} settings.testDuration - Seconds, 0 runs until stop() is called
+   * @param {number} settings.measurementInterval - ms between samples
+   * @param {string} settings.connectionMode - 'auto' or a connection count
+   * @param {string} settings.serverMode - 'auto', 'single', 'sequential' or 'interleaved'
+   */
+  async start(settings = {}) {
+    if (this.isRunning) return;
+
+    try {
+      this.initializeTestRun(settings);
+
+      this.progressInterval = setInterval(
+        () => this.reportProgress(),
+        this.testConfig.progressUpdateInterval
+      );
+
+      // Pick the closest working server before measuring anything
+      if (!this.comparison && this.settings.serverMode === "auto") {
+        this.emit("status", { message: "Selecting server..." });
+        this.serverSelection = await this.selectServer();
+        if (!this.isRunning) return;
+      }
+      this.runServers = this.describeRunServers();
+      this.emit("servers", this.runServers);
+
+      // Measure idle latency before any transfers load the link
+      this.emit("status", { message: "Measuring idle latency..." });
+      this.idleLatency = await this.measurePing();
+      if (!this.isRunning) return;
+      this.emit("idle-latency", this.idleLatency);
+
+      // Interval probes of a 'both' run are taken with both directions
+      // loading the link, so measure each direction on its own first
+      if (this.settings.testType === "both") {
+        this.loadedLatency = await this.measureLoadedLatency();
+        if (!this.isRunning) return;
+        this.emit("loaded-latency", this.loadedLatency);
+      }
+
+      this.restartRunClock();
+      this.startTestIntervals();
+
+      // The first sample is taken after one full interval of transfers
+      this.emit("status", { message: this.describeRunningStatus() });
+
+      // Set auto-stop timer if not continuous
+      this.scheduleAutoStop();
+    } catch (error) {
+      this.logger.error("Failed to start test:", error);
+      this.emit("error", { message: "Test started with warnings" });
+    }
+  }
+
+  /**
+   * Initialize run state from the start settings
+   * @param {Object} settings - Settings passed to start()
+   */
+  initializeTestRun(settings) {
+    this.settings = { ...this.defaultSettings, ...settings };
+    this.testConfig.measurementInterval = this.settings.measurementInterval;
+
+    this.isRunning = true;
+    this.startTime = Date.now();
+    this.endTime = null;
+    this.idleLatency = null;
+    this.loadedLatency = null;
+    this.runServers = null;
+    this.samples = [];
+    this.liveReading = { download: null, upload: null };
+    this.requestTimings = [];
+    this.requests = [];
+    this.serverSelection = null;
+
+    // Initialize continuous testing state
+    this.continuousTests = {
+      // Transfer types kept running, set once the link may be loaded
+      loadedTypes: [],
+      activeDownloads: new Set(),
+      activeUploads: new Set(),
+      recentSpeeds: {
+        download: [],
+        upload: [],
+      },
+      // Most recent failed transfer per type, used to explain empty intervals
+      lastFailures: {
+        download: null,
+        upload: null,
+      },
+      // Size of the most recent request per type, in bytes
+      transferSizes: {
+        download: null,
+        upload: null,
+      },
+      // Target number of overlapping transfers per type
+      connections: {
+        download: this.createConnectionState(),
+        upload: this.createConnectionState(),
+      },
+      // Aborts in-flight transfers when the run stops or switches server
+      abortController: new AbortController(),
+      lastUpdate: Date.now(),
+    };
+
+    this.comparison = this.initializeComparison();
+  }
+
+  /**
+   * Start measurement and continuous transfer intervals
+   */
+  startTestIntervals() {
+    const { testType } = this.settings;
+    this.continuousTests.loadedTypes =
+      testType === "both" ? ["download", "upload"] : [testType];
+
+    this.measurementInterval = setInterval(
+      () => this.performMeasurement(),
+      this.testConfig.measurementInterval
+    );
+
+    // Continuous testing interval for overlapping connections
+    this.continuousInterval = setInterval(
+      () => this.maintainContinuousTests(),
+      this.testConfig.continuousTestInterval
+    );
+
+    // Start initial continuous tests
+    this.maintainContinuousTests();
+  }
+
+  /**
+   * Start the run's clock once the transfer intervals start
+   * Server selection and the latency phases before them don't count towards
+   * the test duration; requests they logged keep their place before zero.
+   */
+  restartRunClock() {
+    const now = Date.now();
+    const shift = (now - this.startTime) / 1000;
+    this.requests.forEach((request) => {
+      request.timestamp -= shift;
+    });
+
+    this.startTime = now;
+    if (this.comparison) {
+      this.comparison.segmentStart = now;
+    }
+  }
+
+  /**
+   * Change the time between samples, restarting the timer of a running test
+   * @param {number} interval - Measurement interval in ms
+   */
+  setMeasurementInterval(interval) {
+    this.testConfig.measurementInterval = interval;
+    if (this.settings) {
+      this.settings.measurementInterval = interval;
+    }
+
+    if (this.isRunning && this.measurementInterval) {
+      clearInterval(this.measurementInterval);
+      this.measurementInterval = setInterval(
+        () => this.performMeasurement(),
+        this.testConfig.measurementInterval
+      );
+    }
+  }
+
+  /**
+   * Stop the run, abort in-flight transfers and restore the server configuration
+   */
+  stop() {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    this.endTime = Date.now();
+
+    this.clearTestIntervals();
+
+    // Don't leave transfers loading the link after the test has ended
+    if (this.continuousTests) {
+      this.continuousTests.abortController.abort();
+    }
+    if (this.comparison) {
+      this.serverConfig = this.comparison.savedServerConfig;
+    }
+    if (this.serverSelection) {
+      this.serverConfig = this.serverSelection.savedServerConfig;
+    }
+
+    this.emit("complete", {
+      startTime: this.startTime,
+      endTime: this.endTime,
+      settings: this.settings,
+      servers: this.runServers,
+      idleLatency: this.idleLatency,
+      loadedLatency: this.loadedLatency,
+      environment: this.describeEnvironment(),
+      samples: this.samples,
+      requests: this.requests,
+    });
+  }
+
+  /**
+   * Clear all running timers
+   */
+  clearTestIntervals() {
+    if (this.measurementInterval) {
+      clearInterval(this.measurementInterval);
+      this.measurementInterval = null;
+    }
+
+    if (this.continuousInterval) {
+      clearInterval(this.continuousInterval);
+      this.continuousInterval = null;
+    }
+
+    if (this.progressInterval) {
+      clearInterval(this.progressInterval);
+      this.progressInterval = null;
+    }
+
+    if (this.autoStopTimeout) {
+      clearTimeout(this.autoStopTimeout);
+      this.autoStopTimeout = null;
+    }
+  }
+
+  /**
+   * Report elapsed time and the latest live readings
+   */
+  reportProgress() {
+    if (!this.isRunning) return;
+
+    // Nothing has elapsed until the transfer intervals start the clock
+    const elapsed = this.measurementInterval
+      ? (Date.now() - this.startTime) / 1000
+      : 0;
+    const duration = this.settings.testDuration;
+
+    this.emit("progress", {
+      elapsed,
+      duration,
+      fraction: duration > 0 ? Math.min(1, elapsed / duration) : null,
+      ...this.liveReading,
+    });
+  }
+
+  /**
+   * Describe the servers a run measures against
+   * Backends are reduced to their metadata so the description can be posted
+   * from a worker.
+   * @returns {Object} Download, upload and latency backends plus the server
+   *   selection and comparison details, if any
+   */
+  describeRunServers() {
+    const { download, upload, latency } = this.serverConfig;
+    const selection = this.serverSelection;
+    const comparison = this.comparison;
+
+    return {
+      download: download.getMetadata(),
+      upload: upload.getMetadata(),
+      latency: latency.getMetadata(),
+      selection: selection && {
+        selected: selection.selected && selection.selected.getMetadata(),
+        latency: selection.latency,
+        candidates: selection.candidates.map((candidate) => ({
+          ...candidate,
+          backend: candidate.backend.getMetadata(),
+        })),
+      },
+      comparison: comparison && {
+        mode: comparison.mode,
+        backends: comparison.backends.map((backend) => backend.getMetadata()),
+      },
+    };
+  }
+
+  /**
+   * Describe the environment the run is measured from
+   * Only what the runtime exposes is filled in; workers and Node.js report
+   * less than a page, and only some browsers estimate the connection.
+   * @returns {Object} Runtime, user agent, platform, language, time zone, CPU
+   *   count and network connection estimate, null where unknown
+   */
+  describeEnvironment() {
+    const nav = typeof navigator !== "undefined" ? navigator : {};
+    const node =
+      typeof process !== "undefined" && process.versions
+        ? process.versions.node
+        : null;
+    const connection = nav.connection;
+    let runtime = "browser";
+    if (node) {
+      runtime = "node";
+    } else if (typeof document === "undefined") {
+      runtime = "worker";
+    }
+
+    return {
+      runtime,
+      runtimeVersion: node || null,
+      userAgent: nav.userAgent || null,
+      platform: node
+        ? `${process.platform} ${process.arch}`
+        : nav.platform || null,
+      language: nav.language || null,
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || null,
+      hardwareConcurrency: nav.hardwareConcurrency || null,
+      connection: connection
+        ? {
+            type: connection.type || null,
+            effectiveType: connection.effectiveType || null,
+            downlink:
+              connection.downlink !== undefined ? connection.downlink : null,
+            rtt: connection.rtt !== undefined ? connection.rtt : null,
+            saveData: Boolean(connection.saveData),
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Configure the backend providers used for each test type
+   * @param {string|Object|SpeedTestBackend} backend - Optional single backend for all tests
+   * @returns {Object} Server configuration object
+   */
+  initializeServerConfig(backend) {
+    if (backend) {
+      return this.createServerConfigForBackend(
+        backendProviders.createBackend(backend)
+      );
+    }
+
+    const cloudflare = new backendProviders.CloudflareBackend();
+    const httpbin = new backendProviders.HttpbinBackend();
+
+    return {
+      // Cloudflare's speed endpoints for downloads and latency
+      download: cloudflare,
+      latency: cloudflare,
+      // HTTPBin accepts large binary POST bodies for upload testing
+      upload: httpbin,
+    };
+  }
+
+  /**
+   * Build a server configuration that sends every test to one backend
+   * @param {SpeedTestBackend} backend - Backend provider
+   * @returns {Object} Server configuration object
+   */
+  createServerConfigForBackend(backend) {
+    return {
+      download: backend,
+      latency: backend,
+      upload: backend,
+    };
+  }
+
+  /**
+   * Build the list of backends the comparison modes cycle through
+   * @param {Array} configs - Backend configurations, if given explicitly
+   * @param {string|Object|SpeedTestBackend} backend - Configured single backend
+   * @returns {Array<SpeedTestBackend>} Backends to compare
+   */
+  initializeComparisonBackends(configs, backend) {
+    if (configs && configs.length > 0) {
+      return configs.map((config) => backendProviders.createBackend(config));
+    }
+
+    // Compare the configured backend (e.g. a local server) with the public ones
+    const backends = backend ? [backendProviders.createBackend(backend)] : [];
+    return [
+      ...backends,
+      new backendProviders.CloudflareBackend(),
+      new backendProviders.HttpbinBackend(),
+    ];
+  }
+
+  /**
+   * Point all measurements at a different backend
+   * @param {string|Object|SpeedTestBackend} backend - Backend id, options or instance
+   */
+  setBackend(backend) {
+    this.serverConfig = this.createServerConfigForBackend(
+      backendProviders.createBackend(backend)
+    );
+  }
+
+  /**
+   * Keep the Resource Timing buffer from filling up during long tests
+   * Entries are matched to requests as soon as they complete, so older ones
+   * can be dropped once the browser's buffer (250 entries by default) is full.
+   * Entries of requests that only just finished may not be matched yet;
+   * while there are any, the buffer grows instead of being cleared.
+   */
+  initializeResourceTiming() {
+    if (typeof performance.clearResourceTimings !== "function") return;
+
+    let bufferSize = 250;
+    performance.addEventListener("resourcetimingbufferfull", () => {
+      const now = performance.now();
+      const unmatched = performance
+        .getEntriesByType("resource")
+        .some(
+          (entry) =>
+            !this.claimedTimingEntries.has(entry) &&
+            now - entry.responseEnd < 1000
+        );
+
+      if (
+        unmatched &&
+        typeof performance.setResourceTimingBufferSize === "function"
+      ) {
+        bufferSize += 250;
+        performance.setResourceTimingBufferSize(bufferSize);
+      } else {
+        performance.clearResourceTimings();
+      }
+    });
+  }
+
+  /**
+   * Set up server comparison for a run when a comparison mode is selected
+   * The first backend is measured straight away; performMeasurement moves on
+   * to the next one after every interval (interleaved) or once the current
+   * server's share of the test duration has passed (sequential).
+   * @returns {Object|null} Comparison state, or null for single-server runs
+   */
+  initializeComparison() {
+    const mode = this.settings.serverMode;
+
+    if (mode !== "sequential" && mode !== "interleaved") return null;
+    if (this.comparisonBackends.length < 2) return null;
+
+    const backends = this.comparisonBackends;
+    const comparison = {
+      mode,
+      backends,
+      index: 0,
+      segmentStart: Date.now(),
+      segmentDuration:
+        this.settings.testDuration > 0
+          ? (this.settings.testDuration * 1000) / backends.length
+          : this.testConfig.comparisonSegmentDuration,
+      // Tuning state per backend, so interleaved rounds resume where they left off
+      backendState: {},
+      // Restored when the run stops
+      savedServerConfig: this.serverConfig,
+    };
+
+    this.serverConfig = this.createServerConfigForBackend(backends[0]);
+    return comparison;
+  }
+
+  /**
+   * List the distinct backends referenced by the server configuration
+   * @returns {Array<SpeedTestBackend>} Latency, download and upload backends
+   */
+  getCandidateBackends() {
+    const { download, upload, latency } = this.serverConfig;
+    const backends = [latency, download, upload];
+
+    return backends.filter(
+      (backend, index) =>
+        backends.findIndex((other) => other.id === backend.id) === index
+    );
+  }
+
+  /**
+   * Choose the server with the lowest median latency that completes a test transfer
+   * Candidates are probed one at a time so they don't compete for the link.
+   * A download that comes back short of the requested size doesn't count as
+   * completed, so services that cap their payload size are passed over.
+   * The chosen server takes over latency probes and every transfer type it
+   * supports; the original configuration is restored when the run stops.
+   * @returns {Promise<Object|null>} Selection with the chosen backend (null if
+   *   none worked) and every candidate's result, or null with a single candidate
+   */
+  async selectServer() {
+    const candidates = this.getCandidateBackends().filter((backend) =>
+      backend.supports("latency")
+    );
+    if (candidates.length < 2) return null;
+
+    const results = [];
+    for (const backend of candidates) {
+      this.emit("status", {
+        message: `Selecting server... testing ${backend.name}`,
+      });
+      results.push(await this.probeCandidateServer(backend));
+      if (!this.isRunning) return null;
+    }
+
+    const usable = results
+      .filter((result) => result.status === "ok")
+      .sort((a, b) => a.latency - b.latency);
+    const selected = usable.length > 0 ? usable[0].backend : null;
+    const selection = {
+      selected,
+      latency: selected ? usable[0].latency : null,
+      candidates: results,
+      savedServerConfig: this.serverConfig,
+    };
+
+    if (selected) {
+      this.serverConfig = {
+        ...this.serverConfig,
+        latency: selected,
+        download: selected.supports("download")
+          ? selected
+          : this.serverConfig.download,
+        upload: selected.supports("upload")
+          ? selected
+          : this.serverConfig.upload,
+      };
+    }
+
+    return selection;
+  }
+
+  /**
+   * Measure a candidate server's latency and check that it can transfer data
+   * @param {SpeedTestBackend} backend - Candidate backend
+   * @returns {Promise<{backend: SpeedTestBackend, latency: number|null, status: string, reason: string}>}
+   *   Median latency and whether the candidate is usable
+   */
+  async probeCandidateServer(backend) {
+    const ping = await this.measurePing(backend);
+    if (ping.status !== "ok") {
+      return {
+        backend,
+        latency: null,
+        status: ping.status,
+        reason: ping.reason,
+      };
+    }
+
+    const bytes = this.testConfig.selectionTransferBytes;
+    let failure = null;
+    const options = {
+      backend,
+      onError: (error) => {
+        failure = error;
+      },
+    };
+    const speed = backend.supports("download")
+      ? await this.testDownload(bytes, { ...options, requireFullPayload: true })
+      : await this.testUpload(bytes, options);
+
+    if (speed === null) {
+      return {
+        backend,
+        latency: ping.value,
+        ...(failure || {
+          status: "http-error",
+          reason: "Test transfer returned no usable result",
+        }),
+      };
+    }
+
+    return { backend, latency: ping.value, status: "ok", reason: "" };
+  }
+
+  /**
+   * Move comparison mode on to the next server when its turn is over
+   */
+  advanceComparison() {
+    const comparison = this.comparison;
+    if (!comparison || !this.isRunning) return;
+
+    if (
+      comparison.mode === "sequential" &&
+      Date.now() - comparison.segmentStart < comparison.segmentDuration
+    ) {
+      return;
+    }
+
+    this.switchComparisonBackend(
+      (comparison.index + 1) % comparison.backends.length
+    );
+  }
+
+  /**
+   * Send all measurements to another comparison backend
+   * @param {number} index - Index into the comparison backends
+   */
+  switchComparisonBackend(index) {
+    const { comparison, continuousTests } = this;
+    const previous = comparison.backends[comparison.index];
+    const next = comparison.backends[index];
+
+    comparison.backendState[previous.id] = {
+      connections: continuousTests.connections,
+      transferSizes: continuousTests.transferSizes,
+    };
+
+    // Stop transfers to the previous server so they don't count towards the next
+    continuousTests.abortController.abort();
+    continuousTests.abortController = new AbortController();
+    continuousTests.activeDownloads.clear();
+    continuousTests.activeUploads.clear();
+
+    const saved = comparison.backendState[next.id];
+    continuousTests.connections = saved
+      ? saved.connections
+      : {
+          download: this.createConnectionState(),
+          upload: this.createConnectionState(),
+        };
+    continuousTests.transferSizes = saved
+      ? saved.transferSizes
+      : { download: null, upload: null };
+    continuousTests.recentSpeeds = { download: [], upload: [] };
+    continuousTests.lastFailures = { download: null, upload: null };
+
+    comparison.index = index;
+    comparison.segmentStart = Date.now();
+    this.serverConfig = this.createServerConfigForBackend(next);
+
+    this.maintainContinuousTests();
+  }
+
+  /**
+   * Describe the running test for the status line
+   * @returns {string} Status message, naming the current server when comparing
+   */
+  describeRunningStatus() {
+    if (!this.comparison) return "Speed test running...";
+
+    const { backends, index } = this.comparison;
+    return `Speed test running against ${backends[index].name} (${
+      index + 1
+    } of ${backends.length})...`;
+  }
+
+  /**
+   * Create the connection count state for one transfer direction
+   * @returns {Object} Connection state; auto mode also tracks the best
+   *   throughput seen and the count that reached it
+   */
+  createConnectionState() {
+    const mode = this.settings.connectionMode;
+
+    if (mode !== "auto") {
+      return {
+        auto: false,
+        count: parseInt(mode) || this.testConfig.continuousConnections,
+      };
+    }
+
+    const { min } = this.testConfig.connectionTuning;
+    return {
+      auto: true,
+      count: min,
+      settled: false,
+      bestThroughput: 0,
+      bestCount: min,
+      lastChange: performance.now(),
+    };
+  }
+
+  /**
+   * Get the number of overlapping connections to use for a transfer type
+   * @param {string} type - 'download' or 'upload'
+   * @returns {number} Connection count
+   */
+  getConnectionCount(type) {
+    if (!this.continuousTests) return this.testConfig.continuousConnections;
+    return this.continuousTests.connections[type].count;
+  }
+
+  /**
+   * Step the auto-tuned connection count for a transfer type
+   * Adds a connection each evaluation interval while aggregate throughput keeps
+   * improving; once it plateaus, backs off to the smallest count that reached
+   * the best throughput and keeps it for the rest of the run.
+   * @param {string} type - 'download' or 'upload'
+   */
+  tuneConnections(type) {
+    const state = this.continuousTests.connections[type];
+    if (!state.auto || state.settled) return;
+
+    const { max, evaluationInterval, minImprovement } =
+      this.testConfig.connectionTuning;
+    const now = performance.now();
+
+    // Give the current count a full evaluation window of data
+    if (now - state.lastChange < evaluationInterval) return;
+
+    // Failing transfers say nothing about the right count; wait for data
+    const throughput = this.getRecentThroughput(type, evaluationInterval);
+    if (throughput === 0) return;
+
+    if (throughput > state.bestThroughput * (1 + minImprovement)) {
+      state.bestThroughput = throughput;
+      state.bestCount = state.count;
+
+      if (state.count < max) {
+        state.count++;
+        state.lastChange = now;
+      } else {
+        state.settled = true;
+      }
+    } else {
+      // Plateau - extra connections aren't adding throughput
+      state.count = state.bestCount;
+      state.settled = true;
+    }
+  }
+
+  /**
+   * Schedule automatic stop if test has duration limit
+   */
+  scheduleAutoStop() {
+    if (this.settings.testDuration > 0) {
+      this.autoStopTimeout = setTimeout(() => {
+        if (this.isRunning) {
+          this.stop();
+        }
+      }, this.settings.testDuration * 1000);
+    }
+  }
+
+  /**
+   * Maintain continuous network connections for smoother testing
+   */
+  async maintainContinuousTests() {
+    if (!this.isRunning) return;
+
+    const { loadedTypes } = this.continuousTests;
+
+    // Maintain continuous download tests
+    if (loadedTypes.includes("download")) {
+      this.tuneConnections("download");
+      const targetConnections = this.getConnectionCount("download");
+      while (this.continuousTests.activeDownloads.size < targetConnections) {
+        this.startContinuousDownload();
+      }
+    }
+
+    // Maintain continuous upload tests
+    if (loadedTypes.includes("upload")) {
+      this.tuneConnections("upload");
+      const targetConnections = this.getConnectionCount("upload");
+      while (this.continuousTests.activeUploads.size < targetConnections) {
+        this.startContinuousUpload();
+      }
+    }
+
+    // Update speeds based on recent measurements
+    this.updateContinuousSpeedReadings();
+  }
+
+  /**
+   * Measure latency under download-only and then upload-only load
+   * Each direction runs on its own for loadedPhaseDuration before a probe
+   * burst; its transfers are stopped and wound down before the next phase.
+   * @returns {Promise<Object|null>} {download, upload} ping samples tagged
+   *   with their load, or null when the run was stopped
+   */
+  async measureLoadedLatency() {
+    const { loadedPhaseDuration } = this.testConfig.latencyProbe;
+    const loadedLatency = {};
+
+    for (const type of ["download", "upload"]) {
+      this.emit("status", {
+        message: `Measuring latency under ${type} load...`,
+      });
+      this.continuousTests.loadedTypes = [type];
+      this.maintainContinuousTests();
+
+      await new Promise((resolve) => setTimeout(resolve, loadedPhaseDuration));
+      if (!this.isRunning) return null;
+
+      const load = this.getCurrentLoad();
+      const probe = await this.measurePing();
+      if (!this.isRunning) return null;
+      loadedLatency[type] = {
+        ...probe,
+        load,
+        server: this.serverConfig.latency.id,
+      };
+
+      // Aborted transfers aren't failures; the run gets a fresh signal
+      this.continuousTests.loadedTypes = [];
+      this.continuousTests.abortController.abort();
+      this.continuousTests.abortController = new AbortController();
+      for (
+        let waited = 0;
+        this.getCurrentLoad() !== "idle" && waited < 2000;
+        waited += 50
+      ) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+    }
+
+    return loadedLatency;
+  }
+
+  /**
+   * Start a continuous download test
+   */
+  async startContinuousDownload() {
+    const testId = Date.now() + Math.random();
+    this.continuousTests.activeDownloads.add(testId);
+    const { signal } = this.continuousTests.abortController;
+    let failed = false;
+
+    try {
+      const testSize = this.getTransferSize("download");
+
+      // Record intermediate samples while the body streams in
+      await this.testDownload(testSize, {
+        signal,
+        onSample: (sample) => this.recordThroughputSample("download", sample),
+        onError: (failure) => {
+          // Transfers cut short by stopping or switching servers didn't fail
+          if (signal.aborted) return;
+          failed = true;
+          this.recordTransferFailure("download", failure);
+        },
+      });
+    } catch (error) {
+      this.logger.error("Continuous download test failed:", error);
+    } finally {
+      this.continuousTests.activeDownloads.delete(testId);
+
+      // Replace the finished connection right away so the link stays saturated;
+      // failed connections are retried on the regular interval instead
+      if (!failed) {
+        this.maintainContinuousTests();
+      }
+    }
+  }
+
+  /**
+   * Start a continuous upload test
+   */
+  async startContinuousUpload() {
+    const testId = Date.now() + Math.random();
+    this.continuousTests.activeUploads.add(testId);
+    const { signal } = this.continuousTests.abortController;
+    let failed = false;
+
+    try {
+      const testSize = this.getTransferSize("upload");
+
+      // Record intermediate samples as the request body is sent
+      await this.testUpload(testSize, {
+        signal,
+        onSample: (sample) => this.recordThroughputSample("upload", sample),
+        onDiscard: (samples) =>
+          this.discardThroughputSamples("upload", samples),
+        onError: (failure) => {
+          // Transfers cut short by stopping or switching servers didn't fail
+          if (signal.aborted) return;
+          failed = true;
+          this.recordTransferFailure("upload", failure);
+        },
+      });
+    } catch (error) {
+      this.logger.error("Continuous upload test failed:", error);
+    } finally {
+      this.continuousTests.activeUploads.delete(testId);
+
+      // Replace the finished connection right away so the link stays saturated;
+      // failed connections are retried on the regular interval instead
+      if (!failed) {
+        this.maintainContinuousTests();
+      }
+    }
+  }
+
+  /**
+   * Choose a request size that should take about the target duration
+   * @param {string} type - 'download' or 'upload'
+   * @returns {number} Request size in bytes
+   */
+  getTransferSize(type) {
+    const { targetDuration, initialBytes, minBytes, maxBytes, maxGrowth } =
+      this.testConfig.transferSizing;
+    const previous = this.continuousTests.transferSizes[type];
+    const throughput = this.getRecentThroughput(
+      type,
+      this.testConfig.throughputHistoryWindow
+    );
+
+    let bytes = previous || initialBytes;
+
+    if (throughput > 0) {
+      // Aggregate throughput is shared between the parallel connections
+      const perConnectionMbps = throughput / this.getConnectionCount(type);
+      bytes = Math.round(
+        ((perConnectionMbps * 1000000) / 8) * (targetDuration / 1000)
+      );
+
+      if (previous) {
+        bytes = Math.min(bytes, previous * maxGrowth);
+      }
+    }
+
+    bytes = Math.min(Math.max(bytes, minBytes), maxBytes[type]);
+    this.continuousTests.transferSizes[type] = bytes;
+    return bytes;
+  }
+
+  /**
+   * Store a throughput sample from an in-flight transfer
+   * @param {string} type - 'download' or 'upload'
+   * @param {Object} sample - Sample data
+   * @param {number} sample.bytes - Bytes transferred during the sample
+   * @param {number} sample.durationMs - Time the sample covers
+   * @param {number} sample.timestamp - performance.now() at the end of the sample
+   */
+  recordThroughputSample(type, { bytes, durationMs, timestamp }) {
+    if (!this.continuousTests || bytes <= 0 || durationMs <= 0) return;
+
+    this.continuousTests.recentSpeeds[type].push({
+      speed: this.calculateSpeed(bytes, durationMs),
+      bytes,
+      timestamp,
+      duration: durationMs,
+    });
+
+    // Keep only recent samples
+    const cutoff = timestamp - this.testConfig.throughputHistoryWindow;
+    this.continuousTests.recentSpeeds[type] = this.continuousTests.recentSpeeds[
+      type
+    ].filter((m) => m.timestamp > cutoff);
+  }
+
+  /**
+   * Forget throughput samples that turned out not to count
+   * @param {string} type - 'download' or 'upload'
+   * @param {Array<{bytes: number, timestamp: number}>} samples - Samples as
+   *   passed to recordThroughputSample()
+   */
+  discardThroughputSamples(type, samples) {
+    if (!this.continuousTests) return;
+
+    this.continuousTests.recentSpeeds[type] = this.continuousTests.recentSpeeds[
+      type
+    ].filter(
+      (m) =>
+        !samples.some(
+          (sample) =>
+            sample.timestamp === m.timestamp && sample.bytes === m.bytes
+        )
+    );
+  }
+
+  /**
+   * Describe which transfers are currently loading the link
+   * @returns {string} 'idle', 'download', 'upload' or 'both'
+   */
+  getCurrentLoad() {
+    if (!this.continuousTests) return "idle";
+
+    const downloading = this.continuousTests.activeDownloads.size > 0;
+    const uploading = this.continuousTests.activeUploads.size > 0;
+
+    if (downloading && uploading) return "both";
+    if (downloading) return "download";
+    if (uploading) return "upload";
+    return "idle";
+  }
+
+  /**
+   * Remember why a continuous transfer failed
+   * @param {string} type - 'download' or 'upload'
+   * @param {{status: string, reason: string}} failure - Classified failure
+   */
+  recordTransferFailure(type, failure) {
+    if (!this.continuousTests) return;
+
+    this.continuousTests.lastFailures[type] = {
+      ...failure,
+      timestamp: performance.now(),
+    };
+  }
+
+  /**
+   * Build the per-interval sample for a transfer type
+   * @param {string} type - 'download' or 'upload'
+   * @param {number} windowMs - Interval length
+   * @returns {{value: number|null, status: string, reason: string, connections: number, timing: Object|null, server: string}}
+   *   Interval sample, including the connection count in use, the network
+   *   phases of requests completed during the interval and the backend id
+   */
+  buildTransferSample(type, windowMs) {
+    const value = this.getRecentThroughput(type, windowMs);
+    const connections = this.getConnectionCount(type);
+    const timing = this.summarizeRequestTimings(type, windowMs);
+    const server = this.serverConfig[type].id;
+    if (value > 0) {
+      return { value, status: "ok", reason: "", connections, timing, server };
+    }
+
+    // Explain the empty interval with a recent failure if there was one
+    const failure = this.continuousTests.lastFailures[type];
+    if (failure && failure.timestamp > performance.now() - windowMs) {
+      return {
+        value: null,
+        status: failure.status,
+        reason: failure.reason,
+        connections,
+        timing,
+        server,
+      };
+    }
+
+    return {
+      value: null,
+      status: "timeout",
+      reason: `No data received in ${(windowMs / 1000).toFixed(0)}s`,
+      connections,
+      timing,
+      server,
+    };
+  }
+
+  /**
+   * Calculate aggregate throughput across all connections over a recent window
+   * @param {string} type - 'download' or 'upload'
+   * @param {number} windowMs - How far back to look
+   * @returns {number} Throughput in Mbps, or 0 without samples in the window
+   */
+  getRecentThroughput(type, windowMs) {
+    const now = performance.now();
+    const samples = this.continuousTests.recentSpeeds[type].filter(
+      (m) => m.timestamp > now - windowMs
+    );
+
+    if (samples.length === 0) return 0;
+
+    const totalBytes = samples.reduce((sum, m) => sum + m.bytes, 0);
+
+    // Don't count time before the first sample started (e.g. at test start)
+    const earliestStart = Math.min(
+      ...samples.map((m) => m.timestamp - m.duration)
+    );
+    const spanMs = Math.min(windowMs, now - earliestStart);
+
+    return this.calculateSpeed(totalBytes, spanMs);
+  }
+
+  /**
+   * Update live speed readings based on continuous measurements
+   * The readings are reported with the next progress event.
+   */
+  updateContinuousSpeedReadings() {
+    const now = Date.now();
+
+    // Only update if enough time has passed since last update
+    if (now - this.continuousTests.lastUpdate < 1000) return;
+
+    this.continuousTests.lastUpdate = now;
+    const { testType } = this.settings;
+    const windowMs = this.testConfig.liveReadingWindow;
+
+    // Aggregate download throughput from recent samples
+    if (
+      (testType === "download" || testType === "both") &&
+      this.continuousTests.recentSpeeds.download.length > 0
+    ) {
+      this.liveReading.download = this.getRecentThroughput(
+        "download",
+        windowMs
+      );
+    }
+
+    // Aggregate upload throughput from recent samples
+    if (
+      (testType === "upload" || testType === "both") &&
+      this.continuousTests.recentSpeeds.upload.length > 0
+    ) {
+      this.liveReading.upload = this.getRecentThroughput("upload", windowMs);
+    }
+  }
+
+  /**
+   * Take one interval sample: a latency burst plus the throughput of the
+   * continuous transfers over the last interval
+   */
+  async performMeasurement() {
+    // A probe burst on a lossy link can outlast the interval; skip ticks
+    // until it's done so samples stay in order
+    if (this.measuring) return;
+    this.measuring = true;
+
+    try {
+      const { testType } = this.settings;
+
+      // Update status
+      this.emit("status", { message: this.describeRunningStatus() });
+
+      // Always measure ping, noting which transfers were loading the link
+      const load = this.getCurrentLoad();
+      const probe = await this.measurePing();
+
+      // The test may have been stopped while the probe burst was in flight
+      if (!this.isRunning) return;
+
+      const ping = { ...probe, load, server: this.serverConfig.latency.id };
+
+      // Get throughput over the last interval from continuous measurements
+      const windowMs = this.testConfig.measurementInterval;
+      const failures = [];
+      if (ping.status !== "ok") {
+        failures.push({ type: "ping", ...ping });
+      }
+
+      let download = null;
+      let upload = null;
+
+      if (testType === "download" || testType === "both") {
+        download = this.buildTransferSample("download", windowMs);
+        if (download.status !== "ok") {
+          failures.push({ type: "download", ...download });
+        }
+      }
+
+      if (testType === "upload" || testType === "both") {
+        upload = this.buildTransferSample("upload", windowMs);
+        if (upload.status !== "ok") {
+          failures.push({ type: "upload", ...upload });
+        }
+      }
+
+      const sample = {
+        timestamp: (Date.now() - this.startTime) / 1000,
+        download,
+        upload,
+        ping,
+        failures,
+        server: this.comparison ? this.serverConfig.download.id : null,
+      };
+      this.samples.push(sample);
+      this.emit("sample", sample);
+
+      // The interval is complete, so comparison mode may move to the next server
+      this.advanceComparison();
+    } catch (error) {
+      this.logger.error("Critical measurement error:", error);
+      this.emit("error", { message: "Critical error during measurement" });
+    } finally {
+      this.measuring = false;
+    }
+  }
+
+  /**
+   * Measure latency with a burst of small requests to the backend's latency targets
+   * Requests are sent back-to-back so consecutive round trips can be compared
+   * for jitter; timed out or failed requests count towards the loss ratio.
+   * @param {SpeedTestBackend} backend - Backend to probe, defaults to the latency server
+   * @returns {Promise<Object>} Ping sample with value (median), status, reason,
+   *   min, max, jitter, loss, sent, lost, the individual rtts and the burst's
+   *   network phase timing summary
+   */
+  async measurePing(backend = this.serverConfig.latency) {
+    const targets = backend.getLatencyRequests();
+    const { burstSize } = this.testConfig.latencyProbe;
+    const burstStart = performance.now();
+    const rtts = [];
+    let sent = 0;
+    let lost = 0;
+    let lastFailure = {
+      status: "network-error",
+      reason: "Backend has no latency endpoint",
+    };
+
+    // Cycle through the backend's latency targets for the whole burst
+    for (let i = 0; i < burstSize && targets.length > 0; i++) {
+      const target = targets[i % targets.length];
+      const request = {
+        url: target.url,
+        server: backend.id,
+        startTime: performance.now(),
+      };
+      sent++;
+
+      try {
+        const rtt = await this.sendLatencyRequest(target);
+        rtts.push(rtt);
+        this.logRequest("ping", { ...request, rtt });
+      } catch (error) {
+        this.logger.error(`Ping to ${target.url} failed:`, error);
+        lost++;
+        lastFailure = await this.classifyFailure(error, target.url);
+        this.logRequest("ping", { ...request, ...lastFailure });
+      }
+    }
+
+    const loss = sent > 0 ? lost / sent : 1;
+    const timing = this.summarizeRequestTimings(
+      "ping",
+      performance.now() - burstStart
+    );
+
+    if (rtts.length === 0) {
+      return {
+        value: null,
+        ...lastFailure,
+        min: null,
+        max: null,
+        jitter: null,
+        loss,
+        sent,
+        lost,
+        rtts,
+        timing,
+      };
+    }
+
+    return {
+      value: this.calculateMedian(rtts),
+      status: "ok",
+      reason: "",
+      min: Math.min(...rtts),
+      max: Math.max(...rtts),
+      jitter: this.calculateJitter(rtts),
+      loss,
+      sent,
+      lost,
+      rtts,
+      timing,
+    };
+  }
+
+  /**
+   * Time a single latency probe request
+   * @param {{url: string, init: Object}} target - Latency request from the backend
+   * @returns {Promise<number>} Round-trip time in ms
+   */
+  async sendLatencyRequest({ url, init }) {
+    const { min, max } = this.testConfig.validPingRange;
+    const timeout = Math.min(max, this.testConfig.latencyProbe.requestTimeout);
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const startTime = performance.now();
+
+      const response = await fetch(url, {
+        ...init,
+        signal: controller.signal,
+      });
+
+      const pingTime = performance.now() - startTime;
+
+      // Opaque (no-cors) responses hide the status but still prove a round trip
+      if (!response.ok && response.type !== "opaque") {
+        throw new MeasurementError("http-error", `HTTP ${response.status}`);
+      }
+
+      await this.recordRequestTiming("ping", url, startTime);
+
+      if (pingTime < min || pingTime > max) {
+        throw new MeasurementError(
+          "timeout",
+          `Round trip of ${pingTime.toFixed(0)}ms outside valid range`
+        );
+      }
+
+      return pingTime;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Find the Resource Timing entry for a completed request and store its breakdown
+   * @param {string} type - 'download', 'upload' or 'ping'
+   * @param {string} url - Requested URL
+   * @param {number} startTime - performance.now() just before the request was sent
+   * @returns {Promise<Object|null>} Stored record, or null when no entry was found
+   */
+  async recordRequestTiming(type, url, startTime) {
+    if (typeof performance.getEntriesByName !== "function") return null;
+
+    // Relative URLs only occur in pages and workers, which have a location
+    const base = typeof location !== "undefined" ? location.href : undefined;
+    const name = new URL(url, base).href;
+    const findEntry = () =>
+      performance
+        .getEntriesByName(name, "resource")
+        .find(
+          (entry) =>
+            entry.startTime >= startTime - 1 &&
+            !this.claimedTimingEntries.has(entry)
+        );
+
+    // Entries are queued when the response ends, which can trail the fetch by a task
+    let entry = findEntry();
+    if (!entry) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      entry = findEntry();
+    }
+    if (!entry) return null;
+
+    this.claimedTimingEntries.add(entry);
+
+    const record = {
+      type,
+      url: name,
+      startTime: entry.startTime,
+      completedAt: performance.now(),
+      ...this.describeResourceTiming(entry),
+    };
+    this.requestTimings.push(record);
+
+    // Summaries only look back one interval or one probe burst
+    const { burstSize, requestTimeout } = this.testConfig.latencyProbe;
+    const keepMs = Math.max(
+      this.testConfig.measurementInterval,
+      burstSize * requestTimeout
+    );
+    this.requestTimings = this.requestTimings.filter(
+      (r) => r.completedAt > record.completedAt - keepMs
+    );
+    return record;
+  }
+
+  /**
+   * Add a finished request to the run's request log
+   * The log keeps every transfer and latency probe for the JSON export, while
+   * recentSpeeds only covers the last few seconds.
+   * @param {string} type - 'download', 'upload' or 'ping'
+   * @param {Object} request - Request details
+   * @param {string} request.url - Requested URL
+   * @param {string} request.server - Backend id
+   * @param {number} request.startTime - performance.now() when the request was sent
+   * @param {number} request.size - Payload size in bytes, null for pings
+   * @param {number} request.bytes - Bytes transferred, null when unknown
+   * @param {number} request.speed - Measured Mbps, null for pings and failures
+   * @param {number} request.rtt - Round trip in ms, null for transfers and failures
+   * @param {string} request.status - 'ok' or the failure status
+   * @param {string} request.reason - Failure reason
+   * @param {Object|null} request.timing - Record from recordRequestTiming()
+   */
+  logRequest(
+    type,
+    {
+      url,
+      server,
+      startTime,
+      size = null,
+      bytes = null,
+      speed = null,
+      rtt = null,
+      status = "ok",
+      reason = "",
+      timing = null,
+    }
+  ) {
+    if (!this.isRunning) return;
+
+    const now = performance.now();
+    this.requests.push({
+      type,
+      // Seconds since the run started, like sample timestamps
+      timestamp: (Date.now() - (now - startTime) - this.startTime) / 1000,
+      server,
+      url,
+      size,
+      bytes,
+      duration: now - startTime,
+      connections: type === "ping" ? null : this.getConnectionCount(type),
+      speed,
+      rtt,
+      status,
+      reason,
+      timing: timing && {
+        protocol: timing.protocol,
+        newConnection: timing.newConnection,
+        dns: timing.dns,
+        tcp: timing.tcp,
+        tls: timing.tls,
+        ttfb: timing.ttfb,
+        transfer: timing.transfer,
+      },
+    });
+  }
+
+  /**
+   * Split a Resource Timing entry into network phases
+   * For uploads the request body is sent between requestStart and
+   * responseStart, so its TTFB includes the upload itself.
+   * @param {PerformanceResourceTiming} entry - Timing entry
+   * @returns {Object} Protocol, new connection flag and phase durations in ms;
+   *   phases are null when a cross-origin server withholds Timing-Allow-Origin
+   */
+  describeResourceTiming(entry) {
+    // Without Timing-Allow-Origin only the total duration is exposed
+    const detailed = entry.requestStart > 0;
+    const phase = (start, end) => (detailed ? Math.max(0, end - start) : null);
+    const tlsStart = entry.secureConnectionStart;
+
+    return {
+      protocol: entry.nextHopProtocol || "",
+      newConnection: detailed && entry.connectEnd > entry.connectStart,
+      dns: phase(entry.domainLookupStart, entry.domainLookupEnd),
+      tcp: phase(
+        entry.connectStart,
+        tlsStart > 0 ? tlsStart : entry.connectEnd
+      ),
+      tls: phase(tlsStart > 0 ? tlsStart : entry.connectEnd, entry.connectEnd),
+      ttfb: phase(entry.requestStart, entry.responseStart),
+      transfer: phase(entry.responseStart, entry.responseEnd),
+      duration: entry.duration,
+    };
+  }
+
+  /**
+   * Average the network phases of requests that completed in a recent window
+   * @param {string} type - 'download', 'upload' or 'ping'
+   * @param {number} windowMs - How far back to look
+   * @returns {Object|null} Request counts, mean phase durations in ms and the
+   *   protocols seen, or null when no request timing was recorded
+   */
+  summarizeRequestTimings(type, windowMs) {
+    const now = performance.now();
+    const records = this.requestTimings.filter(
+      (r) => r.type === type && r.completedAt > now - windowMs
+    );
+
+    if (records.length === 0) return null;
+
+    const detailed = records.filter((r) => r.ttfb !== null);
+    // Setup phases only happen on new connections; averaging in reused ones
+    // would hide a slow lookup or handshake
+    const connecting = detailed.filter((r) => r.newConnection);
+    const mean = (items, field) =>
+      items.length > 0
+        ? items.reduce((sum, r) => sum + r[field], 0) / items.length
+        : null;
+
+    return {
+      requests: records.length,
+      newConnections: connecting.length,
+      dns: mean(connecting, "dns"),
+      tcp: mean(connecting, "tcp"),
+      tls: mean(connecting, "tls"),
+      ttfb: mean(detailed, "ttfb"),
+      transfer: mean(detailed, "transfer"),
+      protocol: [
+        ...new Set(records.map((r) => r.protocol).filter(Boolean)),
+      ].join("/"),
+    };
+  }
+
+  /**
+   * Work out why a request failed
+   * @param {Error} error - Error thrown by fetch, XHR or a measurement method
+   * @param {string} url - URL of the failed request
+   * @returns {Promise<{status: string, reason: string}>} Failure status and reason
+   */
+  async classifyFailure(error, url) {
+    if (error instanceof MeasurementError) {
+      return { status: error.status, reason: error.message };
+    }
+
+    if (error.name === "AbortError" || error.name === "TimeoutError") {
+      return { status: "timeout", reason: "Request timed out" };
+    }
+
+    // Fetch rejects CORS and connection failures with the same TypeError, so
+    // check whether the server answers an opaque request to tell them apart
+    if (url && (await this.isReachableWithoutCors(url))) {
+      const base = typeof location !== "undefined" ? location.href : undefined;
+      const host = new URL(url, base).host;
+      return {
+        status: "cors",
+        reason: `Cross-origin request to ${host} was blocked`,
+      };
+    }
+
+    return {
+      status: "network-error",
+      reason: error.message || "Network request failed",
+    };
+  }
+
+  /**
+   * Check whether a URL responds to a no-cors request
+   * @param {string} url - URL to probe
+   * @returns {Promise<boolean>} True when the server is reachable
+   */
+  async isReachableWithoutCors(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 3000);
+
+    try {
+      await fetch(url, {
+        method: "GET",
+        mode: "no-cors",
+        cache: "no-store",
+        signal: controller.signal,
+      });
+      return true;
+    } catch (error) {
+      return false;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Download a payload from a backend and measure the transfer speed
+   * @param {number} bytes - Payload size in bytes
+   * @param {Object} options - Download options
+   * @param {SpeedTestBackend} options.backend - Backend to download from
+   * @param {Function} options.onSample - Receives intermediate throughput samples
+   * @param {Function} options.onError - Receives { status, reason } when the request fails
+   * @param {AbortSignal} options.signal - Cancels the transfer
+   * @param {boolean} options.requireFullPayload - Fail when the server sends
+   *   fewer bytes than requested (some services cap their payload size)
+   * @returns {Promise<number|null>} Speed in Mbps, or null on failure
+   */
+  async testDownload(
+    bytes,
+    {
+      backend = this.serverConfig.download,
+      onSample,
+      onError,
+      signal,
+      requireFullPayload = false,
+    } = {}
+  ) {
+    const { url, init } = backend.getDownloadRequest(bytes);
+    const startTime = performance.now();
+    const request = { url, server: backend.id, startTime, size: bytes };
+
+    try {
+      const response = await fetch(url, { ...init, signal });
+
+      if (!response.ok) {
+        throw new MeasurementError("http-error", `HTTP ${response.status}`);
+      }
+
+      // Start timing when we begin reading data, not when request starts
+      const dataStartTime = performance.now();
+
+      // Read the response data using streaming for more accurate measurement
+      const receivedBytes = await this.readResponseStream(response, onSample);
+      if (requireFullPayload && receivedBytes < bytes) {
+        throw new MeasurementError(
+          "http-error",
+          `Received ${receivedBytes} of ${bytes} bytes`
+        );
+      }
+
+      const endTime = performance.now();
+      // Use data transfer time only, excluding initial request overhead
+      const duration = (endTime - dataStartTime) / 1000; // seconds
+
+      const timing = await this.recordRequestTiming("download", url, startTime);
+
+      // Calculate speed in Mbps
+      const mbps = (receivedBytes * 8) / (duration * 1000000);
+      this.logRequest("download", {
+        ...request,
+        bytes: receivedBytes,
+        speed: mbps,
+        timing,
+      });
+
+      // Validate reasonable result
+      if (mbps > 0 && mbps < 10000) {
+        // Sanity check: 0-10Gbps
+        return mbps;
+      }
+
+      return null;
+    } catch (error) {
+      if (signal && signal.aborted) return null;
+
+      this.logger.error(`${backend.name} download test failed:`, error);
+      const failure = await this.classifyFailure(error, url);
+      this.logRequest("download", { ...request, ...failure });
+      if (onError) {
+        onError(failure);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Read a response body to the end, reporting throughput while it streams
+   * @param {Response} response - Fetch response with a readable body
+   * @param {Function} onSample - Optional callback receiving
+   *   { bytes, durationMs, timestamp } roughly every throughputSampleInterval
+   * @returns {Promise<number>} Total bytes received
+   */
+  async readResponseStream(response, onSample) {
+    const reader = response.body.getReader();
+    const sampleInterval = this.testConfig.throughputSampleInterval;
+    let receivedBytes = 0;
+    let sampleBytes = 0;
+    let sampleStart = performance.now();
+
+    while (true) {
+      const { done, value } = await reader.read();
+      const now = performance.now();
+
+      if (!done) {
+        receivedBytes += value.length;
+        sampleBytes += value.length;
+      }
+
+      // Flush a sample once enough time has passed, and at the end of the body
+      if (
+        onSample &&
+        sampleBytes > 0 &&
+        (done || now - sampleStart >= sampleInterval)
+      ) {
+        onSample({
+          bytes: sampleBytes,
+          durationMs: now - sampleStart,
+          timestamp: now,
+        });
+        sampleBytes = 0;
+        sampleStart = now;
+      }
+
+      if (done) break;
+    }
+
+    return receivedBytes;
+  }
+
+  /**
+   * Upload a payload to a backend and measure the transfer speed
+   * @param {number} bytes - Payload size in bytes
+   * @param {Object} options - Upload options
+   * @param {SpeedTestBackend} options.backend - Backend to upload to
+   * @param {Function} options.onSample - Receives intermediate throughput samples
+   * @param {Function} options.onDiscard - Receives the samples already
+   *   reported for an upload the server then rejected
+   * @param {Function} options.onError - Receives { status, reason } when the request fails
+   * @param {AbortSignal} options.signal - Cancels the transfer
+   * @returns {Promise<number|null>} Speed in Mbps, or null on failure
+   */
+  async testUpload(
+    bytes,
+    {
+      backend = this.serverConfig.upload,
+      onSample,
+      onDiscard,
+      onError,
+      signal,
+    } = {}
+  ) {
+    const request = backend.getUploadRequest(
+      bytes,
+      this.generateTestData(bytes)
+    );
+    const startTime = performance.now();
+    const logged = {
+      url: request.url,
+      server: backend.id,
+      startTime,
+      size: bytes,
+    };
+
+    // Samples are reported while the body is sent, before the response
+    // shows whether the server accepted it
+    const samples = [];
+    const reportSample = (sample) => {
+      samples.push(sample);
+      if (onSample) onSample(sample);
+    };
+
+    try {
+      const result = await this.sendUploadRequest(
+        { ...request, init: { ...request.init, signal } },
+        reportSample
+      );
+
+      if (!result.ok) {
+        if (onDiscard && samples.length > 0) onDiscard(samples);
+        throw new MeasurementError("http-error", `HTTP ${result.status}`);
+      }
+
+      const timing = await this.recordRequestTiming(
+        "upload",
+        request.url,
+        startTime
+      );
+
+      // Time only the request body transfer, not the server's response
+      const durationMs = result.uploadEnd - result.uploadStart;
+      const speedMbps = this.calculateSpeed(bytes, durationMs);
+      this.logRequest("upload", {
+        ...logged,
+        bytes: result.bytesSent,
+        speed: speedMbps,
+        timing,
+      });
+
+      this.logger.log(
+        `${backend.name} upload: ${bytes} bytes in ${durationMs.toFixed(
+          0
+        )}ms = ${speedMbps.toFixed(2)} Mbps`
+      );
+
+      // Validate reasonable result (uploads typically 10-80% of download speed)
+      if (speedMbps > 0 && speedMbps < 1000) {
+        return speedMbps;
+      }
+
+      return null;
+    } catch (error) {
+      if (signal && signal.aborted) return null;
+
+      this.logger.error(`${backend.name} upload test failed:`, error);
+      const failure = await this.classifyFailure(error, request.url);
+      this.logRequest("upload", { ...logged, ...failure });
+      if (onError) {
+        onError(failure);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Send an upload request, timing only the transfer of the request body
+   *
+   * Uses XMLHttpRequest upload progress events so server processing and
+   * response latency are excluded, and reports bytes actually sent as
+   * intermediate samples. Falls back to fetch where XHR is unavailable.
+   * Requests still running after uploadTimeout reject with a TimeoutError.
+   * @param {{url: string, init: Object}} request - Request from a backend
+   * @param {Function} onSample - Optional callback receiving
+   *   { bytes, durationMs, timestamp } roughly every throughputSampleInterval
+   * @returns {Promise<Object>} { ok, status, bytesSent, uploadStart, uploadEnd }
+   */
+  sendUploadRequest({ url, init }, onSample) {
+    if (typeof XMLHttpRequest === "undefined") {
+      return this.sendUploadRequestWithFetch({ url, init }, onSample);
+    }
+
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      const sampleInterval = this.testConfig.throughputSampleInterval;
+      let uploadStart = performance.now();
+      let uploadEnd = null;
+      let sampleStart = uploadStart;
+      let sentBytes = 0;
+
+      // Report the bytes sent since the previous sample
+      const emitSample = (loaded, now) => {
+        const bytes = loaded - sentBytes;
+        if (onSample && bytes > 0) {
+          onSample({ bytes, durationMs: now - sampleStart, timestamp: now });
+        }
+        sentBytes = loaded;
+        sampleStart = now;
+      };
+
+      xhr.open(init.method || "POST", url);
+      Object.entries(init.headers || {}).forEach(([name, value]) => {
+        // The browser sets Content-Length itself and rejects manual values
+        if (name.toLowerCase() !== "content-length") {
+          xhr.setRequestHeader(name, value);
+        }
+      });
+
+      xhr.upload.onloadstart = () => {
+        uploadStart = performance.now();
+        sampleStart = uploadStart;
+      };
+
+      xhr.upload.onprogress = (event) => {
+        const now = performance.now();
+        if (now - sampleStart >= sampleInterval) {
+          emitSample(event.loaded, now);
+        }
+      };
+
+      // The body has been handed off completely - stop the upload clock here
+      xhr.upload.onload = (event) => {
+        uploadEnd = performance.now();
+        emitSample(event.loaded, uploadEnd);
+      };
+
+      xhr.onload = () => {
+        resolve({
+          ok: xhr.status >= 200 && xhr.status < 300,
+          status: xhr.status,
+          bytesSent: sentBytes,
+          uploadStart,
+          uploadEnd: uploadEnd || performance.now(),
+        });
+      };
+
+      // Mirror fetch, which reports network and CORS failures as TypeError
+      xhr.onerror = () => reject(new TypeError("Network error during upload"));
+      xhr.timeout = this.testConfig.uploadTimeout;
+      xhr.ontimeout = () =>
+        reject(new DOMException("Upload timed out", "TimeoutError"));
+      xhr.onabort = () =>
+        reject(new DOMException("Upload aborted", "AbortError"));
+
+      // The run's signal outlives every upload, so detach from it when done
+      if (init.signal) {
+        const abort = () => xhr.abort();
+        init.signal.addEventListener("abort", abort, { once: true });
+        xhr.addEventListener("loadend", () =>
+          init.signal.removeEventListener("abort", abort)
+        );
+      }
+
+      xhr.send(init.body);
+    });
+  }
+
+  /**
+   * Fetch-based upload for environments without XMLHttpRequest
+   * The clock stops when response headers arrive, so results include
+   * server processing time and a single sample is reported per request.
+   * @param {{url: string, init: Object}} request - Request from a backend
+   * @param {Function} onSample - Optional sample callback
+   * @returns {Promise<Object>} { ok, status, bytesSent, uploadStart, uploadEnd }
+   */
+  async sendUploadRequestWithFetch({ url, init }, onSample) {
+    // Cancel on the caller's signal or when the request takes too long
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    const timeoutId = setTimeout(cancel, this.testConfig.uploadTimeout);
+    if (init.signal) {
+      init.signal.addEventListener("abort", cancel);
+      if (init.signal.aborted) cancel();
+    }
+
+    const uploadStart = performance.now();
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (controller.signal.aborted && !(init.signal && init.signal.aborted)) {
+        throw new DOMException("Upload timed out", "TimeoutError");
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      if (init.signal) init.signal.removeEventListener("abort", cancel);
+    }
+    const uploadEnd = performance.now();
+    const bytesSent =
+      init.body && init.body.byteLength ? init.body.byteLength : 0;
+
+    if (onSample && response.ok && bytesSent > 0) {
+      onSample({
+        bytes: bytesSent,
+        durationMs: uploadEnd - uploadStart,
+        timestamp: uploadEnd,
+      });
+    }
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      bytesSent,
+      uploadStart,
+      uploadEnd,
+    };
+  }
+
+  generateTestData(size) {
+    // For large uploads, use a more efficient pattern-based approach
+    if (size > 10 * 1024 * 1024) {
+      // 10MB+
+      return this.generateLargeTestData(size);
+    }
+
+    // For smaller uploads, use random data for better accuracy
+    const data = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+      data[i] = Math.floor(Math.random() * 256);
+    }
+    return data;
+  }
+
+  generateLargeTestData(size) {
+    // Create a repeating pattern for efficiency with large files
+    const patternSize = 1024; // 1KB pattern
+    const pattern = new Uint8Array(patternSize);
+
+    // Fill pattern with semi-random but predictable data
+    for (let i = 0; i < patternSize; i++) {
+      pattern[i] = (i * 137 + 71) % 256; // Simple pseudo-random sequence
+    }
+
+    const data = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+      data[i] = pattern[i % patternSize];
+    }
+
+    return data;
+  }
+
+  calculateSpeed(bytes, durationMs) {
+    // Convert to Mbps: (bytes * 8 bits/byte) / (duration in seconds * 1,000,000 bits/Mbps)
+    const durationSeconds = durationMs / 1000;
+    const speedMbps = (bytes * 8) / (durationSeconds * 1000000);
+    return speedMbps;
+  }
+
+  calculateMedian(arr) {
+    const sorted = [...arr].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0
+      ? (sorted[middle - 1] + sorted[middle]) / 2
+      : sorted[middle];
+  }
+
+  /**
+   * Calculate jitter as the mean absolute difference between consecutive
+   * round-trip times (RFC 3550 style interarrival variation, unsmoothed)
+   * @param {Array<number>} rtts - Round-trip times in the order they were measured
+   * @returns {number} Jitter in ms
+   */
+  calculateJitter(rtts) {
+    if (rtts.length < 2) return 0;
+
+    let totalDifference = 0;
+    for (let i = 1; i < rtts.length; i++) {
+      totalDifference += Math.abs(rtts[i] - rtts[i - 1]);
+    }
+    return totalDifference / (rtts.length - 1);
+  }
+}
+
+/**
+ * Page-side handle for an engine running in a dedicated worker
+ *
+ * Exposes the same start/stop/setMeasurementInterval/setBackend methods and
+ * events as SpeedTestEngine. Commands are posted to worker.js and the worker's
+ * events are re-emitted here. When workers are unavailable (e.g. pages opened
+ * from file://) or a backend can't be sent to one, the engine runs in the page
+ * instead and any commands issued so far are replayed to it.
+ */
+class SpeedTestWorkerClient extends SpeedTestEmitter {
+  /**
+   * @param {Object} options - Engine options, see SpeedTestEngine
+   * @param {string} workerUrl - Worker script URL
+   */
+  constructor(options = {}, workerUrl = "worker.js") {
+    super();
+    this.options = options;
+    this.engine = null; // In-page engine once the worker has been given up on
+    this.worker = null;
+    this.ready = false;
+    this.pendingCommands = []; // Commands sent before the worker confirmed it started
+
+    const workerOptions = this.serializeOptions(options);
+    if (typeof Worker === "undefined" || !workerOptions) {
+      this.useLocalEngine();
+      return;
+    }
+
+    try {
+      this.worker = new Worker(workerUrl);
+    } catch (error) {
+      console.warn("Speed test worker unavailable, measuring in page:", error);
+      this.useLocalEngine();
+      return;
+    }
+
+    this.worker.onmessage = ({ data }) => {
+      if (data.type === "ready") {
+        this.ready = true;
+        this.pendingCommands = [];
+        return;
+      }
+      this.emit(data.type, data.detail);
+    };
+
+    this.worker.onerror = (event) => {
+      if (this.ready) {
+        console.error("Speed test worker error:", event.message);
+        this.emit("error", { message: "Critical error during measurement" });
+        return;
+      }
+
+      // The worker script failed to load; measure in the page instead
+      event.preventDefault();
+      console.warn("Speed test worker failed to start, measuring in page");
+      this.useLocalEngine();
+    };
+
+    this.worker.postMessage({ command: "init", args: [workerOptions] });
+  }
+
+  /**
+   * Convert engine options into plain values that can be posted to a worker
+   * @param {Object} options - Engine options
+   * @returns {Object|null} Cloneable options, or null if a backend can't be
+   *   described as a configuration
+   */
+  serializeOptions(options) {
+    const backend = this.serializeBackend(options.backend);
+    const compareBackends = (options.compareBackends || []).map((config) =>
+      this.serializeBackend(config)
+    );
+
+    if (backend === null || compareBackends.includes(null)) return null;
+
+    // The logger stays in the page; the worker logs to its own console
+    const { logger, ...rest } = options;
+    return { ...rest, backend, compareBackends };
+  }
+
+  /**
+   * Convert a backend option into a plain configuration
+   * @param {string|Object|SpeedTestBackend} config - Backend option
+   * @returns {string|Object|undefined|null} Configuration, or null for backend
+   *   instances that don't support toConfig()
+   */
+  serializeBackend(config) {
+    if (config instanceof backendProviders.SpeedTestBackend) {
+      return config.toConfig();
+    }
+    return config;
+  }
+
+  /**
+   * Run the engine in the page from now on
+   */
+  useLocalEngine() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this.engine = new SpeedTestEngine(this.options);
+    for (const type of SpeedTestEngine.EVENTS) {
+      this.engine.on(type, (detail) => this.emit(type, detail));
+    }
+
+    const pending = this.pendingCommands;
+    this.pendingCommands = [];
+    for (const { command, args } of pending) {
+      this.engine[command](...args);
+    }
+  }
+
+  /**
+   * Forward a command to the engine, wherever it runs
+   * @param {string} command - Engine method name
+   * @param {Array} args - Method arguments
+   */
+  send(command, args) {
+    if (this.engine) {
+      this.engine[command](...args);
+      return;
+    }
+
+    if (!this.ready) {
+      this.pendingCommands.push({ command, args });
+    }
+    this.worker.postMessage({ command, args });
+  }
+
+  /**
+   * Start a run, see SpeedTestEngine#start
+   * @param {Object} settings - Run settings
+   */
+  start(settings) {
+    this.send("start", [settings]);
+  }
+
+  /**
+   * Stop the current run
+   */
+  stop() {
+    this.send("stop", []);
+  }
+
+  /**
+   * Change the time between samples
+   * @param {number} interval - Measurement interval in ms
+   */
+  setMeasurementInterval(interval) {
+    this.send("setMeasurementInterval", [interval]);
+  }
+
+  /**
+   * Point all measurements at a different backend
+   * @param {string|Object|SpeedTestBackend} backend - Backend id, options or instance
+   */
+  setBackend(backend) {
+    const config = this.serializeBackend(backend);
+
+    // Custom backend classes only exist in the page
+    if (config === null && !this.engine) {
+      this.useLocalEngine();
+    }
+
+    this.send("setBackend", [this.engine ? backend : config]);
+  }
+}
+
+// Events forwarded from a worker-hosted engine
+SpeedTestEngine.EVENTS = [
+  "sample",
+  "progress",
+  "error",
+  "complete",
+  "status",
+  "servers",
+  "idle-latency",
+  "loaded-latency",
+];
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    MeasurementError,
+    SpeedTestEmitter,
+    SpeedTestEngine,
+    SpeedTestWorkerClient,
+  };
+}
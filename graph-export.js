@@ -0,0 +1,398 @@
+/**
+ * Speed Graph Image Export
+ *
+ * Renders the speed graph for attaching to reports: a title block with the
+ * run's metadata, a legend, axis titles and the plot itself. The plot is
+ * drawn by the same code as the on-screen canvas, either onto an offscreen
+ * canvas for PNG or onto an SVGContext, which records the canvas calls it
+ * receives as SVG elements.
+ */
+
+// Logical image size; PNG exports multiply it by the chosen scale
+const GRAPH_IMAGE_SIZE = { width: 960, height: 540 };
+
+/**
+ * Minimal stand-in for CanvasRenderingContext2D that writes SVG
+ * Supports the subset the graph uses: straight paths, rectangles, text,
+ * dashes, alpha, translate/rotate and save/restore.
+ */
+class SVGContext {
+  /**
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {string} title - Accessible title of the image
+   */
+  constructor(width, height, title = "") {
+    this.width = width;
+    this.height = height;
+    this.title = title;
+    this.elements = [];
+    this.path = [];
+    this.stack = [];
+
+    // Drawing state, mirrored from the canvas API
+    this.strokeStyle = "#000";
+    this.fillStyle = "#000";
+    this.lineWidth = 1;
+    this.font = "10px sans-serif";
+    this.textAlign = "start";
+    this.globalAlpha = 1;
+    this.lineDash = [];
+    this.transforms = [];
+  }
+
+  /**
+   * Remember the drawing state
+   */
+  save() {
+    this.stack.push({
+      strokeStyle: this.strokeStyle,
+      fillStyle: this.fillStyle,
+      lineWidth: this.lineWidth,
+      font: this.font,
+      textAlign: this.textAlign,
+      globalAlpha: this.globalAlpha,
+      lineDash: this.lineDash,
+      transforms: this.transforms,
+    });
+  }
+
+  /**
+   * Go back to the state of the matching save()
+   */
+  restore() {
+    if (this.stack.length > 0) {
+      Object.assign(this, this.stack.pop());
+    }
+  }
+
+  /**
+   * Move the origin
+   * @param {number} x - Horizontal offset
+   * @param {number} y - Vertical offset
+   */
+  translate(x, y) {
+    this.transforms = [
+      ...this.transforms,
+      `translate(${formatSVGNumber(x)} ${formatSVGNumber(y)})`,
+    ];
+  }
+
+  /**
+   * Rotate around the origin
+   * @param {number} angle - Clockwise angle in radians
+   */
+  rotate(angle) {
+    this.transforms = [
+      ...this.transforms,
+      `rotate(${formatSVGNumber((angle * 180) / Math.PI)})`,
+    ];
+  }
+
+  /**
+   * Set the dash pattern of later strokes
+   * @param {number[]} segments - Dash and gap lengths, empty for solid
+   */
+  setLineDash(segments) {
+    this.lineDash = segments;
+  }
+
+  /**
+   * Start a new path
+   */
+  beginPath() {
+    this.path = [];
+  }
+
+  /**
+   * Start a subpath
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   */
+  moveTo(x, y) {
+    this.path.push(`M${formatSVGNumber(x)} ${formatSVGNumber(y)}`);
+  }
+
+  /**
+   * Add a straight line to the path
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   */
+  lineTo(x, y) {
+    this.path.push(`L${formatSVGNumber(x)} ${formatSVGNumber(y)}`);
+  }
+
+  /**
+   * Stroke the current path
+   */
+  stroke() {
+    if (this.path.length === 0) return;
+
+    const dash =
+      this.lineDash.length > 0
+        ? ` stroke-dasharray="${this.lineDash.join(" ")}"`
+        : "";
+    this.addElement(
+      `<path d="${this.path.join(" ")}" fill="none" stroke="${
+        this.strokeStyle
+      }" stroke-width="${this.lineWidth}"${dash}/>`
+    );
+  }
+
+  /**
+   * Fill a rectangle
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Width
+   * @param {number} height - Height
+   */
+  fillRect(x, y, width, height) {
+    this.addElement(
+      `<rect x="${formatSVGNumber(x)}" y="${formatSVGNumber(
+        y
+      )}" width="${formatSVGNumber(width)}" height="${formatSVGNumber(
+        height
+      )}" fill="${this.fillStyle}"/>`
+    );
+  }
+
+  /**
+   * Clearing is a no-op; the image starts out empty
+   */
+  clearRect() {}
+
+  /**
+   * Draw text
+   * @param {string} text - Text to draw
+   * @param {number} x - Anchor x coordinate, see textAlign
+   * @param {number} y - Baseline y coordinate
+   */
+  fillText(text, x, y) {
+    const anchors = { center: "middle", right: "end", end: "end" };
+    this.addElement(
+      `<text x="${formatSVGNumber(x)}" y="${formatSVGNumber(y)}" fill="${
+        this.fillStyle
+      }" text-anchor="${anchors[this.textAlign] || "start"}" style="font: ${
+        this.font
+      }">${escapeMarkup(text)}</text>`
+    );
+  }
+
+  /**
+   * Estimate the width of text in the current font
+   * The viewer picks the actual font, so this is an average glyph width.
+   * @param {string} text - Text to measure
+   * @returns {{width: number}} Estimated width
+   */
+  measureText(text) {
+    const size = /(\d+(?:\.\d+)?)px/.exec(this.font);
+    return {
+      width: String(text).length * (size ? Number(size[1]) : 10) * 0.55,
+    };
+  }
+
+  /**
+   * Append an element, applying the current transform and alpha
+   * @param {string} element - SVG element markup
+   */
+  addElement(element) {
+    const attributes = [
+      this.transforms.length > 0
+        ? ` transform="${this.transforms.join(" ")}"`
+        : "",
+      this.globalAlpha < 1 ? ` opacity="${this.globalAlpha}"` : "",
+    ].join("");
+
+    this.elements.push(
+      attributes ? element.replace(/^<(\w+)/, `<$1${attributes}`) : element
+    );
+  }
+
+  /**
+   * Serialize the drawing
+   * @returns {string} Standalone SVG document
+   */
+  toString() {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+      `<title>${escapeMarkup(this.title)}</title>`,
+      ...this.elements,
+      "</svg>",
+      "",
+    ].join("\n");
+  }
+}
+
+/**
+ * Draw the complete graph image: background, title block, legend, axis
+ * titles and the plot
+ * @param {CanvasRenderingContext2D|SVGContext} ctx - Drawing context
+ * @param {Object} image - What to draw
+ * @param {number} image.width - Image width
+ * @param {number} image.height - Image height
+ * @param {string} image.title - Heading, e.g. the run name
+ * @param {string[]} image.details - Metadata lines under the heading
+ * @param {Array<{label: string, color: string, dash: number[], alpha: number, marker: string}>} image.legend -
+ *   Legend entries; marker is 'line' (default) or 'cross'
+ * @param {Function} image.drawPlot - Called with (ctx, width, height) to draw
+ *   the plot with its origin at the plot's top left corner
+ */
+function drawGraphImage(
+  ctx,
+  { width, height, title, details, legend, drawPlot }
+) {
+  const margin = 24;
+
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, width, height);
+
+  // Title block
+  ctx.textAlign = "left";
+  ctx.fillStyle = "#111";
+  ctx.font = "bold 20px Arial";
+  ctx.fillText(title, margin, margin + 16);
+
+  ctx.fillStyle = "#555";
+  ctx.font = "13px Arial";
+  details.forEach((line, i) => {
+    ctx.fillText(line, margin, margin + 40 + i * 19);
+  });
+
+  // Legend, wrapped onto more rows when it doesn't fit
+  let x = margin;
+  let y = margin + 40 + details.length * 19 + 8;
+  ctx.font = "12px Arial";
+  legend.forEach(({ label, color, dash = [], alpha = 1, marker = "line" }) => {
+    const itemWidth = 30 + ctx.measureText(label).width;
+    if (x > margin && x + itemWidth > width - margin) {
+      x = margin;
+      y += 20;
+    }
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.setLineDash(dash);
+    ctx.beginPath();
+    if (marker === "cross") {
+      ctx.moveTo(x + 6, y - 8);
+      ctx.lineTo(x + 14, y);
+      ctx.moveTo(x + 14, y - 8);
+      ctx.lineTo(x + 6, y);
+    } else {
+      ctx.moveTo(x, y - 4);
+      ctx.lineTo(x + 20, y - 4);
+    }
+    ctx.stroke();
+    ctx.restore();
+
+    ctx.fillStyle = "#333";
+    ctx.fillText(label, x + 26, y);
+    x += itemWidth + 18;
+  });
+
+  // Plot, leaving room for the axis titles; the plot's own top padding
+  // separates it from the legend
+  const plotLeft = margin + 8;
+  const plotTop = y - 30;
+  const plotWidth = width - plotLeft - margin;
+  const plotHeight = height - plotTop - 30;
+
+  ctx.save();
+  ctx.translate(plotLeft, plotTop);
+  drawPlot(ctx, plotWidth, plotHeight);
+  ctx.restore();
+
+  ctx.fillStyle = "#666";
+  ctx.font = "12px Arial";
+  ctx.textAlign = "center";
+  ctx.fillText(
+    "Time since start (s)",
+    plotLeft + (plotWidth + 30) / 2,
+    height - 12
+  );
+
+  ctx.save();
+  ctx.translate(margin, plotTop + (plotHeight + 20) / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillText("Speed (Mbps)", 0, 0);
+  ctx.restore();
+}
+
+/**
+ * Render the graph image as PNG
+ * @param {Object} image - Image description, see drawGraphImage(); the size
+ *   defaults to GRAPH_IMAGE_SIZE
+ * @param {number} scale - Pixels per logical pixel, e.g. 2 for 1920 × 1080
+ * @returns {Promise<Blob>} PNG image
+ */
+function renderGraphPNG(image, scale = 1) {
+  const { width, height } = { ...GRAPH_IMAGE_SIZE, ...image };
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+
+  const ctx = canvas.getContext("2d");
+  ctx.scale(scale, scale);
+  drawGraphImage(ctx, { ...image, width, height });
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error("The browser couldn't encode the image"));
+      }
+    }, "image/png");
+  });
+}
+
+/**
+ * Render the graph image as SVG
+ * @param {Object} image - Image description, see drawGraphImage(); the size
+ *   defaults to GRAPH_IMAGE_SIZE
+ * @returns {string} SVG document
+ */
+function renderGraphSVG(image) {
+  const { width, height } = { ...GRAPH_IMAGE_SIZE, ...image };
+  const ctx = new SVGContext(width, height, image.title);
+  drawGraphImage(ctx, { ...image, width, height });
+  return ctx.toString();
+}
+
+/**
+ * Round a coordinate for SVG output
+ * @param {number} value - Coordinate
+ * @returns {number} Value rounded to two decimals
+ */
+function formatSVGNumber(value) {
+  return Number(value.toFixed(2));
+}
+
+/**
+ * Escape text for use in HTML or SVG content and attributes
+ * Shared by the graph image, the run report and the page.
+ * @param {*} text - Text to escape, converted with String()
+ * @returns {string} Escaped text
+ */
+function escapeMarkup(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SVGContext,
+    drawGraphImage,
+    renderGraphPNG,
+    renderGraphSVG,
+    escapeMarkup,
+    GRAPH_IMAGE_SIZE,
+  };
+}
@@ -0,0 +1,250 @@
+/**
+ * Speed Test Run History
+ *
+ * Keeps finished runs in IndexedDB so they survive the next test and page
+ * reloads. Each run is stored as two records under the same id:
+ *
+ * - runs:    name, times, settings, environment, servers, idle latency and
+ *            the statistics summary, enough to list the history without
+ *            loading samples
+ * - samples: the run's measurementData, graphData and request log, loaded
+ *            when a run is reopened
+ *
+ * Retention limits (number of runs and age) are applied after every save.
+ */
+
+class RunHistory {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {string} options.dbName - IndexedDB database name
+   * @param {Object} options.retention - Initial retention limits, see
+   *   setRetention()
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || "speed-test-history";
+    this.retention = { ...RunHistory.DEFAULT_RETENTION, ...options.retention };
+    this.db = null; // Promise for the open database
+  }
+
+  /**
+   * Check whether the browser can store runs
+   * @returns {boolean} True when IndexedDB is available
+   */
+  static isSupported() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  /**
+   * Open the database, creating the stores on first use
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const runs = db.createObjectStore("runs", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          runs.createIndex("startTime", "startTime");
+          db.createObjectStore("samples", { keyPath: "id" });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () =>
+          reject(
+            new Error("Run history is open in an older version of the page")
+          );
+      });
+
+      // Allow a later call to retry, e.g. after a blocked upgrade
+      this.db.catch(() => {
+        this.db = null;
+      });
+    }
+
+    return this.db;
+  }
+
+  /**
+   * Start a transaction over both stores
+   * @param {string} mode - "readonly" or "readwrite"
+   * @returns {Promise<IDBTransaction>} Transaction
+   */
+  async transaction(mode) {
+    const db = await this.open();
+    return db.transaction(["runs", "samples"], mode);
+  }
+
+  /**
+   * Save a finished run and apply the retention limits
+   * @param {SpeedTestResults} results - Results of the run
+   * @param {string} name - Display name
+   * @returns {Promise<Object>} Stored run summary, including its new id
+   */
+  async save(results, name) {
+    const run = {
+      name,
+      startTime: results.startTime,
+      endTime: results.endTime,
+      settings: results.settings,
+      environment: results.environment,
+      servers: results.servers,
+      idleLatency: results.idleLatency,
+      loadedLatency: results.loadedLatency,
+      statistics: results.summarize(),
+    };
+
+    const tx = await this.transaction("readwrite");
+    const request = tx.objectStore("runs").add(run);
+    request.onsuccess = () => {
+      tx.objectStore("samples").add({
+        id: request.result,
+        measurementData: results.measurementData,
+        graphData: results.graphData,
+        requests: results.requests,
+      });
+    };
+    await transactionDone(tx);
+
+    run.id = request.result;
+    await this.prune();
+    return run;
+  }
+
+  /**
+   * List stored runs, newest first
+   * @returns {Promise<Object[]>} Run summaries without samples
+   */
+  async list() {
+    const tx = await this.transaction("readonly");
+    const runs = await requestResult(
+      tx.objectStore("runs").index("startTime").getAll()
+    );
+    return runs.reverse();
+  }
+
+  /**
+   * Load a run with its samples
+   * @param {number} id - Run id
+   * @returns {Promise<Object|null>} Run data in the shape SpeedTestResults
+   *   accepts, or null if the run no longer exists
+   */
+  async get(id) {
+    const tx = await this.transaction("readonly");
+    const [run, samples] = await Promise.all([
+      requestResult(tx.objectStore("runs").get(id)),
+      requestResult(tx.objectStore("samples").get(id)),
+    ]);
+
+    if (!run || !samples) return null;
+
+    return {
+      ...run,
+      measurementData: samples.measurementData,
+      graphData: samples.graphData,
+      // Runs saved before the request log was kept have none
+      requests: samples.requests || [],
+    };
+  }
+
+  /**
+   * Change the display name of a run
+   * @param {number} id - Run id
+   * @param {string} name - New name
+   */
+  async rename(id, name) {
+    const tx = await this.transaction("readwrite");
+    const runs = tx.objectStore("runs");
+    const run = await requestResult(runs.get(id));
+    if (run) {
+      runs.put({ ...run, name });
+    }
+    await transactionDone(tx);
+  }
+
+  /**
+   * Delete runs and their samples
+   * @param {...number} ids - Run ids
+   */
+  async delete(...ids) {
+    if (ids.length === 0) return;
+
+    const tx = await this.transaction("readwrite");
+    ids.forEach((id) => {
+      tx.objectStore("runs").delete(id);
+      tx.objectStore("samples").delete(id);
+    });
+    await transactionDone(tx);
+  }
+
+  /**
+   * Change the retention limits and apply them
+   * @param {Object} retention - Limits to change
+   * @param {number} retention.maxRuns - Runs to keep, 0 keeps all
+   * @param {number} retention.maxAgeDays - Days to keep runs, 0 keeps them
+   *   forever
+   * @returns {Promise<number>} Number of runs deleted
+   */
+  setRetention(retention) {
+    this.retention = { ...this.retention, ...retention };
+    return this.prune();
+  }
+
+  /**
+   * Delete the runs that fall outside the retention limits
+   * @returns {Promise<number>} Number of runs deleted
+   */
+  async prune() {
+    const { maxRuns, maxAgeDays } = this.retention;
+    const cutoff =
+      maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+    const runs = await this.list();
+    const expired = runs
+      .filter(
+        (run, index) =>
+          (maxRuns > 0 && index >= maxRuns) ||
+          (cutoff !== null && run.startTime < cutoff)
+      )
+      .map((run) => run.id);
+
+    await this.delete(...expired);
+    return expired.length;
+  }
+}
+
+// Keep the last 50 runs, however old
+RunHistory.DEFAULT_RETENTION = { maxRuns: 50, maxAgeDays: 0 };
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Request result
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for an IndexedDB transaction to commit
+ * @param {IDBTransaction} tx - Transaction
+ * @returns {Promise<void>} Resolves once committed
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { RunHistory };
+}
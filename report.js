@@ -0,0 +1,489 @@
+/**
+ * Speed Test Run Report
+ *
+ * Builds a single HTML file describing a run for readers who won't open a
+ * CSV: the settings, the statistics panel, the graph, a failure and outage
+ * summary and a table of every interval. Styles and the graph (inline SVG)
+ * are embedded, so the file reads the same offline, by mail or on paper.
+ */
+
+// Markup escaping comes from graph-export.js, loaded before this file in
+// pages, or required when reports are generated from Node
+const graphExport =
+  typeof module !== "undefined" && module.exports
+    ? require("./graph-export.js")
+    : { escapeMarkup };
+
+/**
+ * Generate the report
+ * @param {SpeedTestResults} results - Results of the run
+ * @param {Object} options - Report contents prepared by the page
+ * @param {string} options.title - Run name
+ * @param {Array<{name: string, items: Array<{label: string, value: string}>}>} options.statistics -
+ *   Statistics panel groups, as shown on the page
+ * @param {string} options.graph - SVG markup of the graph, see renderGraphSVG()
+ * @param {number} options.slowSpeedThreshold - Speeds below this many Mbps
+ *   are highlighted in the interval table
+ * @returns {string} HTML document
+ */
+function generateRunReport(
+  results,
+  { title, statistics, graph, slowSpeedThreshold }
+) {
+  const generatedAt = new Date().toLocaleString();
+  const statisticsGroups = statistics
+    .map(
+      ({ name, items }) => `<section class="stat-group">
+        <h3>${graphExport.escapeMarkup(name)}</h3>
+        <dl>${items
+          .map(
+            ({ label, value }) =>
+              `<dt>${graphExport.escapeMarkup(
+                label
+              )}</dt><dd>${graphExport.escapeMarkup(value)}</dd>`
+          )
+          .join("")}</dl>
+      </section>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${graphExport.escapeMarkup(title)} – Speed Test Report</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<header>
+  <p class="kicker">Internet Speed Test Report</p>
+  <h1>${graphExport.escapeMarkup(title)}</h1>
+  <p class="generated">Generated ${graphExport.escapeMarkup(generatedAt)}</p>
+</header>
+
+<section>
+  <h2>Test Settings</h2>
+  ${renderReportTable(
+    null,
+    null,
+    describeReportSettings(results).map(([label, value]) => [
+      { header: label },
+      value,
+    ])
+  )}
+</section>
+
+<section>
+  <h2>Connection Statistics</h2>
+  <div class="stats-grid">${statisticsGroups}</div>
+  ${renderServerTable(results)}
+</section>
+
+<section>
+  <h2>Speed Over Time</h2>
+  <figure class="graph">${graph.replace(/^<\?xml[^>]*>\s*/, "")}</figure>
+</section>
+
+<section>
+  <h2>Failures and Outages</h2>
+  ${renderFailureSummary(results)}
+</section>
+
+<section>
+  <h2>Intervals</h2>
+  ${renderIntervalTable(results, slowSpeedThreshold)}
+</section>
+
+<footer>
+  Measured by Internet Speed Test from ${graphExport.escapeMarkup(
+    new Date(results.startTime).toLocaleString()
+  )} to ${graphExport.escapeMarkup(new Date(results.endTime).toLocaleString())}.
+  Speeds are in Mbps, latencies in milliseconds.
+</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * List the settings and circumstances of a run
+ * @param {SpeedTestResults} results - Results of the run
+ * @returns {Array<[string, string]>} Label and value pairs
+ */
+function describeReportSettings(results) {
+  const { settings, environment, idleLatency } = results;
+  const typeNames = {
+    download: "Download",
+    upload: "Upload",
+    both: "Download & Upload",
+  };
+  const rows = [
+    ["Test type", typeNames[settings.testType] || settings.testType],
+    [
+      "Duration",
+      settings.testDuration === 0 ? "Continuous" : `${settings.testDuration} s`,
+    ],
+    ["Measurement interval", `${settings.measurementInterval / 1000} s`],
+    [
+      "Connections",
+      settings.connectionMode === "auto" ? "Auto" : settings.connectionMode,
+    ],
+    ["Server", results.describeServers()],
+  ];
+
+  if (results.comparison) {
+    rows.push([
+      "Server comparison",
+      `${results.comparison.backends
+        .map((backend) => backend.name)
+        .join(", ")} (${results.comparison.mode})`,
+    ]);
+  }
+  if (idleLatency && idleLatency.status === "ok") {
+    rows.push(["Idle latency", `${idleLatency.value.toFixed(1)} ms`]);
+  }
+
+  rows.push(
+    ["Started", new Date(results.startTime).toLocaleString()],
+    ["Ended", new Date(results.endTime).toLocaleString()]
+  );
+
+  if (environment) {
+    const { connection } = environment;
+    rows.push([
+      "Measured from",
+      [environment.userAgent || environment.runtime, environment.platform]
+        .filter(Boolean)
+        .join(", "),
+    ]);
+    if (connection && connection.effectiveType) {
+      rows.push([
+        "Network estimate",
+        [
+          connection.type,
+          connection.effectiveType,
+          connection.downlink !== null ? `${connection.downlink} Mbps` : null,
+        ]
+          .filter(Boolean)
+          .join(", "),
+      ]);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Render per-server results of a comparison run
+ * @param {SpeedTestResults} results - Results of the run
+ * @returns {string} Table markup, empty outside comparison mode
+ */
+function renderServerTable(results) {
+  if (!results.comparison) return "";
+
+  const formatSpeed = (stats) => (stats ? stats.avg.toFixed(1) : "--");
+  const formatMs = (value) => (value !== null ? value.toFixed(1) : "--");
+
+  return renderReportTable(
+    `Per-server results (${results.comparison.mode})`,
+    ["Server", "Avg Download", "Avg Upload", "Median Ping", "Jitter", "Failed"],
+    results.comparison.backends.map((backend) => {
+      const stats = results.calculateServerStats(backend);
+      return [
+        { header: backend.name },
+        formatSpeed(stats.download),
+        formatSpeed(stats.upload),
+        formatMs(stats.ping),
+        formatMs(stats.jitter),
+        `${stats.failedIntervals} of ${stats.intervals}`,
+      ];
+    })
+  );
+}
+
+/**
+ * Render the failure counts and the outages of a run
+ * @param {SpeedTestResults} results - Results of the run
+ * @returns {string} Summary markup
+ */
+function renderFailureSummary(results) {
+  const counts = results.countFailures();
+  const totalIntervals = results.graphData.timestamps.length;
+  const outages = findOutages(results);
+
+  if (counts.intervals === 0) {
+    return `<p class="ok">All ${totalIntervals} intervals were measured without failures.</p>`;
+  }
+
+  const downtime = outages.reduce(
+    (total, outage) => total + outage.end - outage.start,
+    0
+  );
+  const outageText =
+    outages.length > 0
+      ? `The connection was down ${
+          outages.length === 1 ? "once" : `${outages.length} times`
+        }, for ${formatReportDuration(downtime)} in total.`
+      : "Every interval still completed at least one measurement.";
+  const summary = `<p>${counts.intervals} of ${totalIntervals} intervals had a failed measurement. ${outageText}</p>`;
+
+  const failureTable = renderReportTable(
+    "Failed measurements",
+    ["Measurement", "Failed", "Reasons"],
+    ["download", "upload", "ping"].map((type) => [
+      { header: type.charAt(0).toUpperCase() + type.slice(1) },
+      String(counts[type].total),
+      Object.entries(counts[type].byStatus)
+        .map(([status, count]) => `${status}: ${count}`)
+        .join(", ") || "--",
+    ])
+  );
+
+  const outageTable =
+    outages.length > 0
+      ? renderReportTable(
+          "Outages (no measurement succeeded)",
+          ["From", "To", "Duration", "Intervals", "Reasons"],
+          outages.map((outage) => [
+            formatReportTime(results, outage.start),
+            formatReportTime(results, outage.end),
+            formatReportDuration(outage.end - outage.start),
+            String(outage.intervals),
+            outage.reasons.join("; "),
+          ])
+        )
+      : "";
+
+  return summary + failureTable + outageTable;
+}
+
+/**
+ * Find the stretches of consecutive intervals in which every measurement
+ * failed
+ * Samples are taken at the end of their interval, so an outage starts when
+ * the last good interval ended.
+ * @param {SpeedTestResults} results - Results of the run
+ * @returns {Array<{start: number, end: number, intervals: number, reasons: string[]}>}
+ *   Outages with start and end in seconds since the run started and the
+ *   distinct failure reasons
+ */
+function findOutages(results) {
+  const { timestamps } = results.graphData;
+  const outages = [];
+  let current = null;
+
+  timestamps.forEach((timestamp, i) => {
+    const measured = ["download", "upload", "ping"].filter(
+      (type) => results.measurementData[type][i]
+    );
+    const failures = results.graphData.failures[i];
+
+    if (measured.length === 0 || failures.length < measured.length) {
+      current = null;
+      return;
+    }
+
+    if (!current) {
+      current = {
+        start: i > 0 ? timestamps[i - 1] : 0,
+        end: timestamp,
+        intervals: 0,
+        reasons: [],
+      };
+      outages.push(current);
+    }
+
+    current.end = timestamp;
+    current.intervals++;
+    failures.forEach(({ status, reason }) => {
+      const description = reason ? `${status} (${reason})` : status;
+      if (!current.reasons.includes(description)) {
+        current.reasons.push(description);
+      }
+    });
+  });
+
+  return outages;
+}
+
+/**
+ * Render one row per interval
+ * @param {SpeedTestResults} results - Results of the run
+ * @param {number} slowSpeedThreshold - Speeds below this many Mbps are
+ *   highlighted
+ * @returns {string} Table markup
+ */
+function renderIntervalTable(results, slowSpeedThreshold) {
+  const showServer = Boolean(results.comparison);
+  const formatSpeed = (sample) => {
+    if (!sample) return "";
+    if (sample.status !== "ok") return { value: "failed", className: "fail" };
+    return {
+      value: sample.value.toFixed(2),
+      className: sample.value < slowSpeedThreshold ? "slow" : "",
+    };
+  };
+  const formatPing = (sample, field, digits = 1) =>
+    sample && sample.status === "ok" && typeof sample[field] === "number"
+      ? sample[field].toFixed(digits)
+      : "";
+
+  const rows = results.graphData.timestamps.map((timestamp, i) => {
+    const download = results.measurementData.download[i];
+    const upload = results.measurementData.upload[i];
+    const ping = results.measurementData.ping[i];
+    const failures = results.graphData.failures[i];
+
+    return {
+      className: failures.length > 0 ? "failed" : "",
+      cells: [
+        formatReportTime(results, timestamp),
+        timestamp.toFixed(1),
+        ...(showServer ? [results.graphData.servers[i] || ""] : []),
+        formatSpeed(download),
+        formatSpeed(upload),
+        formatPing(ping, "value"),
+        formatPing(ping, "jitter"),
+        ping && ping.sent ? (ping.loss * 100).toFixed(1) : "",
+        failures.length > 0
+          ? failures
+              .map(({ type, status, reason }) =>
+                reason ? `${type} ${status}: ${reason}` : `${type} ${status}`
+              )
+              .join("; ")
+          : "ok",
+      ],
+    };
+  });
+
+  return renderReportTable(
+    `${rows.length} intervals; speeds below ${slowSpeedThreshold} Mbps are highlighted`,
+    [
+      "Time",
+      "Elapsed (s)",
+      ...(showServer ? ["Server"] : []),
+      "Download",
+      "Upload",
+      "Ping",
+      "Jitter",
+      "Loss %",
+      "Status",
+    ],
+    rows
+  );
+}
+
+/**
+ * Render a table
+ * @param {string|null} caption - Caption, if any
+ * @param {string[]|null} headers - Column headings, if any
+ * @param {Array} rows - Cell lists, or {className, cells}; a cell is text,
+ *   {value, className} or {header} for a row heading
+ * @returns {string} Table markup with escaped contents
+ */
+function renderReportTable(caption, headers, rows) {
+  const renderCell = (cell) => {
+    if (cell && cell.header !== undefined) {
+      return `<th scope="row">${graphExport.escapeMarkup(cell.header)}</th>`;
+    }
+    if (cell && typeof cell === "object") {
+      const className = cell.className ? ` class="${cell.className}"` : "";
+      return `<td${className}>${graphExport.escapeMarkup(cell.value)}</td>`;
+    }
+    return `<td>${graphExport.escapeMarkup(cell)}</td>`;
+  };
+
+  const body = rows
+    .map((row) => {
+      const { className, cells } = Array.isArray(row)
+        ? { className: "", cells: row }
+        : row;
+      return `<tr${className ? ` class="${className}"` : ""}>${cells
+        .map(renderCell)
+        .join("")}</tr>`;
+    })
+    .join("\n");
+
+  return `<table>
+${caption ? `<caption>${graphExport.escapeMarkup(caption)}</caption>` : ""}
+${
+  headers
+    ? `<thead><tr>${headers
+        .map(
+          (header) => `<th scope="col">${graphExport.escapeMarkup(header)}</th>`
+        )
+        .join("")}</tr></thead>`
+    : ""
+}
+<tbody>
+${body}
+</tbody>
+</table>`;
+}
+
+/**
+ * Format a time within the run as a clock time
+ * @param {SpeedTestResults} results - Results of the run
+ * @param {number} seconds - Seconds since the run started
+ * @returns {string} Local time, e.g. "14:03:12"
+ */
+function formatReportTime(results, seconds) {
+  return new Date(results.startTime + seconds * 1000).toLocaleTimeString();
+}
+
+/**
+ * Format a duration for readers
+ * @param {number} seconds - Duration
+ * @returns {string} e.g. "45 s" or "3 min 20 s"
+ */
+function formatReportDuration(seconds) {
+  const rounded = Math.round(seconds);
+  if (rounded < 60) return `${rounded} s`;
+  return `${Math.floor(rounded / 60)} min ${rounded % 60} s`;
+}
+
+// Embedded in every report; light colors that print well
+const REPORT_STYLES = `
+body {
+  margin: 0 auto;
+  max-width: 1000px;
+  padding: 2rem 1.5rem;
+  font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", system-ui, sans-serif;
+  font-size: 15px;
+  line-height: 1.5;
+  color: #18181b;
+  background: #ffffff;
+}
+header { border-bottom: 2px solid #e4e4e7; margin-bottom: 1.5rem; }
+.kicker { margin: 0; color: #71717a; font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em; }
+h1 { margin: 0.25rem 0; font-size: 1.6rem; }
+h2 { margin: 2rem 0 0.75rem; font-size: 1.2rem; border-bottom: 1px solid #e4e4e7; padding-bottom: 0.25rem; }
+h3 { margin: 0 0 0.5rem; font-size: 0.95rem; color: #52525b; }
+.generated, footer { color: #71717a; font-size: 0.85rem; }
+footer { margin-top: 2.5rem; border-top: 1px solid #e4e4e7; padding-top: 0.75rem; }
+.stats-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(210px, 1fr)); gap: 1rem; }
+.stat-group { border: 1px solid #e4e4e7; border-radius: 8px; padding: 0.75rem 1rem; }
+dl { display: grid; grid-template-columns: auto auto; gap: 0.25rem 1rem; margin: 0; font-size: 0.9rem; }
+dt { color: #52525b; }
+dd { margin: 0; text-align: right; font-variant-numeric: tabular-nums; font-weight: 600; }
+.graph { margin: 0; }
+.graph svg { width: 100%; height: auto; border: 1px solid #e4e4e7; border-radius: 8px; }
+table { width: 100%; border-collapse: collapse; margin: 0.75rem 0; font-size: 0.85rem; font-variant-numeric: tabular-nums; }
+caption { text-align: left; color: #52525b; font-weight: 600; padding-bottom: 0.35rem; }
+th, td { padding: 0.3rem 0.6rem; border-bottom: 1px solid #e4e4e7; text-align: left; vertical-align: top; }
+thead th { background: #f4f4f5; }
+tbody th { font-weight: 600; color: #3f3f46; width: 14rem; }
+tr.failed { background: #fef2f2; }
+td.fail, td.slow { color: #dc2626; font-weight: 600; }
+.ok { color: #15803d; }
+@media print {
+  body { padding: 0; font-size: 12px; }
+  h2 { break-after: avoid; }
+  tr, .stat-group, .graph { break-inside: avoid; }
+}
+`;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { generateRunReport, findOutages };
+}
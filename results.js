@@ -0,0 +1,2254 @@
+/**
+ * Speed Test Results
+ *
+ * Statistics and exports for a finished (or running) speed test, without any
+ * DOM access. The page builds one from its measurement data to fill in the
+ * statistics panel and the CSV download; the command line client (cli.js)
+ * builds one from the engine's complete event, so both produce the same files.
+ * Exported files can be read back with fromCSV() and fromJSON() to view or
+ * compare them later.
+ */
+
+class SpeedTestResults {
+  /**
+   * @param {Object} run - Run data
+   * @param {number} run.startTime - Engine start time (ms since epoch)
+   * @param {number} run.endTime - Engine stop time (ms since epoch)
+   * @param {Object} run.settings - Run settings (testType, testDuration,
+   *   measurementInterval, connectionMode, serverMode)
+   * @param {Object|null} run.servers - Servers event detail from the engine
+   * @param {Object|null} run.idleLatency - Ping sample taken before transfers
+   * @param {Object|null} run.loadedLatency - {download, upload} ping samples
+   *   taken under one direction's load before the intervals of a 'both' run
+   * @param {Object|null} run.environment - Runtime the run was measured from
+   * @param {Object[]} run.requests - Every transfer and latency probe, from
+   *   the engine's request log
+   * @param {Object} run.measurementData - Samples per type {download, upload, ping}
+   * @param {Object} run.graphData - Per-interval {download, upload, timestamps,
+   *   failures, servers} arrays
+   * @param {Object|null} run.sharedStatistics - {latency, bufferbloat} of the
+   *   original run for runs opened from a share link, whose samples don't
+   *   keep every round trip
+   * @param {Object} config - Overrides for the statistics configuration
+   */
+  constructor(
+    {
+      startTime = null,
+      endTime = null,
+      settings,
+      servers = null,
+      idleLatency = null,
+      loadedLatency = null,
+      environment = null,
+      requests = [],
+      measurementData = { download: [], upload: [], ping: [] },
+      graphData = {
+        download: [],
+        upload: [],
+        timestamps: [],
+        failures: [],
+        servers: [],
+      },
+      sharedStatistics = null,
+    },
+    config = {}
+  ) {
+    this.startTime = startTime;
+    this.endTime = endTime;
+    this.settings = settings;
+    this.servers = servers;
+    this.comparison = servers ? servers.comparison : null;
+    this.serverSelection = servers ? servers.selection : null;
+    this.idleLatency = idleLatency;
+    this.loadedLatency = loadedLatency;
+    this.environment = environment;
+    this.requests = requests;
+    this.measurementData = measurementData;
+    this.graphData = graphData;
+    this.sharedStatistics = sharedStatistics;
+    this.config = { ...this.initializeConfig(), ...config };
+  }
+
+  /**
+   * Build results from the engine's complete event
+   * @param {Object} run - Complete event detail with the run's samples
+   * @param {Object} config - Overrides for the statistics configuration
+   * @returns {SpeedTestResults} Results for the run
+   */
+  static fromRun(run, config) {
+    const results = new SpeedTestResults(run, config);
+    run.samples.forEach((sample) => results.addSample(sample));
+    return results;
+  }
+
+  /**
+   * Rebuild results from a file written by generateJSON()
+   * Files from before the format was versioned have no environment or
+   * request log but are otherwise read the same way.
+   * @param {string} text - JSON export
+   * @param {Object} config - Overrides for the statistics configuration
+   * @returns {SpeedTestResults} Results for the exported run
+   * @throws {Error} When the text isn't a speed test JSON export, was
+   *   written by a newer format version or an interval is malformed; interval
+   *   errors name the interval
+   */
+  static fromJSON(text, config) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error("File is not valid JSON");
+    }
+
+    if (
+      !data ||
+      !data.settings ||
+      !Array.isArray(data.intervals) ||
+      data.intervals.some(
+        (interval) =>
+          !interval ||
+          typeof interval.relativeTime !== "number" ||
+          !interval.ping
+      )
+    ) {
+      throw new Error("File is not a speed test JSON export");
+    }
+    if (data.version > SpeedTestResults.JSON_FORMAT.version) {
+      throw new Error(
+        `File uses JSON format version ${data.version}, newer than this app supports`
+      );
+    }
+    data.intervals.forEach((interval, i) => {
+      const error = findJSONIntervalError(interval);
+      if (error) throw new Error(`Interval ${i + 1}: ${error}`);
+    });
+    const { loadedLatency } = data;
+    const latencySamples = [
+      ["idleLatency", data.idleLatency],
+      ["loadedLatency.download", loadedLatency && loadedLatency.download],
+      ["loadedLatency.upload", loadedLatency && loadedLatency.upload],
+    ];
+    latencySamples.forEach(([name, sample]) => {
+      const error = sample ? findJSONSampleError(name, sample, true) : null;
+      if (error) throw new Error(`File is damaged: ${error}`);
+    });
+
+    const samples = data.intervals.map((interval) => ({
+      timestamp: interval.relativeTime,
+      download: interval.download,
+      upload: interval.upload,
+      ping: interval.ping,
+      failures: listFailures(interval),
+      server: interval.server,
+    }));
+
+    return SpeedTestResults.fromRun(
+      {
+        startTime: Date.parse(data.startTime),
+        endTime: Date.parse(data.endTime),
+        settings: data.settings,
+        servers: data.servers,
+        idleLatency: data.idleLatency,
+        loadedLatency: data.loadedLatency || null,
+        environment: data.environment || null,
+        samples,
+        requests: (data.requests || []).map(({ relativeTime, ...request }) => ({
+          ...request,
+          timestamp: relativeTime,
+        })),
+      },
+      config
+    );
+  }
+
+  /**
+   * Rebuild results from either export format
+   * @param {string} text - Contents of a CSV or JSON export
+   * @param {Object} config - Overrides for the statistics configuration
+   * @returns {SpeedTestResults} Results for the exported run
+   * @throws {Error} When the text isn't a speed test export
+   */
+  static fromExport(text, config) {
+    return text.trim().startsWith("{")
+      ? SpeedTestResults.fromJSON(text, config)
+      : SpeedTestResults.fromCSV(text, config);
+  }
+
+  /**
+   * Rebuild results from a share link written by generateShareToken()
+   * Round trips are rebuilt from each interval's min, median and max; the
+   * latency and bufferbloat figures come from the original run instead.
+   * @param {string} token - Token from the link's #share= fragment
+   * @param {Object} config - Overrides for the statistics configuration
+   * @returns {Promise<{name: string, results: SpeedTestResults}>} Run name
+   *   and results
+   * @throws {Error} When the token is damaged or from a newer version
+   */
+  static async fromShareToken(token, config) {
+    const separator = token.indexOf(".");
+    const version = Number(token.slice(0, separator));
+    if (separator <= 0 || !Number.isInteger(version)) {
+      throw new Error("Link is not a speed test share link");
+    }
+    if (version > SpeedTestResults.SHARE_VERSION) {
+      throw new Error(
+        `Link uses share format version ${version}, newer than this app supports`
+      );
+    }
+
+    let data;
+    try {
+      data = JSON.parse(await decodeShareData(token.slice(separator + 1)));
+    } catch (error) {
+      throw new Error("Link is incomplete or damaged");
+    }
+    if (!isValidShareData(data)) {
+      throw new Error("Link is incomplete or damaged");
+    }
+
+    const expandTransfer = (transfer, server) => {
+      if (!transfer) return null;
+
+      const [value, connections, status = "ok", reason = ""] = transfer;
+      return { value, status, reason, connections, timing: null, server };
+    };
+    const expandPing = (ping, server) => {
+      const [value, min, max, jitter, sent, lost, load, status, reason] = ping;
+      return {
+        value,
+        status: status || "ok",
+        reason: reason || "",
+        min,
+        max,
+        jitter,
+        loss: sent > 0 ? lost / sent : 1,
+        sent,
+        lost,
+        rtts: value !== null ? [min, value, max] : [],
+        timing: null,
+        load,
+        server,
+      };
+    };
+
+    const samples = data.intervals.map(
+      ([timestamp, download, upload, ping, server]) => {
+        const sample = {
+          timestamp,
+          download: expandTransfer(download, server),
+          upload: expandTransfer(upload, server),
+          ping: expandPing(ping, server),
+          server,
+        };
+        sample.failures = listFailures(sample);
+        return sample;
+      }
+    );
+
+    return {
+      name: data.name,
+      results: SpeedTestResults.fromRun(
+        {
+          startTime: data.startTime,
+          endTime: data.endTime,
+          settings: data.settings,
+          servers: data.servers,
+          idleLatency:
+            data.idleLatency !== null
+              ? { value: data.idleLatency, status: "ok", reason: "" }
+              : null,
+          sharedStatistics: data.statistics,
+          samples,
+        },
+        config
+      ),
+    };
+  }
+
+  /**
+   * Rebuild results from a file written by generateCSV()
+   * The CSV keeps every interval's figures but not all of the run's detail:
+   * individual round trips are rebuilt from each interval's min, median and
+   * max, probe counts from the loss ratio and latencyBurstSize, the
+   * measurement interval from the spacing of the rows, and servers from the
+   * metadata lines. Files from versions that didn't export statuses are
+   * read too, treating empty values as failed measurements.
+   * @param {string} text - CSV export
+   * @param {Object} config - Overrides for the statistics configuration
+   * @returns {SpeedTestResults} Results for the exported run
+   * @throws {Error} When the text isn't a speed test CSV export or a row is
+   *   malformed; row errors name the line
+   */
+  static fromCSV(text, config) {
+    const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+    if (lines[0].trim() !== "# Internet Speed Test Results") {
+      throw new Error("File is not a speed test CSV export");
+    }
+
+    const headerIndex = lines.findIndex((line) =>
+      line.startsWith("Timestamp,")
+    );
+    if (headerIndex === -1) {
+      throw new Error("File has no measurement table");
+    }
+
+    // "# Name: value" lines above the table
+    const metadata = {};
+    lines.slice(1, headerIndex).forEach((line) => {
+      const match = line.match(/^# ([^:]+): (.*)$/);
+      if (match) metadata[match[1]] = match[2].trim();
+    });
+
+    const testType = metadata["Test Type"];
+    if (!["download", "upload", "both"].includes(testType)) {
+      throw new Error("File has no valid test type");
+    }
+
+    const startTime = Date.parse(metadata["Start Time"]);
+    if (Number.isNaN(startTime)) {
+      throw new Error("File has no valid start time");
+    }
+
+    const headers = parseCSVRow(lines[headerIndex]);
+    const missing = CSV_REQUIRED_COLUMNS.filter(
+      (column) => !headers.includes(column)
+    );
+    if (missing.length > 0) {
+      throw new Error(`File is missing columns: ${missing.join(", ")}`);
+    }
+
+    // The table ends at the blank line before the statistics summary
+    let tableEnd = headerIndex + 1;
+    while (
+      tableEnd < lines.length &&
+      lines[tableEnd].trim() !== "" &&
+      !lines[tableEnd].startsWith("#")
+    ) {
+      tableEnd++;
+    }
+
+    const rows = lines.slice(headerIndex + 1, tableEnd).map((line, i) => {
+      const values = parseCSVRow(line);
+      if (values.length !== headers.length) {
+        throw new Error(
+          `Line ${headerIndex + i + 2}: expected ${headers.length} columns, found ${values.length}`
+        );
+      }
+
+      const row = {};
+      headers.forEach((header, k) => {
+        row[header] = values[k];
+      });
+      return row;
+    });
+
+    const duration = metadata.Duration;
+    const idleLatency = parseFloat(metadata["Idle Latency"]);
+    const loadedLatency = parseCSVLoadedLatency(metadata["Loaded Latency"]);
+    const endTime = Date.parse(metadata["End Time"]);
+    const servers = parseCSVServers(metadata, lines.slice(tableEnd));
+    const results = new SpeedTestResults(
+      {
+        startTime,
+        endTime: Number.isNaN(endTime) ? null : endTime,
+        settings: {
+          testType,
+          testDuration:
+            duration === "Continuous" ? 0 : parseInt(duration) || null,
+          measurementInterval: null,
+          connectionMode: metadata.Connections || "unknown",
+          serverMode: servers
+            ? servers.comparison
+              ? servers.comparison.mode
+              : servers.selection
+              ? "auto"
+              : "single"
+            : "single",
+        },
+        servers,
+        idleLatency: Number.isNaN(idleLatency)
+          ? null
+          : { value: idleLatency, status: "ok", reason: "" },
+        loadedLatency,
+      },
+      config
+    );
+
+    rows.forEach((row, i) => {
+      try {
+        results.addSample(results.parseCSVSample(row));
+      } catch (error) {
+        throw new Error(`Line ${headerIndex + i + 2}: ${error.message}`);
+      }
+    });
+
+    const { timestamps } = results.graphData;
+    if (results.endTime === null) {
+      const lastTime = timestamps[timestamps.length - 1] || 0;
+      results.endTime = startTime + lastTime * 1000;
+    }
+
+    // The interval isn't exported; the median spacing of the rows is close
+    // to it, rounded to the whole seconds the controls offer
+    if (timestamps.length > 1) {
+      const gaps = timestamps.slice(1).map((time, i) => time - timestamps[i]);
+      results.settings.measurementInterval =
+        Math.max(1, Math.round(results.calculateMedian(gaps))) * 1000;
+    }
+
+    return results;
+  }
+
+  /**
+   * Rebuild an interval sample from a row of the CSV table
+   * @param {Object} row - Cell values by column name
+   * @returns {Object} Sample in the shape the engine reports
+   * @throws {Error} When a cell doesn't hold the expected value
+   */
+  parseCSVSample(row) {
+    const number = (column) => {
+      const text = row[column];
+      if (text === undefined || text === "") return null;
+
+      const value = Number(text);
+      if (!Number.isFinite(value)) {
+        throw new Error(`${column} is not a number: "${text}"`);
+      }
+      return value;
+    };
+
+    // Files can come from anyone, so statuses and loads must be known values
+    const known = (column, allowed) => {
+      const text = row[column];
+      if (!allowed.includes(text)) {
+        throw new Error(`${column} is not a known value: "${text}"`);
+      }
+      return text;
+    };
+
+    const timestamp = row.Timestamp
+      ? (Date.parse(row.Timestamp) - this.startTime) / 1000
+      : number("Relative_Time_Seconds");
+    if (timestamp === null || Number.isNaN(timestamp)) {
+      throw new Error("Row has no valid time");
+    }
+
+    // "download: reason; ping: reason" - reasons may contain "; " themselves
+    const reasons = {};
+    (row.Failure_Reason || "")
+      .split(/; (?=(?:download|upload|ping): )/)
+      .forEach((part) => {
+        const match = part.match(/^(download|upload|ping): ([\s\S]*)$/);
+        if (match) reasons[match[1]] = match[2];
+      });
+
+    const server = row.Server || null;
+
+    const parseTiming = (label) => {
+      const phases = {
+        dns: number(`${label}_DNS_ms`),
+        tcp: number(`${label}_TCP_ms`),
+        tls: number(`${label}_TLS_ms`),
+        ttfb: number(`${label}_TTFB_ms`),
+        transfer: number(`${label}_Transfer_ms`),
+      };
+      const protocol = row[`${label}_Protocol`] || "";
+      if (!protocol && Object.values(phases).every((value) => value === null)) {
+        return null;
+      }
+
+      // Request counts aren't exported; setup phases imply a new connection
+      const connected =
+        phases.dns !== null || phases.tcp !== null || phases.tls !== null;
+      return {
+        requests: null,
+        newConnections: connected ? 1 : 0,
+        ...phases,
+        protocol,
+      };
+    };
+
+    // Files from before statuses were exported only hold the values; there an
+    // empty cell means the measurement failed
+    const derivedStatus = (type, valueColumn) => {
+      if (row[valueColumn]) return "ok";
+      reasons[type] = reasons[type] || "No value recorded in the file";
+      return "network-error";
+    };
+
+    const parseTransfer = (type, label) => {
+      let status;
+      if (`${label}_Status` in row) {
+        if (!row[`${label}_Status`]) return null;
+        status = known(`${label}_Status`, SAMPLE_STATUSES);
+      } else {
+        const { testType } = this.settings;
+        if (testType !== "both" && testType !== type) return null;
+        status = derivedStatus(type, `${label}_Mbps`);
+      }
+
+      const value = number(`${label}_Mbps`);
+      if (status === "ok" && value === null) {
+        throw new Error(`${label}_Mbps is empty for a successful sample`);
+      }
+
+      return {
+        value: status === "ok" ? value : null,
+        status,
+        reason: reasons[type] || "",
+        connections: number(`${label}_Connections`),
+        timing: parseTiming(label),
+        server,
+      };
+    };
+
+    let pingStatus;
+    if ("Ping_Status" in row) {
+      if (!row.Ping_Status) {
+        throw new Error("Ping_Status is empty");
+      }
+      pingStatus = known("Ping_Status", SAMPLE_STATUSES);
+    } else {
+      pingStatus = derivedStatus("ping", "Ping_ms");
+    }
+
+    const lossPercent = number("Ping_Loss_Percent");
+    const loss =
+      lossPercent !== null ? lossPercent / 100 : pingStatus === "ok" ? 0 : 1;
+    const sent = this.config.latencyBurstSize;
+    const ping = {
+      value: null,
+      status: pingStatus,
+      reason: reasons.ping || "",
+      min: null,
+      max: null,
+      jitter: null,
+      loss,
+      sent,
+      lost: Math.round(loss * sent),
+      rtts: [],
+      timing: parseTiming("Ping"),
+      load: row.Ping_Load ? known("Ping_Load", PING_LOADS) : null,
+      server,
+    };
+
+    if (pingStatus === "ok") {
+      const value = number("Ping_ms");
+      if (value === null) {
+        throw new Error("Ping_ms is empty for a successful sample");
+      }
+
+      const min = number("Ping_Min_ms");
+      const max = number("Ping_Max_ms");
+      const jitter = number("Jitter_ms");
+      Object.assign(ping, {
+        value,
+        min: min !== null ? min : value,
+        max: max !== null ? max : value,
+        jitter: jitter !== null ? jitter : 0,
+        rtts: [min, value, max].filter((rtt) => rtt !== null),
+      });
+    }
+
+    const sample = {
+      timestamp,
+      download: parseTransfer("download", "Download"),
+      upload: parseTransfer("upload", "Upload"),
+      ping,
+      server,
+    };
+    sample.failures = listFailures(sample);
+
+    return sample;
+  }
+
+  /**
+   * Initialize statistics configuration parameters
+   * @returns {Object} Statistics configuration object
+   */
+  initializeConfig() {
+    return {
+      warmupMeasurements: 3, // Number of initial measurements to exclude from statistics
+      latencyBurstSize: 5, // Probes per interval assumed for imported CSV files, which only record the loss ratio
+      // Bufferbloat grades by increase of loaded over idle median latency (ms);
+      // anything above the last threshold is graded F
+      bufferbloatGrades: [
+        { grade: "A+", maxIncrease: 5 },
+        { grade: "A", maxIncrease: 30 },
+        { grade: "B", maxIncrease: 60 },
+        { grade: "C", maxIncrease: 200 },
+        { grade: "D", maxIncrease: 400 },
+      ],
+    };
+  }
+
+  /**
+   * Append one interval sample from the engine
+   * @param {Object} sample - Sample event detail
+   */
+  addSample({ timestamp, download, upload, ping, failures, server }) {
+    this.measurementData.ping.push(ping);
+
+    // Always add data points to keep arrays synchronized (null leaves a gap)
+    if (download) {
+      this.measurementData.download.push(download);
+      this.graphData.download.push(download.value);
+    }
+
+    if (upload) {
+      this.measurementData.upload.push(upload);
+      this.graphData.upload.push(upload.value);
+    }
+
+    this.graphData.timestamps.push(timestamp);
+    this.graphData.failures.push(failures);
+    this.graphData.servers.push(server);
+  }
+
+  /**
+   * Check whether any interval produced a sample
+   * @returns {boolean} True when there is something to export
+   */
+  hasData() {
+    return (
+      this.measurementData.download.length > 0 ||
+      this.measurementData.upload.length > 0 ||
+      this.measurementData.ping.length > 0
+    );
+  }
+
+  /**
+   * Calculate stability as 100% minus the coefficient of variation of the
+   * warmed-up throughput, averaged over both directions for 'both' runs
+   * @returns {number} Stability percentage, 0 without warmed-up data
+   */
+  calculateStability() {
+    const { testType } = this.settings;
+    let stability = 0;
+
+    if (testType === "download" && this.measurementData.download.length > 0) {
+      const warmedUpData = this.getWarmedUpData(this.measurementData.download);
+      if (warmedUpData.length > 0) {
+        const downloadCV = this.calculateCV(warmedUpData);
+        stability = Math.max(0, 100 - downloadCV);
+      }
+    } else if (
+      testType === "upload" &&
+      this.measurementData.upload.length > 0
+    ) {
+      const warmedUpData = this.getWarmedUpData(this.measurementData.upload);
+      if (warmedUpData.length > 0) {
+        const uploadCV = this.calculateCV(warmedUpData);
+        stability = Math.max(0, 100 - uploadCV);
+      }
+    } else if (
+      testType === "both" &&
+      this.measurementData.download.length > 0 &&
+      this.measurementData.upload.length > 0
+    ) {
+      const warmedUpDownload = this.getWarmedUpData(
+        this.measurementData.download
+      );
+      const warmedUpUpload = this.getWarmedUpData(this.measurementData.upload);
+
+      if (warmedUpDownload.length > 0 && warmedUpUpload.length > 0) {
+        const downloadCV = this.calculateCV(warmedUpDownload);
+        const uploadCV = this.calculateCV(warmedUpUpload);
+        stability = Math.max(0, 100 - (downloadCV + uploadCV) / 2);
+      }
+    }
+
+    return stability;
+  }
+
+  /**
+   * Summarize the run with the same figures as the CSV statistics summary
+   * @returns {Object} Per-type avg/max/min/p98 (null without successful
+   *   samples, p98 null before warm-up), latency, bufferbloat, stability,
+   *   failure counts and per-server results in comparison mode
+   */
+  summarize() {
+    const summarizeType = (type) => {
+      const values = this.getSuccessfulValues(this.measurementData[type]);
+      if (values.length === 0) return null;
+
+      // The percentile only covers warmed-up intervals, which short runs lack
+      const p98 = this.calculate98thPercentile(this.measurementData[type]);
+      return {
+        avg: this.calculateAverage(values),
+        max: Math.max(...values),
+        min: Math.min(...values),
+        p98: Number.isFinite(p98) ? p98 : null,
+      };
+    };
+    const latency = this.calculateLatencyStats();
+
+    return {
+      download: summarizeType("download"),
+      upload: summarizeType("upload"),
+      ping: summarizeType("ping"),
+      latency: latency.sent > 0 ? latency : null,
+      bufferbloat: this.calculateBufferbloat(),
+      stability: this.calculateStability(),
+      failures: {
+        ...this.countFailures(),
+        totalIntervals: this.graphData.timestamps.length,
+      },
+      servers: this.comparison
+        ? this.comparison.backends.map((backend) => ({
+            id: backend.id,
+            name: backend.name,
+            ...this.calculateServerStats(backend),
+          }))
+        : null,
+    };
+  }
+
+  /**
+   * Calculate the throughput figures shown in the statistics panel
+   * @returns {Object} {download, upload} with warmed-up avg/min/p98 (null
+   *   before warm-up) and stability
+   */
+  calculateHeadlineStats() {
+    const typeStats = (type) => {
+      const data = this.measurementData[type];
+      if (this.getWarmedUpData(data).length === 0) return null;
+
+      const { avg, min } = this.calculateWarmedUpStats(data);
+      return { avg, min, p98: this.calculate98thPercentile(data) };
+    };
+
+    return {
+      download: typeStats("download"),
+      upload: typeStats("upload"),
+      stability: this.calculateStability(),
+    };
+  }
+
+  /**
+   * Compare the headline figures with a baseline run
+   * @param {SpeedTestResults} baseline - Run to compare against
+   * @returns {Object[]} {type, metric, current, baseline, delta, percent} for
+   *   each figure both runs have; percent is null for a zero baseline
+   */
+  compareWith(baseline) {
+    const current = this.calculateHeadlineStats();
+    const reference = baseline.calculateHeadlineStats();
+    const compare = (type, metric, currentValue, baselineValue) => ({
+      type,
+      metric,
+      current: currentValue,
+      baseline: baselineValue,
+      delta: currentValue - baselineValue,
+      percent:
+        baselineValue !== 0
+          ? ((currentValue - baselineValue) / baselineValue) * 100
+          : null,
+    });
+
+    const rows = [];
+    ["download", "upload"].forEach((type) => {
+      if (!current[type] || !reference[type]) return;
+
+      ["avg", "min", "p98"].forEach((metric) => {
+        rows.push(
+          compare(type, metric, current[type][metric], reference[type][metric])
+        );
+      });
+    });
+
+    // Stability is only meaningful once both runs have warmed-up throughput
+    if (rows.length > 0) {
+      rows.push(
+        compare(
+          "stability",
+          "stability",
+          current.stability,
+          reference.stability
+        )
+      );
+    }
+
+    return rows;
+  }
+
+  /**
+   * Generate a JSON document with everything recorded about the run: settings,
+   * environment, servers, every interval sample, every individual request and
+   * the statistics. The layout is described by results.schema.json and
+   * versioned through the format and version fields.
+   * @returns {string} Pretty-printed JSON
+   */
+  generateJSON() {
+    const toISOString = (relativeTime) =>
+      new Date(this.startTime + relativeTime * 1000).toISOString();
+    const intervals = this.graphData.timestamps.map((timestamp, i) => ({
+      timestamp: toISOString(timestamp),
+      relativeTime: timestamp,
+      server: this.graphData.servers[i],
+      download: this.measurementData.download[i] || null,
+      upload: this.measurementData.upload[i] || null,
+      ping: this.measurementData.ping[i] || null,
+    }));
+
+    const requests = this.requests.map(({ timestamp, ...request }) => ({
+      timestamp: toISOString(timestamp),
+      relativeTime: timestamp,
+      ...request,
+    }));
+
+    return JSON.stringify(
+      {
+        ...SpeedTestResults.JSON_FORMAT,
+        generatedAt: new Date().toISOString(),
+        startTime: new Date(this.startTime).toISOString(),
+        endTime: new Date(this.endTime).toISOString(),
+        actualDuration: (this.endTime - this.startTime) / 1000,
+        settings: this.settings,
+        environment: this.environment,
+        servers: this.servers,
+        idleLatency: this.idleLatency,
+        loadedLatency: this.loadedLatency,
+        statistics: this.summarize(),
+        intervals,
+        requests,
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Encode the run for a share link
+   * Keeps what the graph, tooltips and statistics panel need: settings,
+   * servers, each interval's speeds, latency burst summary and failures,
+   * and the latency and bufferbloat figures, which depend on every round
+   * trip. Request timings, the request log and the environment are left out
+   * to keep links short. The JSON is deflated and base64url encoded.
+   * @param {string} name - Run name
+   * @returns {Promise<string>} Token for the link's #share= fragment
+   */
+  async generateShareToken(name) {
+    const round = (value, digits) =>
+      typeof value === "number" ? Number(value.toFixed(digits)) : null;
+    const compactBackend = (backend) =>
+      backend ? { id: backend.id, name: backend.name } : null;
+    const compactTransfer = (sample) => {
+      if (!sample) return null;
+
+      const compact = [round(sample.value, 2), sample.connections || null];
+      return sample.status === "ok"
+        ? compact
+        : [...compact, sample.status, sample.reason];
+    };
+    const compactPing = (sample) => {
+      const compact = [
+        round(sample.value, 2),
+        round(sample.min, 2),
+        round(sample.max, 2),
+        round(sample.jitter, 2),
+        sample.sent || 0,
+        sample.lost || 0,
+        sample.load || null,
+      ];
+      return sample.status === "ok"
+        ? compact
+        : [...compact, sample.status, sample.reason];
+    };
+
+    const servers = this.servers && {
+      download: compactBackend(this.servers.download),
+      upload: compactBackend(this.servers.upload),
+      latency: compactBackend(this.servers.latency),
+      selection: this.serverSelection && {
+        selected: compactBackend(this.serverSelection.selected),
+        latency: this.serverSelection.latency,
+        candidates: [],
+      },
+      comparison: this.comparison && {
+        mode: this.comparison.mode,
+        backends: this.comparison.backends.map(compactBackend),
+      },
+    };
+
+    const data = {
+      name,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      settings: this.settings,
+      servers,
+      idleLatency:
+        this.idleLatency && this.idleLatency.status === "ok"
+          ? round(this.idleLatency.value, 2)
+          : null,
+      statistics: {
+        latency: this.calculateLatencyStats(),
+        bufferbloat: this.calculateBufferbloat(),
+      },
+      intervals: this.graphData.timestamps.map((timestamp, i) => [
+        round(timestamp, 3),
+        compactTransfer(this.measurementData.download[i]),
+        compactTransfer(this.measurementData.upload[i]),
+        compactPing(this.measurementData.ping[i]),
+        this.graphData.servers[i] || null,
+      ]),
+    };
+
+    return `${SpeedTestResults.SHARE_VERSION}.${await encodeShareData(
+      JSON.stringify(data)
+    )}`;
+  }
+
+  /**
+   * Collect the run's summary figures as labelled metrics for the Prometheus
+   * and InfluxDB exports
+   * Each metric is labelled with the backend id it was measured against; in
+   * comparison mode throughput and latency are reported per server.
+   * @returns {Array<{name: string, labels: Object, value: number}>} Metrics
+   *   grouped by name, without figures the run didn't produce
+   */
+  collectMetrics() {
+    const stats = this.summarize();
+    const metrics = [];
+    const add = (name, labels, value) => {
+      if (typeof value === "number" && Number.isFinite(value)) {
+        metrics.push({ name, labels, value });
+      }
+    };
+    const serverOf = (type) =>
+      this.servers ? this.servers[type].id : "unknown";
+    const runServer = this.describeServerIds();
+    const perServer = this.comparison ? stats.servers : null;
+
+    ["download", "upload"].forEach((type) => {
+      const name = `${type}_mbps`;
+      if (perServer) {
+        perServer.forEach((server) => {
+          ["avg", "min", "max"].forEach((stat) =>
+            add(
+              name,
+              { server: server.id, stat },
+              server[type] && server[type][stat]
+            )
+          );
+        });
+      } else if (stats[type]) {
+        ["avg", "min", "max", "p98"].forEach((stat) =>
+          add(name, { server: serverOf(type), stat }, stats[type][stat])
+        );
+      }
+    });
+
+    if (perServer) {
+      perServer.forEach((server) => {
+        add("latency_ms", { server: server.id, stat: "median" }, server.ping);
+        add("latency_ms", { server: server.id, stat: "jitter" }, server.jitter);
+      });
+    } else {
+      const server = serverOf("latency");
+      add("latency_ms", { server, stat: "idle" }, stats.bufferbloat.idle);
+      if (stats.latency) {
+        ["median", "min", "max", "jitter"].forEach((stat) =>
+          add("latency_ms", { server, stat }, stats.latency[stat])
+        );
+      }
+    }
+
+    if (stats.latency) {
+      add("packet_loss_ratio", { server: runServer }, stats.latency.loss);
+    }
+    ["download", "upload"].forEach((direction) => {
+      const loaded = stats.bufferbloat[direction];
+      add(
+        "bufferbloat_ms",
+        { server: runServer, direction },
+        loaded && loaded.increase
+      );
+    });
+    add("stability_percent", { server: runServer }, stats.stability);
+    add("intervals", { server: runServer }, stats.failures.totalIntervals);
+    add("failed_intervals", { server: runServer }, stats.failures.intervals);
+    add(
+      "duration_seconds",
+      { server: runServer },
+      (this.endTime - this.startTime) / 1000
+    );
+    add("start_time_seconds", { server: runServer }, this.startTime / 1000);
+
+    return metrics;
+  }
+
+  /**
+   * Identify the servers of the whole run for metric labels
+   * @returns {string} Backend id, or ids joined with "+" when the run used
+   *   several, e.g. "cloudflare+httpbin"
+   */
+  describeServerIds() {
+    if (!this.servers) return "unknown";
+
+    const backends = this.comparison
+      ? this.comparison.backends
+      : [this.servers.download, this.servers.upload, this.servers.latency];
+    return [...new Set(backends.map((backend) => backend.id))].join("+");
+  }
+
+  /**
+   * Generate InfluxDB line protocol: one point per interval and transfer type
+   * with the interval's figures, followed by the summary metrics stamped with
+   * the run's end time
+   * @param {string} label - Run label added as a tag, omitted when empty
+   * @returns {string} Line protocol with nanosecond timestamps
+   */
+  generateInfluxLineProtocol(label = "") {
+    const line = (measurement, tags, fields, time) => {
+      const fieldSet = Object.entries(fields)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `${key}=${formatInfluxField(value)}`)
+        .join(",");
+      if (!fieldSet) return null;
+
+      const tagSet = Object.entries({ label, ...tags })
+        .filter(([, value]) => value)
+        .map(([key, value]) => `,${key}=${escapeInfluxTag(value)}`)
+        .join("");
+      // Nanoseconds exceed Number's integer precision, so append the zeros
+      return `${measurement}${tagSet} ${fieldSet} ${Math.round(time)}000000`;
+    };
+    const runServer = this.describeServerIds();
+    const lines = [];
+
+    this.graphData.timestamps.forEach((timestamp, i) => {
+      const time = this.startTime + timestamp * 1000;
+
+      ["download", "upload"].forEach((type) => {
+        const sample = this.measurementData[type][i];
+        if (!sample) return;
+        lines.push(
+          line(
+            `speedtest_${type}`,
+            { server: sample.server || runServer },
+            {
+              mbps: sample.value,
+              connections: sample.connections,
+              status: sample.status,
+            },
+            time
+          )
+        );
+      });
+
+      const ping = this.measurementData.ping[i];
+      if (ping) {
+        lines.push(
+          line(
+            "speedtest_ping",
+            { server: ping.server || runServer, load: ping.load },
+            {
+              latency_ms: ping.value,
+              min_ms: ping.min,
+              max_ms: ping.max,
+              jitter_ms: ping.jitter,
+              loss: ping.loss,
+              status: ping.status,
+            },
+            time
+          )
+        );
+      }
+    });
+
+    // Summary metrics become one point per metric and label set, with the
+    // stat label turned into field names
+    const summary = new Map();
+    this.collectMetrics().forEach(({ name, labels, value }) => {
+      const { stat = "value", ...tags } = labels;
+      const key = JSON.stringify([name, tags]);
+      if (!summary.has(key)) {
+        summary.set(key, { name, tags, fields: {} });
+      }
+      summary.get(key).fields[stat] = value;
+    });
+    summary.forEach(({ name, tags, fields }) => {
+      lines.push(line(`speedtest_${name}`, tags, fields, this.endTime));
+    });
+
+    return lines.filter(Boolean).join("\n");
+  }
+
+  /**
+   * Generate Prometheus text exposition format with the summary metrics as
+   * gauges, suitable for a Pushgateway or the node exporter textfile collector
+   * @param {string} label - Run label added as a label, omitted when empty
+   * @returns {string} Exposition text
+   */
+  generatePrometheusMetrics(label = "") {
+    const lines = [];
+    let current = null;
+
+    this.collectMetrics().forEach(({ name, labels, value }) => {
+      const metric = `speedtest_${name}`;
+      if (name !== current) {
+        lines.push(`# HELP ${metric} ${METRIC_DESCRIPTIONS[name]}`);
+        lines.push(`# TYPE ${metric} gauge`);
+        current = name;
+      }
+
+      const labelSet = Object.entries({ label, ...labels })
+        .filter(([, labelValue]) => labelValue)
+        .map(
+          ([key, labelValue]) => `${key}="${escapePrometheusLabel(labelValue)}"`
+        )
+        .join(",");
+      lines.push(`${metric}{${labelSet}} ${value}`);
+    });
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Generate a metrics export by format name
+   * @param {string} format - 'influx' or 'prometheus'
+   * @param {string} label - Run label
+   * @returns {string} Export content
+   */
+  generateMetrics(format, label) {
+    return format === "prometheus"
+      ? this.generatePrometheusMetrics(label)
+      : this.generateInfluxLineProtocol(label);
+  }
+
+  /**
+   * Generate a filename for a metrics export based on the test start time
+   * @param {string} format - 'influx' or 'prometheus'
+   * @returns {string} e.g. speedtest_YYYY-MM-DD_HH-MM-SS.prom
+   */
+  generateMetricsFilename(format) {
+    return this.generateFilename(METRICS_FORMATS[format].extension);
+  }
+
+  /**
+   * Send a metrics export to a collector, e.g. an InfluxDB /api/v2/write URL
+   * or a Prometheus Pushgateway job URL
+   * @param {Object} target - Where and what to push
+   * @param {string} target.format - 'influx' or 'prometheus'
+   * @param {string} target.url - Collector URL
+   * @param {string} target.label - Run label
+   * @param {string} target.authorization - Optional Authorization header,
+   *   e.g. "Token ..." for InfluxDB
+   * @throws {Error} When the request fails or the collector rejects it
+   */
+  async pushMetrics({ format, url, label, authorization }) {
+    const headers = { "Content-Type": METRICS_FORMATS[format].contentType };
+    if (authorization) {
+      headers.Authorization = authorization;
+    }
+
+    // Both formats require a trailing newline
+    const response = await fetch(url, {
+      method: "POST",
+      headers,
+      body: `${this.generateMetrics(format, label)}\n`,
+    });
+
+    if (!response.ok) {
+      throw new Error(
+        `${new URL(url).host} responded with HTTP ${response.status}`
+      );
+    }
+  }
+
+  /**
+   * Name the configured servers
+   * @returns {string} e.g. "Cloudflare" or "Cloudflare (download), HTTPBin (upload)"
+   */
+  describeServers() {
+    if (!this.servers) return "not selected";
+
+    const { download, upload } = this.servers;
+    return download.id === upload.id
+      ? download.name
+      : `${download.name} (download), ${upload.name} (upload)`;
+  }
+
+  /**
+   * Calculate statistics for one server in comparison mode
+   * Uses the intervals measured against the server after the run's warm-up.
+   * @param {Object} backend - Comparison backend metadata
+   * @returns {Object} Average/max/min per transfer type (null without data),
+   *   median ping, mean jitter and failed interval counts
+   */
+  calculateServerStats(backend) {
+    const warmupCount = this.config.warmupMeasurements;
+    const valuesFor = (type) =>
+      this.getSuccessfulValues(
+        this.measurementData[type]
+          .slice(warmupCount)
+          .filter((s) => s.server === backend.id)
+      );
+    const summarize = (values) =>
+      values.length > 0
+        ? {
+            avg: this.calculateAverage(values),
+            max: Math.max(...values),
+            min: Math.min(...values),
+          }
+        : null;
+
+    const pingSamples = this.measurementData.ping
+      .slice(warmupCount)
+      .filter((s) => s.server === backend.id && s.status === "ok");
+    const intervals = this.graphData.servers
+      .map((server, i) => (server === backend.id ? i : -1))
+      .filter((i) => i >= 0);
+
+    return {
+      download: summarize(valuesFor("download")),
+      upload: summarize(valuesFor("upload")),
+      ping:
+        pingSamples.length > 0
+          ? this.calculateMedian(pingSamples.map((s) => s.value))
+          : null,
+      jitter:
+        pingSamples.length > 0
+          ? this.calculateAverage(pingSamples.map((s) => s.jitter))
+          : null,
+      intervals: intervals.length,
+      failedIntervals: intervals.filter(
+        (i) => this.graphData.failures[i].length > 0
+      ).length,
+    };
+  }
+
+  calculateAverage(arr) {
+    return arr.reduce((sum, val) => sum + val, 0) / arr.length;
+  }
+
+  calculateMedian(arr) {
+    const sorted = [...arr].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0
+      ? (sorted[middle - 1] + sorted[middle]) / 2
+      : sorted[middle];
+  }
+
+  /**
+   * Compare loaded latency against the idle baseline
+   * Interval probes taken under one direction's load count towards that
+   * direction. Probes taken while both directions were active count towards
+   * neither; 'both' runs measure each direction in the loaded phases instead.
+   * @returns {Object} { idle, download, upload, grade } where download and
+   *   upload are { median, increase, grade } or null without loaded samples
+   */
+  calculateBufferbloat() {
+    if (this.sharedStatistics) return this.sharedStatistics.bufferbloat;
+
+    const idle =
+      this.idleLatency && this.idleLatency.status === "ok"
+        ? this.idleLatency.value
+        : null;
+
+    const warmupCount = this.config.warmupMeasurements;
+    const loadedSamples = this.measurementData.ping
+      .slice(warmupCount)
+      .filter((s) => s.status === "ok");
+
+    // Probes taken while both directions loaded the link can't be put down
+    // to either; 'both' runs measure each direction before their intervals
+    const summarize = (type) => {
+      const burst = this.loadedLatency && this.loadedLatency[type];
+      const rtts = loadedSamples
+        .filter((s) => s.load === type)
+        .flatMap((s) => s.rtts)
+        .concat(burst && burst.status === "ok" ? burst.rtts : []);
+      if (rtts.length === 0) return null;
+
+      const median = this.calculateMedian(rtts);
+      if (idle === null) return { median, increase: null, grade: null };
+
+      const increase = Math.max(0, median - idle);
+      return { median, increase, grade: this.gradeBufferbloat(increase) };
+    };
+
+    const download = summarize("download");
+    const upload = summarize("upload");
+
+    // The overall grade is the worse of the two directions
+    const increases = [download, upload]
+      .filter((result) => result && result.increase !== null)
+      .map((result) => result.increase);
+    const grade =
+      increases.length > 0
+        ? this.gradeBufferbloat(Math.max(...increases))
+        : null;
+
+    return { idle, download, upload, grade };
+  }
+
+  /**
+   * Grade a latency increase using the configured bufferbloat thresholds
+   * @param {number} increase - Loaded minus idle median latency in ms
+   * @returns {string} Grade from A+ to F
+   */
+  gradeBufferbloat(increase) {
+    const match = this.config.bufferbloatGrades.find(
+      ({ maxIncrease }) => increase <= maxIncrease
+    );
+    return match ? match.grade : "F";
+  }
+
+  /**
+   * Aggregate latency probe results after the warm-up period
+   * @returns {Object} { count, min, median, max, jitter, loss, sent, lost }
+   *   where count is the number of successful warmed-up intervals
+   */
+  calculateLatencyStats() {
+    if (this.sharedStatistics) return this.sharedStatistics.latency;
+
+    const warmupCount = this.config.warmupMeasurements;
+    const samples = this.measurementData.ping.slice(warmupCount);
+    const successful = samples.filter((s) => s.status === "ok");
+    const rtts = successful.flatMap((s) => s.rtts);
+
+    // Failed intervals still count towards loss - every request in them was lost
+    const sent = samples.reduce((sum, s) => sum + (s.sent || 0), 0);
+    const lost = samples.reduce((sum, s) => sum + (s.lost || 0), 0);
+    const loss = sent > 0 ? lost / sent : 0;
+
+    // An outage loses every probe; there are no round trips but loss stands
+    if (successful.length === 0) {
+      return {
+        count: 0,
+        min: null,
+        median: null,
+        max: null,
+        jitter: null,
+        loss,
+        sent,
+        lost,
+      };
+    }
+
+    return {
+      count: successful.length,
+      min: Math.min(...rtts),
+      median: this.calculateMedian(rtts),
+      max: Math.max(...rtts),
+      jitter: this.calculateAverage(successful.map((s) => s.jitter)),
+      loss,
+      sent,
+      lost,
+    };
+  }
+
+  /**
+   * Get the values of successful samples, skipping failed intervals
+   * @param {Array} samples - Measurement samples
+   * @returns {Array<number>} Values of samples with status 'ok'
+   */
+  getSuccessfulValues(samples) {
+    return samples.filter((s) => s.status === "ok").map((s) => s.value);
+  }
+
+  /**
+   * Count failed samples per measurement type and status
+   * @returns {Object} { intervals, download, upload, ping } where each type
+   *   holds { total, byStatus }
+   */
+  countFailures() {
+    const counts = { intervals: 0 };
+
+    ["download", "upload", "ping"].forEach((type) => {
+      const failed = this.measurementData[type].filter(
+        (s) => s.status !== "ok"
+      );
+      counts[type] = { total: failed.length, byStatus: {} };
+      failed.forEach((s) => {
+        counts[type].byStatus[s.status] =
+          (counts[type].byStatus[s.status] || 0) + 1;
+      });
+    });
+
+    counts.intervals = this.graphData.failures.filter(
+      (f) => f.length > 0
+    ).length;
+
+    return counts;
+  }
+
+  /**
+   * Summarize failure counts, e.g. "Download: 2 (timeout: 2), Upload: 0, Ping: 0"
+   * @param {Object} counts - Result of countFailures()
+   * @returns {string} Readable breakdown
+   */
+  describeFailureCounts(counts) {
+    return ["download", "upload", "ping"]
+      .map((type) => {
+        const { total, byStatus } = counts[type];
+        const label = type.charAt(0).toUpperCase() + type.slice(1);
+        const detail = Object.entries(byStatus)
+          .map(([status, count]) => `${status}: ${count}`)
+          .join(", ");
+        return detail ? `${label}: ${total} (${detail})` : `${label}: ${total}`;
+      })
+      .join(", ");
+  }
+
+  /**
+   * Get warmed-up data by excluding initial measurements
+   * Failed intervals count towards the warm-up but are left out of the result.
+   * @param {Array} data - Full measurement sample array
+   * @returns {Array<number>} Successful values with warm-up period excluded
+   */
+  getWarmedUpData(data) {
+    const warmupCount = this.config.warmupMeasurements;
+    if (data.length <= warmupCount) {
+      // If we don't have enough data, return empty array
+      return [];
+    }
+    return this.getSuccessfulValues(data.slice(warmupCount));
+  }
+
+  /**
+   * Calculate statistics using only warmed-up data
+   * @param {Array} data - Full measurement array
+   * @returns {Object} Statistics object with avg, max, min
+   */
+  calculateWarmedUpStats(data) {
+    const warmedUpData = this.getWarmedUpData(data);
+    if (warmedUpData.length === 0) {
+      return { avg: 0, max: 0, min: 0 };
+    }
+
+    return {
+      avg: this.calculateAverage(warmedUpData),
+      max: Math.max(...warmedUpData),
+      min: Math.min(...warmedUpData),
+    };
+  }
+
+  /**
+   * Calculate 98th percentile by excluding top and bottom 1% of measurements
+   * @param {Array} data - Full measurement array
+   * @returns {number} 98th percentile value (average of middle 98%)
+   */
+  calculate98thPercentile(data) {
+    const warmedUpData = this.getWarmedUpData(data);
+    if (warmedUpData.length < 10) {
+      // Need at least 10 data points for meaningful percentile calculation
+      return this.calculateAverage(warmedUpData);
+    }
+
+    // Sort data in ascending order
+    const sortedData = [...warmedUpData].sort((a, b) => a - b);
+
+    // Calculate indices for 1% and 99% (excluding top and bottom 1%)
+    const onePercentIndex = Math.floor(sortedData.length * 0.01);
+    const ninetyNinePercentIndex = Math.ceil(sortedData.length * 0.99);
+
+    // Extract middle 98% of data
+    const middle98Percent = sortedData.slice(
+      onePercentIndex,
+      ninetyNinePercentIndex
+    );
+
+    // Return average of the middle 98%
+    return this.calculateAverage(middle98Percent);
+  }
+
+  calculateCV(arr) {
+    if (arr.length === 0) return 0;
+    const mean = this.calculateAverage(arr);
+    const variance =
+      arr.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / arr.length;
+    const stdDev = Math.sqrt(variance);
+    return (stdDev / mean) * 100;
+  }
+
+  /**
+   * Generate a CSV formatted string from the measurement data
+   * @returns {string} CSV formatted string containing all test results
+   */
+  generateCSV() {
+    // Create CSV header with test information
+    const { testType, testDuration } = this.settings;
+    const duration = testDuration === 0 ? "Continuous" : `${testDuration}s`;
+    const startTimeFormatted = new Date(this.startTime).toISOString();
+    const endTimeFormatted = new Date(this.endTime).toISOString();
+
+    let csv = [];
+
+    // Add test metadata
+    csv.push("# Internet Speed Test Results");
+    csv.push(`# Test Type: ${testType}`);
+    csv.push(`# Duration: ${duration}`);
+    csv.push(`# Connections: ${this.settings.connectionMode}`);
+    csv.push(`# Start Time: ${startTimeFormatted}`);
+    csv.push(`# End Time: ${endTimeFormatted}`);
+    csv.push(
+      `# Actual Duration: ${((this.endTime - this.startTime) / 1000).toFixed(
+        1
+      )}s`
+    );
+    if (this.idleLatency && this.idleLatency.status === "ok") {
+      csv.push(`# Idle Latency: ${this.idleLatency.value.toFixed(1)} ms`);
+    }
+    if (this.loadedLatency) {
+      const loaded = ["download", "upload"]
+        .filter((type) => {
+          const burst = this.loadedLatency[type];
+          return burst && burst.status === "ok";
+        })
+        .map(
+          (type) => `${type} ${this.loadedLatency[type].value.toFixed(1)} ms`
+        );
+      if (loaded.length > 0) {
+        csv.push(`# Loaded Latency: ${loaded.join(", ")}`);
+      }
+    }
+    if (this.serverSelection) {
+      const { selected, latency, candidates } = this.serverSelection;
+      csv.push(
+        selected
+          ? `# Server: ${selected.name} (${selected.id}), selected by lowest median latency (${latency.toFixed(1)} ms)`
+          : "# Server: default configuration, no candidate passed selection"
+      );
+      csv.push(
+        `# Server Candidates: ${candidates
+          .map((c) =>
+            c.status === "ok"
+              ? `${c.backend.name} ${c.latency.toFixed(1)} ms`
+              : `${c.backend.name} ${c.status}`
+          )
+          .join("; ")}`
+      );
+    } else if (!this.comparison) {
+      csv.push(`# Server: ${this.describeServers()}`);
+    }
+    if (this.comparison) {
+      csv.push(
+        `# Server Comparison: ${this.comparison.backends
+          .map((backend) => backend.name)
+          .join(", ")} (${this.comparison.mode})`
+      );
+    }
+    csv.push(""); // Empty line separator
+
+    // Add column headers
+    const headers = [
+      "Timestamp",
+      "Relative_Time_Seconds",
+      "Server",
+      "Download_Mbps",
+      "Upload_Mbps",
+      "Ping_ms",
+      "Ping_Min_ms",
+      "Ping_Max_ms",
+      "Jitter_ms",
+      "Ping_Loss_Percent",
+      "Ping_Load",
+      "Download_Connections",
+      "Upload_Connections",
+      "Download_Status",
+      "Upload_Status",
+      "Ping_Status",
+      "Failure_Reason",
+    ];
+    // Mean network phases of the requests completed in each interval
+    const timingTypes = ["Download", "Upload", "Ping"];
+    const timingFields = [
+      ["dns", "DNS_ms"],
+      ["tcp", "TCP_ms"],
+      ["tls", "TLS_ms"],
+      ["ttfb", "TTFB_ms"],
+      ["transfer", "Transfer_ms"],
+      ["protocol", "Protocol"],
+    ];
+    timingTypes.forEach((type) => {
+      timingFields.forEach(([, column]) => headers.push(`${type}_${column}`));
+    });
+    csv.push(headers.join(","));
+
+    // Get the maximum length of data arrays to handle potential mismatches
+    const maxLength = Math.max(
+      this.graphData.timestamps.length,
+      this.measurementData.download.length,
+      this.measurementData.upload.length,
+      this.measurementData.ping.length
+    );
+
+    // Generate data rows
+    for (let i = 0; i < maxLength; i++) {
+      const relativeTimeSeconds = this.graphData.timestamps[i] || "";
+      const relativeTime = relativeTimeSeconds
+        ? relativeTimeSeconds.toFixed(1)
+        : "";
+      const downloadSample = this.measurementData.download[i];
+      const uploadSample = this.measurementData.upload[i];
+      const pingSample = this.measurementData.ping[i];
+
+      // Failed samples leave the value empty and explain why in the status columns
+      const formatValue = (sample, digits) =>
+        sample && sample.status === "ok" ? sample.value.toFixed(digits) : "";
+      const download = formatValue(downloadSample, 2);
+      const upload = formatValue(uploadSample, 2);
+      const ping = formatValue(pingSample, 1);
+      const formatLatency = (field) =>
+        pingSample && pingSample.status === "ok"
+          ? pingSample[field].toFixed(1)
+          : "";
+      const pingLoss =
+        pingSample && pingSample.sent ? (pingSample.loss * 100).toFixed(1) : "";
+
+      const reasons = [
+        ["download", downloadSample],
+        ["upload", uploadSample],
+        ["ping", pingSample],
+      ]
+        .filter(([, sample]) => sample && sample.status !== "ok")
+        .map(([type, sample]) => `${type}: ${sample.reason}`);
+
+      // Convert relative time back to absolute timestamp for ISO format
+      const absoluteTimestamp = relativeTimeSeconds
+        ? this.startTime + relativeTimeSeconds * 1000
+        : "";
+      const timestampFormatted = absoluteTimestamp
+        ? new Date(absoluteTimestamp).toISOString()
+        : "";
+
+      const row = [
+        timestampFormatted,
+        relativeTime,
+        this.graphData.servers[i] || "",
+        download,
+        upload,
+        ping,
+        formatLatency("min"),
+        formatLatency("max"),
+        formatLatency("jitter"),
+        pingLoss,
+        pingSample && pingSample.load ? pingSample.load : "",
+        downloadSample && downloadSample.connections
+          ? downloadSample.connections
+          : "",
+        uploadSample && uploadSample.connections ? uploadSample.connections : "",
+        downloadSample ? downloadSample.status : "",
+        uploadSample ? uploadSample.status : "",
+        pingSample ? pingSample.status : "",
+        // Quote the reason since it may contain commas
+        reasons.length > 0 ? `"${reasons.join("; ").replace(/"/g, '""')}"` : "",
+      ];
+
+      [downloadSample, uploadSample, pingSample].forEach((sample) => {
+        const timing = sample && sample.timing;
+        timingFields.forEach(([field]) => {
+          const value = timing ? timing[field] : null;
+          if (value === null || value === undefined) {
+            row.push("");
+          } else {
+            row.push(typeof value === "number" ? value.toFixed(1) : value);
+          }
+        });
+      });
+
+      csv.push(row.join(","));
+    }
+
+    // Add statistics summary at the end
+    csv.push(""); // Empty line separator
+    csv.push("# Statistics Summary");
+
+    const downloadValues = this.getSuccessfulValues(
+      this.measurementData.download
+    );
+    const uploadValues = this.getSuccessfulValues(this.measurementData.upload);
+    const pingValues = this.getSuccessfulValues(this.measurementData.ping);
+
+    if (downloadValues.length > 0) {
+      const downloadStats = {
+        avg: this.calculateAverage(downloadValues).toFixed(2),
+        max: Math.max(...downloadValues).toFixed(2),
+        min: Math.min(...downloadValues).toFixed(2),
+        p98: this.calculate98thPercentile(
+          this.measurementData.download
+        ).toFixed(2),
+      };
+      csv.push(
+        `# Download - Avg: ${downloadStats.avg} Mbps, Max: ${downloadStats.max} Mbps, Min: ${downloadStats.min} Mbps, 98th Percentile: ${downloadStats.p98} Mbps`
+      );
+    }
+
+    if (uploadValues.length > 0) {
+      const uploadStats = {
+        avg: this.calculateAverage(uploadValues).toFixed(2),
+        max: Math.max(...uploadValues).toFixed(2),
+        min: Math.min(...uploadValues).toFixed(2),
+        p98: this.calculate98thPercentile(this.measurementData.upload).toFixed(
+          2
+        ),
+      };
+      csv.push(
+        `# Upload - Avg: ${uploadStats.avg} Mbps, Max: ${uploadStats.max} Mbps, Min: ${uploadStats.min} Mbps, 98th Percentile: ${uploadStats.p98} Mbps`
+      );
+    }
+
+    if (pingValues.length > 0) {
+      const pingStats = {
+        avg: this.calculateAverage(pingValues).toFixed(1),
+        max: Math.max(...pingValues).toFixed(1),
+        min: Math.min(...pingValues).toFixed(1),
+        p98: this.calculate98thPercentile(this.measurementData.ping).toFixed(1),
+      };
+      csv.push(
+        `# Ping - Avg: ${pingStats.avg} ms, Max: ${pingStats.max} ms, Min: ${pingStats.min} ms, 98th Percentile: ${pingStats.p98} ms`
+      );
+    }
+
+    const latency = this.calculateLatencyStats();
+    const { lost, sent } = latency;
+    const lossPercent = (latency.loss * 100).toFixed(1);
+    const lossText = `Loss: ${lossPercent}% (${lost} of ${sent} requests)`;
+    if (latency.count > 0) {
+      csv.push(
+        `# Latency - Median: ${latency.median.toFixed(1)} ms, Min: ${latency.min.toFixed(1)} ms, Max: ${latency.max.toFixed(1)} ms, Jitter: ${latency.jitter.toFixed(1)} ms, ${lossText}`
+      );
+    } else if (sent > 0) {
+      csv.push(`# Latency - ${lossText}`);
+    }
+
+    const bufferbloat = this.calculateBufferbloat();
+    if (bufferbloat.grade) {
+      const describeLoad = (result) =>
+        result
+          ? `${result.median.toFixed(1)} ms (+${result.increase.toFixed(1)} ms)`
+          : "n/a";
+      csv.push(
+        `# Bufferbloat - Idle: ${bufferbloat.idle.toFixed(1)} ms, Download Load: ${describeLoad(bufferbloat.download)}, Upload Load: ${describeLoad(bufferbloat.upload)}, Grade: ${bufferbloat.grade}`
+      );
+    }
+
+    // Failed intervals are excluded from the figures above
+    const failureCounts = this.countFailures();
+    const totalIntervals = this.graphData.timestamps.length;
+    csv.push(
+      `# Failed Intervals: ${failureCounts.intervals} of ${totalIntervals}`
+    );
+    csv.push(`# Failures - ${this.describeFailureCounts(failureCounts)}`);
+
+    // Per-server results in comparison mode
+    if (this.comparison) {
+      this.comparison.backends.forEach((backend) => {
+        const stats = this.calculateServerStats(backend);
+        const describeSpeed = (result) =>
+          result ? `${result.avg.toFixed(2)} Mbps` : "n/a";
+        const describeMs = (value) =>
+          value !== null ? `${value.toFixed(1)} ms` : "n/a";
+        csv.push(
+          `# ${backend.name} (${backend.id}) - Avg Download: ${describeSpeed(stats.download)}, Avg Upload: ${describeSpeed(stats.upload)}, Median Ping: ${describeMs(stats.ping)}, Jitter: ${describeMs(stats.jitter)}, Failed Intervals: ${stats.failedIntervals} of ${stats.intervals}`
+        );
+      });
+    }
+
+    return csv.join("\n");
+  }
+
+  /**
+   * Generate a filename for the CSV export based on the test start time
+   * @returns {string} Filename in format: speedtest_YYYY-MM-DD_HH-MM-SS.csv
+   */
+  generateCSVFilename() {
+    return this.generateFilename("csv");
+  }
+
+  /**
+   * Generate a filename for an export based on the test start time
+   * @param {string} extension - File extension without the dot
+   * @returns {string} Filename in format: speedtest_YYYY-MM-DD_HH-MM-SS.<extension>
+   */
+  generateFilename(extension) {
+    const date = new Date(this.startTime);
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    const hours = String(date.getHours()).padStart(2, "0");
+    const minutes = String(date.getMinutes()).padStart(2, "0");
+    const seconds = String(date.getSeconds()).padStart(2, "0");
+
+    return `speedtest_${year}-${month}-${day}_${hours}-${minutes}-${seconds}.${extension}`;
+  }
+}
+
+// Version prefix of share link tokens; bump it when the encoded layout changes
+SpeedTestResults.SHARE_VERSION = 1;
+
+// Identifies JSON exports; bump the version when fields change meaning or
+// are removed, and describe the change in results.schema.json
+SpeedTestResults.JSON_FORMAT = {
+  format: "continuous-speed-test-results",
+  version: 1,
+};
+
+// File extension and media type of each metrics export
+const METRICS_FORMATS = {
+  influx: { extension: "influx.txt", contentType: "text/plain; charset=utf-8" },
+  prometheus: {
+    extension: "prom",
+    contentType: "text/plain; version=0.0.4; charset=utf-8",
+  },
+};
+
+// HELP text of the Prometheus metrics, by name without the speedtest_ prefix
+const METRIC_DESCRIPTIONS = {
+  download_mbps: "Download throughput of the run in Mbps.",
+  upload_mbps: "Upload throughput of the run in Mbps.",
+  latency_ms: "Round-trip latency in milliseconds.",
+  packet_loss_ratio: "Share of latency probes that failed.",
+  bufferbloat_ms:
+    "Increase of loaded over idle median latency in milliseconds.",
+  stability_percent: "100% minus the coefficient of variation of throughput.",
+  intervals: "Measurement intervals in the run.",
+  failed_intervals: "Measurement intervals with a failed measurement.",
+  duration_seconds: "Run duration in seconds.",
+  start_time_seconds: "Run start time in seconds since the Unix epoch.",
+};
+
+// Columns an imported CSV file must have; the rest are optional
+const CSV_REQUIRED_COLUMNS = [
+  "Timestamp",
+  "Relative_Time_Seconds",
+  "Download_Mbps",
+  "Upload_Mbps",
+  "Ping_ms",
+];
+
+// Statuses a measurement can have, and what loaded the link during a latency
+// burst; files and links from elsewhere are checked against these
+const SAMPLE_STATUSES = [
+  "ok",
+  "timeout",
+  "http-error",
+  "cors",
+  "network-error",
+];
+const PING_LOADS = ["idle", "download", "upload", "both"];
+
+/**
+ * List the failed measurements of an interval
+ * @param {Object} sample - Interval with download, upload and ping samples
+ * @returns {Array<Object>} {type, ...sample} for each sample that isn't ok
+ */
+function listFailures(sample) {
+  return ["ping", "download", "upload"]
+    .filter((type) => sample[type] && sample[type].status !== "ok")
+    .map((type) => ({ type, ...sample[type] }));
+}
+
+/**
+ * Find what is wrong with a measurement sample of a JSON export
+ * Files can come from anyone, so values, statuses and loads are checked
+ * before the samples are used, as for CSV files and share links.
+ * @param {string} name - Field name used in the message, e.g. "ping"
+ * @param {Object} sample - Transfer or ping sample
+ * @param {boolean} isPing - Also check the latency burst fields
+ * @returns {string|null} Description of the first bad field, null when the
+ *   sample has the layout generateJSON() writes
+ */
+function findJSONSampleError(name, sample, isPing) {
+  const isNumber = (value) =>
+    typeof value === "number" && Number.isFinite(value);
+  const isOptional = (value, check) =>
+    value === undefined || value === null || check(value);
+  const isOptionalNumber = (value) => isOptional(value, isNumber);
+  const isNumberList = (value) => Array.isArray(value) && value.every(isNumber);
+
+  if (sample === null || typeof sample !== "object") {
+    return `${name} is not an object`;
+  }
+  if (!SAMPLE_STATUSES.includes(sample.status)) {
+    return `${name}.status is not a known value`;
+  }
+  if (
+    sample.status === "ok"
+      ? !isNumber(sample.value)
+      : !isOptionalNumber(sample.value)
+  ) {
+    return `${name}.value is not a number`;
+  }
+  if (!isOptional(sample.reason, (reason) => typeof reason === "string")) {
+    return `${name}.reason is not text`;
+  }
+  if (!isOptional(sample.timing, (timing) => typeof timing === "object")) {
+    return `${name}.timing is not an object`;
+  }
+
+  const numbers = isPing
+    ? ["min", "max", "jitter", "loss", "sent", "lost"]
+    : ["connections"];
+  const field = numbers.find((field) => !isOptionalNumber(sample[field]));
+  if (field) return `${name}.${field} is not a number`;
+
+  if (isPing) {
+    if (!isOptional(sample.rtts, isNumberList)) {
+      return `${name}.rtts is not a list of numbers`;
+    }
+    if (!isOptional(sample.load, (load) => PING_LOADS.includes(load))) {
+      return `${name}.load is not a known value`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find what is wrong with an interval of a JSON export
+ * @param {Object} interval - Entry of the file's intervals array
+ * @returns {string|null} Description of the first bad field, null when the
+ *   interval has the layout generateJSON() writes
+ */
+function findJSONIntervalError(interval) {
+  for (const type of ["download", "upload"]) {
+    const sample = interval[type];
+    if (sample === undefined || sample === null) continue;
+
+    const error = findJSONSampleError(type, sample, false);
+    if (error) return error;
+  }
+
+  const error = findJSONSampleError("ping", interval.ping, true);
+  if (error) return error;
+
+  if (
+    interval.server !== undefined &&
+    interval.server !== null &&
+    typeof interval.server !== "string"
+  ) {
+    return "server is not text";
+  }
+  return null;
+}
+
+/**
+ * Check that decoded share data has the layout generateShareToken() writes
+ * Links can come from anyone, so every field is checked before it is used.
+ * @param {*} data - Parsed share data
+ * @returns {boolean} True when every field has the expected type
+ */
+function isValidShareData(data) {
+  const isObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+  const isNumber = (value) =>
+    typeof value === "number" && Number.isFinite(value);
+  const isNumberOrNull = (value) => value === null || isNumber(value);
+  const isStatus = (value) =>
+    value === undefined || SAMPLE_STATUSES.includes(value);
+  const isReason = (value) => value === undefined || typeof value === "string";
+  const isBackend = (backend) =>
+    isObject(backend) &&
+    typeof backend.id === "string" &&
+    typeof backend.name === "string";
+  const isTransfer = (transfer) =>
+    transfer === null ||
+    (Array.isArray(transfer) &&
+      isNumberOrNull(transfer[0]) &&
+      isNumberOrNull(transfer[1]) &&
+      isStatus(transfer[2]) &&
+      isReason(transfer[3]));
+  const isPing = (ping) =>
+    Array.isArray(ping) &&
+    ping.slice(0, 4).every(isNumberOrNull) &&
+    Number.isInteger(ping[4]) &&
+    Number.isInteger(ping[5]) &&
+    (ping[6] === null || PING_LOADS.includes(ping[6])) &&
+    isStatus(ping[7]) &&
+    isReason(ping[8]);
+  const isLoadedLatency = (direction) =>
+    direction === null ||
+    (isObject(direction) &&
+      isNumber(direction.median) &&
+      isNumberOrNull(direction.increase));
+
+  const { settings, servers, statistics } = data || {};
+  const latencyFields = ["min", "median", "max", "jitter"];
+
+  return (
+    isObject(data) &&
+    typeof data.name === "string" &&
+    isNumber(data.startTime) &&
+    isNumberOrNull(data.endTime) &&
+    isNumberOrNull(data.idleLatency) &&
+    isObject(settings) &&
+    ["download", "upload", "both"].includes(settings.testType) &&
+    isNumber(settings.testDuration) &&
+    isNumber(settings.measurementInterval) &&
+    typeof settings.connectionMode === "string" &&
+    ["auto", "single", "sequential", "interleaved"].includes(
+      settings.serverMode
+    ) &&
+    (servers === null ||
+      (isObject(servers) &&
+        ["download", "upload", "latency"].every((type) =>
+          isBackend(servers[type])
+        ) &&
+        (!servers.selection ||
+          (isObject(servers.selection) &&
+            (servers.selection.selected === null ||
+              isBackend(servers.selection.selected)) &&
+            isNumberOrNull(servers.selection.latency))) &&
+        (!servers.comparison ||
+          (isObject(servers.comparison) &&
+            ["sequential", "interleaved"].includes(servers.comparison.mode) &&
+            Array.isArray(servers.comparison.backends) &&
+            servers.comparison.backends.every(isBackend))))) &&
+    isObject(statistics) &&
+    isObject(statistics.latency) &&
+    isNumber(statistics.latency.count) &&
+    isNumber(statistics.latency.loss) &&
+    latencyFields.every((field) => isNumberOrNull(statistics.latency[field])) &&
+    isObject(statistics.bufferbloat) &&
+    isNumberOrNull(statistics.bufferbloat.idle) &&
+    isLoadedLatency(statistics.bufferbloat.download) &&
+    isLoadedLatency(statistics.bufferbloat.upload) &&
+    (statistics.bufferbloat.grade === null ||
+      typeof statistics.bufferbloat.grade === "string") &&
+    Array.isArray(data.intervals) &&
+    data.intervals.every(
+      (interval) =>
+        Array.isArray(interval) &&
+        isNumber(interval[0]) &&
+        isTransfer(interval[1]) &&
+        isTransfer(interval[2]) &&
+        isPing(interval[3]) &&
+        (interval[4] === null || typeof interval[4] === "string")
+    )
+  );
+}
+
+/**
+ * Read the loaded latency line of a CSV export
+ * @param {string} text - e.g. "download 45.2 ms, upload 80.3 ms"
+ * @returns {Object|null} {download, upload} ping samples with the median as
+ *   their only round trip (null for a direction without a figure), null
+ *   without the line
+ */
+function parseCSVLoadedLatency(text) {
+  if (!text) return null;
+
+  const loadedLatency = { download: null, upload: null };
+  (text.match(/(download|upload) [\d.]+ ms/g) || []).forEach((part) => {
+    const [type, figure] = part.split(" ");
+    const value = Number(figure);
+    loadedLatency[type] = {
+      value,
+      status: "ok",
+      reason: "",
+      rtts: [value],
+      load: type,
+    };
+  });
+  return loadedLatency;
+}
+
+/**
+ * Split one CSV line into cells
+ * @param {string} line - Line of comma-separated values, with "" escaping
+ *   inside quoted cells
+ * @returns {string[]} Cell values
+ */
+function parseCSVRow(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  cells.push(cell);
+  return cells;
+}
+
+/**
+ * Rebuild the servers a CSV export was measured against
+ * Only names and ids are exported, so the metadata has no URLs or
+ * capabilities.
+ * @param {Object} metadata - "# Name: value" lines above the table
+ * @param {string[]} summaryLines - Lines below the table
+ * @returns {Object|null} Servers in the shape of the engine's servers event,
+ *   or null if the file doesn't name any
+ */
+function parseCSVServers(metadata, summaryLines) {
+  const backend = (name, id = name) => ({ id, name });
+
+  if (metadata["Server Comparison"]) {
+    const mode = metadata["Server Comparison"].match(
+      /\((sequential|interleaved)\)$/
+    );
+    // Per-server summary lines carry the ids: "# Name (id) - Avg Download: ..."
+    const backends = summaryLines
+      .map((line) => line.match(/^# (.+) \(([^()]+)\) - Avg Download: /))
+      .filter(Boolean)
+      .map(([, name, id]) => backend(name, id));
+
+    if (backends.length > 0) {
+      return {
+        download: backends[0],
+        upload: backends[0],
+        latency: backends[0],
+        selection: null,
+        comparison: { mode: mode ? mode[1] : "sequential", backends },
+      };
+    }
+  }
+
+  const server = metadata.Server;
+  if (!server || server === "not selected") return null;
+
+  const candidates = (metadata["Server Candidates"] || "")
+    .split("; ")
+    .filter(Boolean)
+    .map((candidate) => {
+      const ok = candidate.match(/^(.+) ([\d.]+) ms$/);
+      if (ok) {
+        return {
+          backend: backend(ok[1]),
+          status: "ok",
+          latency: Number(ok[2]),
+        };
+      }
+
+      const failed = candidate.match(/^(.+) (\S+)$/);
+      return {
+        backend: backend(failed ? failed[1] : candidate),
+        status:
+          failed && SAMPLE_STATUSES.includes(failed[2]) ? failed[2] : "unknown",
+        latency: null,
+      };
+    });
+
+  const selected = server.match(
+    /^(.+) \(([^()]+)\), selected by lowest median latency \(([\d.]+) ms\)$/
+  );
+  if (selected) {
+    const chosen = backend(selected[1], selected[2]);
+    return {
+      download: chosen,
+      upload: chosen,
+      latency: chosen,
+      selection: { selected: chosen, latency: Number(selected[3]), candidates },
+      comparison: null,
+    };
+  }
+
+  if (server.startsWith("default configuration")) {
+    const fallback = backend("default configuration");
+    return {
+      download: fallback,
+      upload: fallback,
+      latency: fallback,
+      selection: { selected: null, latency: null, candidates },
+      comparison: null,
+    };
+  }
+
+  const split = server.match(/^(.+) \(download\), (.+) \(upload\)$/);
+  const download = backend(split ? split[1] : server);
+  return {
+    download,
+    upload: split ? backend(split[2]) : download,
+    latency: download,
+    selection: null,
+    comparison: null,
+  };
+}
+
+/**
+ * Format an InfluxDB field value
+ * @param {number|string|boolean} value - Field value
+ * @returns {string} Float, boolean or quoted string
+ */
+function formatInfluxField(value) {
+  if (typeof value === "string") {
+    return `"${value.replace(/["\\]/g, "\\$&")}"`;
+  }
+  return String(value);
+}
+
+/**
+ * Escape an InfluxDB tag value
+ * @param {string} value - Tag value
+ * @returns {string} Value with commas, equals signs and spaces escaped
+ */
+function escapeInfluxTag(value) {
+  return String(value).replace(/[,= \\]/g, "\\$&");
+}
+
+/**
+ * Escape a Prometheus label value
+ * @param {string} value - Label value
+ * @returns {string} Value safe inside double quotes
+ */
+function escapePrometheusLabel(value) {
+  return String(value).replace(/[\\"]/g, "\\$&").replace(/\n/g, "\\n");
+}
+
+/**
+ * Compress text for a share link
+ * @param {string} text - Text to encode
+ * @returns {Promise<string>} Deflated text, base64url encoded
+ * @throws {Error} When the runtime has no CompressionStream
+ */
+async function encodeShareData(text) {
+  if (typeof CompressionStream === "undefined") {
+    throw new Error("This browser can't compress share links");
+  }
+
+  const stream = new Blob([text])
+    .stream()
+    .pipeThrough(new CompressionStream("deflate-raw"));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Expand text written by encodeShareData()
+ * @param {string} encoded - Base64url encoded, deflated text
+ * @returns {Promise<string>} Original text
+ * @throws {Error} When the data is damaged or the runtime has no
+ *   DecompressionStream
+ */
+async function decodeShareData(encoded) {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Response(stream).text();
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { SpeedTestResults };
+}
@@ -11,29 +11,37 @@
  * - Real-time graphing
  * - Comprehensive statistics
  * - Accessibility support
+ *
+ * Measurements run in a SpeedTestEngine (engine.js), normally inside a
+ * dedicated worker; this class only renders the samples it reports.
  */
 
 class SpeedTest {
   /**
    * Initialize the Speed Test application
    * Sets up configuration, DOM references, and initial state
+   * @param {Object} options - Optional settings
+   * @param {string|Object|SpeedTestBackend} options.backend - Backend used for
+   *   every measurement instead of the default Cloudflare/HTTPBin pairing
+   * @param {Array<string|Object|SpeedTestBackend>} options.compareBackends -
+   *   Backends measured in turn by the server comparison modes
    */
-  constructor() {
+  constructor(options = {}) {
     // Test state management
     this.isRunning = false;
     this.startTime = null;
     this.endTime = null;
     this.testDuration = 60; // Default: 1 minute
-    this.currentTestSize = 0; // Progressive test size index
+    this.runSettings = null; // Settings the current run was started with
+    this.idleLatency = null; // Latency probe taken before transfers start
+    this.loadedLatency = null; // Probes under one direction's load ('both' runs)
+    this.environment = null; // Runtime the run was measured from
+    this.requests = []; // Every transfer and latency probe, set when a run completes
 
     // Wake lock management
     this.wakeLock = null;
     this.wakeLockSupported = "wakeLock" in navigator;
 
-    // Interval references for cleanup
-    this.measurementInterval = null;
-    this.progressInterval = null;
-
     // Data storage for measurements
     this.measurementData = {
       download: [],
@@ -46,10 +54,33 @@ class SpeedTest {
       download: [],
       upload: [],
       timestamps: [],
+      failures: [],
+      servers: [], // Backend id per interval in comparison mode, otherwise null
     };
 
-    // Configuration for speed test servers
-    this.serverConfig = this.initializeServerConfig();
+    // Measurement engine, running in a worker where supported
+    this.engine = this.initializeEngine(options);
+    this.runServers = null; // Servers the current run measures against
+    this.comparison = null; // Server comparison details for the current run
+    this.serverSelection = null; // Automatic server selection for the current run
+
+    // Completed runs saved in IndexedDB
+    this.runHistory = RunHistory.isSupported()
+      ? new RunHistory({ retention: this.loadHistoryRetention() })
+      : null;
+    this.viewedRunId = null; // Saved run currently shown, if any
+    this.runName = null; // Name of the shown run once saved or opened
+    this.sharedStatistics = null; // Figures carried by a share link, if shown
+    this.baseline = null; // {name, results} of the run overlaid on the graph
+
+    // InfluxDB/Prometheus export and push settings
+    this.metricsSettings = this.loadMetricsSettings();
+
+    // Webhooks notified of completed runs and, optionally, every interval
+    this.webhooks = new WebhookDispatcher({
+      webhooks: this.loadWebhooks(),
+      onUpdate: () => this.renderWebhookDeliveries(),
+    });
 
     // Test parameters
     this.testConfig = this.initializeTestConfig();
@@ -70,6 +101,8 @@ class SpeedTest {
         grid: "#f0f0f0",
         axis: "#333",
         reference: "#fbbf24", // Yellow for reference lines
+        // One color per server in comparison mode
+        servers: ["#2196f3", "#f97316", "#10b981", "#9c27b0", "#64748b"],
       },
     };
 
@@ -78,70 +111,78 @@ class SpeedTest {
   }
 
   /**
-   * Configure server endpoints for different test types
-   * @returns {Object} Server configuration object
+   * Create the measurement engine and subscribe to its events
+   * @param {Object} options - Options passed to the constructor
+   * @returns {SpeedTestWorkerClient} Engine handle
    */
-  initializeServerConfig() {
-    return {
-      download: {
-        // Use faster CDN endpoints optimized for speed testing
-        primary: "https://speed.cloudflare.com/__down?bytes=",
-        fallbacks: [
-          "https://ajax.googleapis.com/ajax/libs/jquery/3.6.0/jquery.min.js", // ~87KB
-          "https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/js/bootstrap.bundle.min.js", // ~217KB
-        ],
-      },
-      upload: {
-        // Use multiple endpoints optimized for upload testing
-        primary: "https://httpbin.org/post",
-        fallbacks: [
-          "https://postman-echo.com/post",
-          "https://jsonplaceholder.typicode.com/posts",
-        ],
-        // Add Cloudflare upload endpoint if available
-        cloudflare: "https://speed.cloudflare.com/__up",
-      },
-      ping: [
-        "https://www.google.com/favicon.ico",
-        "https://github.com/favicon.ico",
-        "https://cdnjs.cloudflare.com/ajax/libs/jquery/3.6.0/jquery.min.js?_=1",
-        "https://jsonplaceholder.typicode.com/posts/1",
-      ],
-    };
+  initializeEngine(options) {
+    const engine = new SpeedTestWorkerClient({
+      backend: options.backend,
+      compareBackends: options.compareBackends,
+    });
+
+    engine.on("status", ({ message }) => {
+      if (this.isRunning) this.updateTestStatus(message);
+    });
+    engine.on("servers", (servers) => this.handleServers(servers));
+    engine.on("idle-latency", (ping) => {
+      this.idleLatency = ping;
+    });
+    engine.on("loaded-latency", (loadedLatency) => {
+      this.loadedLatency = loadedLatency;
+    });
+    engine.on("progress", (progress) => this.updateProgress(progress));
+    engine.on("sample", (sample) => this.handleSample(sample));
+    engine.on("error", ({ message }) => {
+      if (this.isRunning) this.updateTestStatus(message, true);
+    });
+    engine.on("complete", (run) => this.handleTestComplete(run));
+
+    return engine;
+  }
+
+  /**
+   * Point all measurements at a different backend
+   * @param {string|Object|SpeedTestBackend} backend - Backend id, options or instance
+   */
+  setBackend(backend) {
+    this.engine.setBackend(backend);
   }
 
   /**
    * Initialize test configuration parameters
+   * Measurement parameters live in the engine and statistics parameters in
+   * SpeedTestResults; these only affect the controls.
    * @returns {Object} Test configuration object
    */
   initializeTestConfig() {
     return {
-      // Progressive test sizes (in bytes) - larger sizes for better accuracy
-      downloadSizes: [
-        1024 * 1024, // 1MB
-        5 * 1024 * 1024, // 5MB
-        10 * 1024 * 1024, // 10MB
-        25 * 1024 * 1024, // 25MB
-        50 * 1024 * 1024, // 50MB
-      ],
-      // Progressive upload sizes for better bandwidth utilization - larger sizes
-      uploadSizes: [
-        10 * 1024 * 1024, // 10MB - start larger to match commercial tests
-        20 * 1024 * 1024, // 20MB
-        35 * 1024 * 1024, // 35MB
-        50 * 1024 * 1024, // 50MB - match download max
-      ],
-      currentSizeIndex: 0,
       measurementInterval: 3000, // 3 seconds between measurements (will be updated by user selection)
-      continuousTestInterval: 500, // 500ms between starting new continuous tests
-      progressUpdateInterval: 100, // 100ms for progress updates
-      validSpeedRange: { min: 0, max: 10000 }, // Mbps
-      validPingRange: { min: 5, max: 5000 }, // ms
-      continuousConnections: 2, // Number of overlapping connections to maintain
-      warmupMeasurements: 3, // Number of initial measurements to exclude from statistics
     };
   }
 
+  /**
+   * Wrap the current run's data for statistics and exports
+   * The results share the measurement arrays, so samples added through them
+   * show up in this.measurementData and this.graphData.
+   * @returns {SpeedTestResults} Results of the current or last run
+   */
+  getResults() {
+    return new SpeedTestResults({
+      startTime: this.startTime,
+      endTime: this.endTime,
+      settings: this.runSettings,
+      servers: this.runServers,
+      idleLatency: this.idleLatency,
+      loadedLatency: this.loadedLatency,
+      environment: this.environment,
+      requests: this.requests,
+      measurementData: this.measurementData,
+      graphData: this.graphData,
+      sharedStatistics: this.sharedStatistics,
+    });
+  }
+
   /**
    * Cache DOM element references for better performance
    * @returns {Object} DOM elements object
@@ -154,6 +195,8 @@ class SpeedTest {
       testTypeSelect: document.getElementById("testType"),
       measurementIntervalSlider: document.getElementById("measurementInterval"),
       intervalValue: document.getElementById("intervalValue"),
+      connectionModeSelect: document.getElementById("connectionMode"),
+      serverModeSelect: document.getElementById("serverMode"),
 
       // Speed displays
       downloadSpeed: document.getElementById("downloadSpeed"),
@@ -163,6 +206,7 @@ class SpeedTest {
       // Status and progress
       testStatus: document.getElementById("testStatus"),
       testProgress: document.getElementById("testProgress"),
+      testServer: document.getElementById("testServer"),
       progressFill: document.getElementById("progressFill"),
       csvExportStatus: document.getElementById("csvExportStatus"),
 
@@ -171,6 +215,20 @@ class SpeedTest {
       canvasTooltip: document.getElementById("speedGraphTooltip"),
       toggleDownload: document.getElementById("toggleDownload"),
       toggleUpload: document.getElementById("toggleUpload"),
+      serverLegend: document.getElementById("serverLegend"),
+
+      // Baseline overlay
+      keepBaselineBtn: document.getElementById("keepBaselineBtn"),
+      loadBaselineBtn: document.getElementById("loadBaselineBtn"),
+      baselineFile: document.getElementById("baselineFile"),
+      baselineLegend: document.getElementById("baselineLegend"),
+      clearBaselineBtn: document.getElementById("clearBaselineBtn"),
+
+      // Graph image export
+      graphImageScale: document.getElementById("graphImageScale"),
+      exportPNGBtn: document.getElementById("exportPNGBtn"),
+      exportSVGBtn: document.getElementById("exportSVGBtn"),
+      graphExportStatus: document.getElementById("graphExportStatus"),
 
       // Theme toggle
       themeToggle: document.getElementById("themeToggle"),
@@ -179,8 +237,17 @@ class SpeedTest {
       stayAwake: document.getElementById("stayAwake"),
       stayAwakeStatus: document.getElementById("stayAwakeStatus"),
 
-      // CSV export button
+      // CSV export and import
       exportCSVBtn: document.getElementById("exportCSVBtn"),
+      exportJSONBtn: document.getElementById("exportJSONBtn"),
+      exportReportBtn: document.getElementById("exportReportBtn"),
+      importCSVBtn: document.getElementById("importCSVBtn"),
+      importCSVFile: document.getElementById("importCSVFile"),
+
+      // Share links
+      shareRunBtn: document.getElementById("shareRunBtn"),
+      shareLink: document.getElementById("shareLink"),
+      sharedRunNotice: document.getElementById("sharedRunNotice"),
 
       // Statistics
       stats: {
@@ -193,9 +260,45 @@ class SpeedTest {
         p98Download: document.getElementById("p98Download"),
         p98Upload: document.getElementById("p98Upload"),
         p98Ping: document.getElementById("p98Ping"),
+        medianPing: document.getElementById("medianPing"),
+        pingRange: document.getElementById("pingRange"),
+        jitter: document.getElementById("jitter"),
+        packetLoss: document.getElementById("packetLoss"),
+        idlePing: document.getElementById("idlePing"),
+        loadedPing: document.getElementById("loadedPing"),
+        bufferbloatGrade: document.getElementById("bufferbloatGrade"),
         stability: document.getElementById("stability"),
+        failedIntervals: document.getElementById("failedIntervals"),
         actualDuration: document.getElementById("actualDuration"),
       },
+      comparisonStats: document.getElementById("comparisonStats"),
+      baselineStats: document.getElementById("baselineStats"),
+
+      // Run history
+      historyMaxRuns: document.getElementById("historyMaxRuns"),
+      historyMaxAge: document.getElementById("historyMaxAge"),
+      historyStatus: document.getElementById("historyStatus"),
+      historyList: document.getElementById("historyList"),
+
+      // Metrics export
+      metricsFormat: document.getElementById("metricsFormat"),
+      metricsLabel: document.getElementById("metricsLabel"),
+      metricsPushUrl: document.getElementById("metricsPushUrl"),
+      metricsAuthorization: document.getElementById("metricsAuthorization"),
+      metricsAutoPush: document.getElementById("metricsAutoPush"),
+      downloadMetricsBtn: document.getElementById("downloadMetricsBtn"),
+      pushMetricsBtn: document.getElementById("pushMetricsBtn"),
+      metricsStatus: document.getElementById("metricsStatus"),
+
+      // Webhooks
+      webhookUrl: document.getElementById("webhookUrl"),
+      webhookHeaders: document.getElementById("webhookHeaders"),
+      webhookTemplate: document.getElementById("webhookTemplate"),
+      webhookEveryInterval: document.getElementById("webhookEveryInterval"),
+      addWebhookBtn: document.getElementById("addWebhookBtn"),
+      webhookStatus: document.getElementById("webhookStatus"),
+      webhookList: document.getElementById("webhookList"),
+      webhookDeliveries: document.getElementById("webhookDeliveries"),
     };
 
     // Initialize canvas context with error checking
@@ -218,9 +321,116 @@ class SpeedTest {
     this.updateUIForTestType();
     this.initializeMeasurementInterval();
     this.initializeWakeLock();
+    this.initializeHistory();
+    this.initializeMetricsExport();
+    this.renderWebhooks();
 
     // Initialize CSV export button as disabled
     this.setCSVExportEnabled(false);
+
+    const autostart = this.applyURLSettings();
+
+    if (location.hash.startsWith("#share=")) {
+      this.openSharedRun(location.hash.slice("#share=".length));
+    } else if (autostart) {
+      this.startTest();
+    }
+  }
+
+  /**
+   * Preset the controls from the page's query parameters
+   * Lets wall-mounted displays and scripted browsers open a page that is
+   * ready to go, e.g. ?testType=both&testDuration=0&stayAwake=1&autostart=1.
+   * Values the controls don't offer are ignored and reported; the test then
+   * isn't started automatically, so a typo doesn't go unnoticed.
+   * @returns {boolean} Whether the URL asks for a test to start on load
+   */
+  applyURLSettings() {
+    const params = new URLSearchParams(location.search);
+    const {
+      testTypeSelect,
+      testDurationSelect,
+      measurementIntervalSlider,
+      stayAwake,
+    } = this.domElements;
+    const ignored = [];
+
+    // Flags count as set when given without a value, e.g. ?autostart
+    const readFlag = (name) => {
+      if (!params.has(name)) return null;
+      const value = params.get(name).toLowerCase();
+      if (["", "1", "true", "yes", "on"].includes(value)) return true;
+      if (["0", "false", "no", "off"].includes(value)) return false;
+      ignored.push(`${name}=${value}`);
+      return null;
+    };
+
+    [
+      ["testType", testTypeSelect],
+      ["testDuration", testDurationSelect],
+    ].forEach(([name, select]) => {
+      const value = params.get(name);
+      if (value === null) return;
+
+      if (Array.from(select.options).some((option) => option.value === value)) {
+        select.value = value;
+      } else {
+        ignored.push(`${name}=${value}`);
+      }
+    });
+    this.updateUIForTestType();
+
+    const interval = params.get("measurementInterval");
+    if (interval !== null) {
+      const seconds = Number(interval);
+      if (
+        Number.isInteger(seconds) &&
+        seconds >= Number(measurementIntervalSlider.min) &&
+        seconds <= Number(measurementIntervalSlider.max)
+      ) {
+        measurementIntervalSlider.value = String(seconds);
+        this.updateMeasurementInterval(seconds);
+      } else {
+        ignored.push(`measurementInterval=${interval}`);
+      }
+    }
+
+    const backend = params.get("backend");
+    if (backend !== null) {
+      const baseUrl = params.get("backendUrl");
+      const config = baseUrl ? { type: backend, baseUrl } : { type: backend };
+
+      try {
+        if (baseUrl) new URL(baseUrl);
+        createBackend(config);
+        this.setBackend(config);
+      } catch (error) {
+        ignored.push(
+          baseUrl
+            ? `backend=${backend}&backendUrl=${baseUrl}`
+            : `backend=${backend}`
+        );
+      }
+    }
+
+    const keepAwake = readFlag("stayAwake");
+    if (keepAwake !== null && stayAwake) {
+      stayAwake.checked = keepAwake;
+      if (keepAwake) this.handleStayAwakeToggle(true);
+    }
+
+    const autostart = readFlag("autostart");
+
+    if (ignored.length > 0) {
+      console.warn("Ignored URL parameters:", ignored);
+      this.updateTestStatus(
+        `Ignored URL parameters: ${ignored.join(", ")}`,
+        true
+      );
+      return false;
+    }
+
+    return autostart === true;
   }
 
   /**
@@ -307,6 +517,142 @@ class SpeedTest {
       });
     }
 
+    // JSON export button
+    if (this.domElements.exportJSONBtn) {
+      this.domElements.exportJSONBtn.addEventListener("click", () => {
+        this.downloadJSON();
+      });
+    }
+
+    // HTML report button
+    if (this.domElements.exportReportBtn) {
+      this.domElements.exportReportBtn.addEventListener("click", () => {
+        this.downloadReport();
+      });
+    }
+
+    // Share link button
+    if (this.domElements.shareRunBtn) {
+      this.domElements.shareRunBtn.addEventListener("click", () => {
+        this.shareRun();
+      });
+    }
+
+    // Open share links pasted into this tab, and leave the shared view when
+    // navigating back to the page without one
+    window.addEventListener("hashchange", () => {
+      if (location.hash.startsWith("#share=")) {
+        this.openSharedRun(location.hash.slice("#share=".length));
+      } else {
+        this.setSharedView(false);
+      }
+    });
+
+    // Graph image export buttons
+    if (this.domElements.exportPNGBtn) {
+      this.domElements.exportPNGBtn.addEventListener("click", () => {
+        this.downloadGraphImage("png");
+      });
+      this.domElements.exportSVGBtn.addEventListener("click", () => {
+        this.downloadGraphImage("svg");
+      });
+    }
+
+    // CSV import button opens the file picker
+    if (this.domElements.importCSVBtn) {
+      this.domElements.importCSVBtn.addEventListener("click", () => {
+        this.domElements.importCSVFile.click();
+      });
+
+      this.domElements.importCSVFile.addEventListener("change", (e) => {
+        const [file] = e.target.files;
+        e.target.value = ""; // Allow importing the same file again
+        if (file) {
+          this.importCSV(file);
+        }
+      });
+    }
+
+    // Baseline controls
+    if (this.domElements.keepBaselineBtn) {
+      this.domElements.keepBaselineBtn.addEventListener("click", () => {
+        this.keepRunAsBaseline();
+      });
+
+      this.domElements.loadBaselineBtn.addEventListener("click", () => {
+        this.domElements.baselineFile.click();
+      });
+
+      this.domElements.baselineFile.addEventListener("change", (e) => {
+        const [file] = e.target.files;
+        e.target.value = ""; // Allow loading the same file again
+        if (file) {
+          this.loadBaselineFile(file);
+        }
+      });
+
+      this.domElements.clearBaselineBtn.addEventListener("click", () => {
+        this.clearBaseline();
+      });
+    }
+
+    // Run history controls
+    if (this.domElements.historyList) {
+      [this.domElements.historyMaxRuns, this.domElements.historyMaxAge].forEach(
+        (select) =>
+          select.addEventListener("change", () => {
+            this.updateHistoryRetention();
+          })
+      );
+
+      this.domElements.historyList.addEventListener("click", (e) => {
+        this.handleHistoryAction(e);
+      });
+
+      this.domElements.historyList.addEventListener("change", (e) => {
+        if (e.target.classList.contains("history-name")) {
+          this.renameSavedRun(Number(e.target.dataset.id), e.target.value);
+        }
+      });
+    }
+
+    // Metrics export controls
+    if (this.domElements.metricsFormat) {
+      [
+        this.domElements.metricsFormat,
+        this.domElements.metricsLabel,
+        this.domElements.metricsPushUrl,
+        this.domElements.metricsAuthorization,
+        this.domElements.metricsAutoPush,
+      ].forEach((control) =>
+        control.addEventListener("change", () => {
+          this.updateMetricsSettings();
+        })
+      );
+
+      this.domElements.downloadMetricsBtn.addEventListener("click", () => {
+        this.downloadMetrics();
+      });
+
+      this.domElements.pushMetricsBtn.addEventListener("click", () => {
+        this.pushMetrics();
+      });
+    }
+
+    // Webhook controls
+    if (this.domElements.addWebhookBtn) {
+      this.domElements.addWebhookBtn.addEventListener("click", () => {
+        this.addWebhook();
+      });
+
+      this.domElements.webhookList.addEventListener("click", (e) => {
+        const button = e.target.closest("button[data-index]");
+        if (button) {
+          this.removeWebhook(Number(button.dataset.index));
+        }
+      });
+    }
+
     // Canvas tooltip event listeners
     if (this.domElements.canvas && this.domElements.canvasTooltip) {
       this.domElements.canvas.addEventListener("mousemove", (e) => {
@@ -641,14 +987,8 @@ class SpeedTest {
     // Update the display value
     this.domElements.intervalValue.textContent = `${interval}s`;
 
-    // If a test is currently running, restart the measurement interval
-    if (this.isRunning && this.measurementInterval) {
-      clearInterval(this.measurementInterval);
-      this.measurementInterval = setInterval(
-        () => this.performMeasurement(),
-        this.testConfig.measurementInterval
-      );
-    }
+    // A running engine restarts its measurement timer
+    this.engine.setMeasurementInterval(this.testConfig.measurementInterval);
   }
 
   /**
@@ -778,14 +1118,7 @@ class SpeedTest {
         await this.requestWakeLock();
       }
 
-      this.startTestIntervals();
-
-      // Perform initial measurement
-      await this.performMeasurement();
-      this.updateTestStatus("Speed test running...");
-
-      // Set auto-stop timer if not continuous
-      this.scheduleAutoStop();
+      this.engine.start(this.runSettings);
     } catch (error) {
       console.error("Failed to start test:", error);
       this.updateTestStatus("Test started with warnings", true);
@@ -798,7 +1131,9 @@ class SpeedTest {
   initializeTestRun() {
     this.isRunning = true;
     this.startTime = Date.now();
+    this.endTime = null;
     this.testDuration = parseInt(this.domElements.testDurationSelect.value);
+    this.runSettings = this.getRunSettings();
 
     // Disable CSV export button during test
     this.setCSVExportEnabled(false);
@@ -813,265 +1148,184 @@ class SpeedTest {
       download: [],
       upload: [],
       timestamps: [],
+      failures: [],
+      servers: [], // Backend id per interval in comparison mode, otherwise null
     };
-    this.testConfig.currentSizeIndex = 0;
+    this.idleLatency = null;
+    this.loadedLatency = null;
+    this.environment = null;
+    this.requests = [];
+    this.runServers = null;
+    this.comparison = null;
+    this.serverSelection = null;
+    this.viewedRunId = null;
+    this.runName = null;
+    this.sharedStatistics = null;
 
     // Reset connection statistics display
     this.resetStatisticsDisplay();
-
-    // Initialize continuous testing state
-    this.continuousTests = {
-      activeDownloads: new Set(),
-      activeUploads: new Set(),
-      recentSpeeds: {
-        download: [],
-        upload: [],
-      },
-      lastUpdate: Date.now(),
-    };
+    this.updateServerLegend();
+    this.updateServerInfo();
+    this.updateBaselineControls();
   }
 
   /**
-   * Update UI elements for test start
+   * Read the run settings from the controls
+   * @returns {Object} Settings for SpeedTestEngine#start
    */
-  updateUIForTestStart() {
-    const { startStopBtn, testStatus } = this.domElements;
-
-    startStopBtn.textContent = "Stop Test";
-    startStopBtn.classList.add("stop");
-    startStopBtn.setAttribute("aria-label", "Stop the current speed test");
+  getRunSettings() {
+    const { connectionModeSelect, serverModeSelect } = this.domElements;
 
-    this.updateTestStatus("Initializing speed test...");
-    testStatus.classList.add("testing");
-    testStatus.classList.remove("error", "success");
+    return {
+      testType: this.domElements.testTypeSelect.value,
+      testDuration: this.testDuration,
+      measurementInterval: this.testConfig.measurementInterval,
+      connectionMode: connectionModeSelect ? connectionModeSelect.value : "2",
+      serverMode: serverModeSelect ? serverModeSelect.value : "single",
+    };
   }
 
   /**
-   * Start measurement and progress intervals
+   * Stop the speed test
+   * The engine reports back with a complete event once transfers are stopped.
    */
-  startTestIntervals() {
-    this.measurementInterval = setInterval(
-      () => this.performMeasurement(),
-      this.testConfig.measurementInterval
-    );
-
-    // Continuous testing interval for overlapping connections
-    this.continuousInterval = setInterval(
-      () => this.maintainContinuousTests(),
-      this.testConfig.continuousTestInterval
-    );
-
-    this.progressInterval = setInterval(
-      () => this.updateProgress(),
-      this.testConfig.progressUpdateInterval
-    );
-
-    // Start initial continuous tests
-    this.maintainContinuousTests();
+  stopTest() {
+    this.engine.stop();
   }
 
   /**
-   * Schedule automatic stop if test has duration limit
+   * Show the servers the engine settled on for this run
+   * @param {Object} servers - Servers event detail
    */
-  scheduleAutoStop() {
-    if (this.testDuration > 0) {
-      setTimeout(() => {
-        if (this.isRunning) {
-          this.stopTest();
-        }
-      }, this.testDuration * 1000);
-    }
+  handleServers(servers) {
+    if (!this.isRunning) return;
+
+    this.runServers = servers;
+    this.comparison = servers.comparison;
+    this.serverSelection = servers.selection;
+    this.updateServerLegend();
+    this.updateServerInfo();
   }
 
   /**
-   * Stop the speed test and clean up
+   * Store and render one interval sample from the engine
+   * @param {Object} sample - Sample event detail
    */
-  stopTest() {
-    this.isRunning = false;
-    this.endTime = Date.now();
-
-    this.clearTestIntervals();
-    this.updateUIForTestStop();
-    this.calculateStatistics();
+  handleSample(sample) {
+    // Samples posted just before the run stopped are dropped
+    if (!this.isRunning) return;
 
-    // Release wake lock when test stops
-    this.releaseWakeLock();
+    this.domElements.pingValue.textContent =
+      sample.ping.status === "ok" ? sample.ping.value.toFixed(0) : "--";
 
-    // Enable CSV export button if we have data
-    const hasData =
-      this.measurementData.download.length > 0 ||
-      this.measurementData.upload.length > 0 ||
-      this.measurementData.ping.length > 0;
+    // Appends to this.measurementData and this.graphData
+    const results = this.getResults();
+    results.addSample(sample);
 
-    if (hasData) {
-      this.setCSVExportEnabled(true);
+    // Continuous runs have no end to wait for, so post intervals as they come
+    if (
+      this.runSettings.testDuration === 0 &&
+      this.webhooks.hasIntervalWebhooks()
+    ) {
+      this.webhooks.sendInterval(results, sample, this.describeRun(results));
     }
-  }
 
-  /**
-   * Clear all running intervals
-   */
-  clearTestIntervals() {
-    if (this.measurementInterval) {
-      clearInterval(this.measurementInterval);
-      this.measurementInterval = null;
+    // Limit graph data points - maintain synchronization
+    if (this.graphData.timestamps.length > this.maxGraphPoints) {
+      this.graphData.download.shift();
+      this.graphData.upload.shift();
+      this.graphData.timestamps.shift();
+      this.graphData.failures.shift();
+      this.graphData.servers.shift();
     }
 
-    if (this.continuousInterval) {
-      clearInterval(this.continuousInterval);
-      this.continuousInterval = null;
+    if (sample.failures.length > 0) {
+      this.updateTestStatus(
+        `Measurement failed: ${sample.failures
+          .map((f) => `${f.type} ${f.status}`)
+          .join(", ")}`,
+        true
+      );
     }
 
-    if (this.progressInterval) {
-      clearInterval(this.progressInterval);
-      this.progressInterval = null;
-    }
+    this.drawGraph();
   }
 
   /**
-   * Maintain continuous network connections for smoother testing
+   * Finish the run once the engine has stopped
+   * @param {Object} run - Complete event detail; the samples were already
+   *   added as they arrived
    */
-  async maintainContinuousTests() {
-    if (!this.isRunning) return;
+  handleTestComplete({ startTime, endTime, environment, requests }) {
+    this.isRunning = false;
+    // Sample timestamps are relative to the engine's start time
+    this.startTime = startTime;
+    this.endTime = endTime;
+    this.environment = environment;
+    this.requests = requests;
 
-    const testType = this.domElements.testTypeSelect.value;
-    const targetConnections = this.testConfig.continuousConnections;
+    this.updateUIForTestStop();
+    this.calculateStatistics();
 
-    // Maintain continuous download tests
-    if (testType === "download" || testType === "both") {
-      while (this.continuousTests.activeDownloads.size < targetConnections) {
-        this.startContinuousDownload();
-      }
-    }
+    // Release wake lock when test stops
+    this.releaseWakeLock();
+
+    // Enable CSV export and keep the run if we have data
+    if (this.getResults().hasData()) {
+      this.setCSVExportEnabled(true);
+      this.saveRunToHistory();
 
-    // Maintain continuous upload tests
-    if (testType === "upload" || testType === "both") {
-      while (this.continuousTests.activeUploads.size < targetConnections) {
-        this.startContinuousUpload();
+      if (this.metricsSettings.autoPush) {
+        this.pushMetrics();
       }
-    }
 
-    // Update speeds based on recent measurements
-    this.updateContinuousSpeedReadings();
+      const results = this.getResults();
+      this.webhooks.sendRunComplete(results, this.describeRun(results));
+    }
+    this.updateBaselineControls();
   }
 
   /**
-   * Start a continuous download test
+   * Show which server the run measures against in the status area
    */
-  async startContinuousDownload() {
-    const testId = Date.now() + Math.random();
-    this.continuousTests.activeDownloads.add(testId);
-
-    try {
-      const testSize =
-        this.testConfig.downloadSizes[
-          Math.min(
-            this.currentTestSize || 0,
-            this.testConfig.downloadSizes.length - 1
-          )
-        ];
-
-      const startTime = performance.now();
-      const speed = await this.testDownloadWithCloudflare(testSize);
-      const endTime = performance.now();
-
-      if (speed && speed > 0) {
-        this.continuousTests.recentSpeeds.download.push({
-          speed,
-          timestamp: endTime,
-          duration: endTime - startTime,
-        });
+  updateServerInfo() {
+    const element = this.domElements.testServer;
+    if (!element) return;
 
-        // Keep only recent measurements (last 5 seconds)
-        const cutoff = endTime - 5000;
-        this.continuousTests.recentSpeeds.download =
-          this.continuousTests.recentSpeeds.download.filter(
-            (m) => m.timestamp > cutoff
-          );
-      }
-    } catch (error) {
-      console.error("Continuous download test failed:", error);
-    } finally {
-      this.continuousTests.activeDownloads.delete(testId);
+    if (!this.runServers) {
+      element.textContent = "";
+      return;
     }
-  }
 
-  /**
-   * Start a continuous upload test
-   */
-  async startContinuousUpload() {
-    const testId = Date.now() + Math.random();
-    this.continuousTests.activeUploads.add(testId);
+    if (this.comparison) {
+      element.textContent = `Comparing ${this.comparison.backends.length} servers`;
+      return;
+    }
 
-    try {
-      const testSize =
-        this.testConfig.uploadSizes[
-          Math.min(
-            this.currentUploadSizeIndex || 0,
-            this.testConfig.uploadSizes.length - 1
-          )
-        ];
-
-      const startTime = performance.now();
-      const speed = await this.testUploadWithHttpbin(testSize);
-      const endTime = performance.now();
-
-      if (speed && speed > 0) {
-        this.continuousTests.recentSpeeds.upload.push({
-          speed,
-          timestamp: endTime,
-          duration: endTime - startTime,
-        });
+    let text = `Server: ${this.getResults().describeServers()}`;
 
-        // Keep only recent measurements (last 5 seconds)
-        const cutoff = endTime - 5000;
-        this.continuousTests.recentSpeeds.upload =
-          this.continuousTests.recentSpeeds.upload.filter(
-            (m) => m.timestamp > cutoff
-          );
-      }
-    } catch (error) {
-      console.error("Continuous upload test failed:", error);
-    } finally {
-      this.continuousTests.activeUploads.delete(testId);
+    if (this.serverSelection) {
+      text += this.serverSelection.selected
+        ? `, lowest latency ${this.serverSelection.latency.toFixed(0)} ms`
+        : ", no candidate passed selection";
     }
+
+    element.textContent = text;
   }
 
   /**
-   * Update speed readings based on continuous measurements
+   * Update UI elements for test start
    */
-  updateContinuousSpeedReadings() {
-    const now = Date.now();
-
-    // Only update if enough time has passed since last update
-    if (now - this.continuousTests.lastUpdate < 1000) return;
-
-    this.continuousTests.lastUpdate = now;
-    const testType = this.domElements.testTypeSelect.value;
+  updateUIForTestStart() {
+    const { startStopBtn, testStatus } = this.domElements;
 
-    // Calculate average download speed from recent measurements
-    if (
-      (testType === "download" || testType === "both") &&
-      this.continuousTests.recentSpeeds.download.length > 0
-    ) {
-      const recentDownloads = this.continuousTests.recentSpeeds.download;
-      const avgSpeed =
-        recentDownloads.reduce((sum, m) => sum + m.speed, 0) /
-        recentDownloads.length;
-      this.domElements.downloadSpeed.textContent = avgSpeed.toFixed(1);
-    }
+    startStopBtn.textContent = "Stop Test";
+    startStopBtn.classList.add("stop");
+    startStopBtn.setAttribute("aria-label", "Stop the current speed test");
 
-    // Calculate average upload speed from recent measurements
-    if (
-      (testType === "upload" || testType === "both") &&
-      this.continuousTests.recentSpeeds.upload.length > 0
-    ) {
-      const recentUploads = this.continuousTests.recentSpeeds.upload;
-      const avgSpeed =
-        recentUploads.reduce((sum, m) => sum + m.speed, 0) /
-        recentUploads.length;
-      this.domElements.uploadSpeed.textContent = avgSpeed.toFixed(1);
-    }
+    this.updateTestStatus("Initializing speed test...");
+    testStatus.classList.add("testing");
+    testStatus.classList.remove("error", "success");
   }
 
   /**
@@ -1105,676 +1359,81 @@ class SpeedTest {
     }
   }
 
-  async performMeasurement() {
-    try {
-      const testType = this.domElements.testTypeSelect.value;
-
-      // Update status
-      this.domElements.testStatus.textContent = "Speed test running...";
-      this.domElements.testStatus.classList.remove("error");
-
-      // Always measure ping
-      const ping = await this.measurePing();
-      this.domElements.pingValue.textContent = ping.toFixed(0);
-      this.measurementData.ping.push(ping);
-
-      // Get current speeds from continuous measurements
-      let downloadSpeed = 0;
-      let uploadSpeed = 0;
-
-      if (testType === "download" || testType === "both") {
-        if (this.continuousTests.recentSpeeds.download.length > 0) {
-          const recentDownloads = this.continuousTests.recentSpeeds.download;
-          downloadSpeed =
-            recentDownloads.reduce((sum, m) => sum + m.speed, 0) /
-            recentDownloads.length;
-          this.measurementData.download.push(downloadSpeed);
-        } else {
-          this.measurementData.download.push(0);
-        }
-      }
-
-      if (testType === "upload" || testType === "both") {
-        if (this.continuousTests.recentSpeeds.upload.length > 0) {
-          const recentUploads = this.continuousTests.recentSpeeds.upload;
-          uploadSpeed =
-            recentUploads.reduce((sum, m) => sum + m.speed, 0) /
-            recentUploads.length;
-          this.measurementData.upload.push(uploadSpeed);
-        } else {
-          this.measurementData.upload.push(0);
-        }
-      }
+  /**
+   * Show run progress and live speed readings reported by the engine
+   * @param {Object} progress - Progress event detail
+   */
+  updateProgress({ elapsed, duration, fraction, download, upload }) {
+    if (!this.isRunning) return;
 
-      // Update graph data - ensure arrays stay synchronized
-      const timestamp = (Date.now() - this.startTime) / 1000;
+    if (download !== null) {
+      this.domElements.downloadSpeed.textContent = download.toFixed(1);
+    }
 
-      // Always add data points to keep arrays synchronized
-      if (testType === "download" || testType === "both") {
-        this.graphData.download.push(downloadSpeed > 0 ? downloadSpeed : null);
-      }
+    if (upload !== null) {
+      this.domElements.uploadSpeed.textContent = upload.toFixed(1);
+    }
 
-      if (testType === "upload" || testType === "both") {
-        this.graphData.upload.push(uploadSpeed > 0 ? uploadSpeed : null);
-      }
+    if (duration === 0) return;
 
-      this.graphData.timestamps.push(timestamp);
+    this.domElements.progressFill.style.width = fraction * 100 + "%";
+    this.domElements.testProgress.textContent = `${elapsed.toFixed(
+      0
+    )}s / ${duration}s`;
+  }
 
-      // Limit graph data points - maintain synchronization
-      if (this.graphData.timestamps.length > this.maxGraphPoints) {
-        this.graphData.download.shift();
-        this.graphData.upload.shift();
-        this.graphData.timestamps.shift();
-      }
+  /**
+   * Redraw the on-screen graph
+   */
+  drawGraph() {
+    const canvas = this.domElements.canvas;
+    const ctx = this.domElements.canvasContext;
 
-      this.drawGraph();
-    } catch (error) {
-      console.error("Critical measurement error:", error);
-      this.domElements.testStatus.textContent =
-        "Critical error during measurement";
-      this.domElements.testStatus.classList.add("error");
+    // Ensure canvas elements exist before proceeding
+    if (!canvas || !ctx) {
+      console.warn("Canvas or context not available for drawing graph");
+      return;
     }
-  }
-
-  async measurePing() {
-    // Use reliable, CORS-friendly endpoints for ping measurement
-    const pingUrls = [
-      "https://www.google.com/favicon.ico",
-      "https://github.com/favicon.ico",
-      "https://cdnjs.cloudflare.com/ajax/libs/jquery/3.6.0/jquery.min.js?_=1", // Small cacheable resource with query param
-      "https://jsonplaceholder.typicode.com/posts/1",
-    ];
 
-    const results = [];
+    const rect = canvas.getBoundingClientRect();
 
-    // Test multiple endpoints and take the median
-    for (const url of pingUrls.slice(0, 3)) {
-      // Test 3 endpoints
-      try {
-        const startTime = performance.now();
+    // Clear canvas
+    ctx.clearRect(0, 0, rect.width, rect.height);
 
-        await fetch(url, {
-          method: "GET",
-          cache: "no-cache",
-          mode: "no-cors", // Avoid CORS issues for ping measurement
-        });
+    this.renderGraph(ctx, rect.width, rect.height);
+  }
 
-        const pingTime = performance.now() - startTime;
+  /**
+   * Draw the plot: grid, tick labels, speed lines, baseline, failure marks,
+   * the slow-speed threshold line and the axes
+   * Shared by the on-screen canvas and the PNG and SVG exports.
+   * @param {CanvasRenderingContext2D|SVGContext} ctx - Drawing context
+   * @param {number} width - Plot width in CSS pixels
+   * @param {number} height - Plot height in CSS pixels
+   */
+  renderGraph(ctx, width, height) {
+    const baseline = this.baseline ? this.baseline.results.graphData : null;
 
-        // Validate reasonable ping time (5ms to 5000ms)
-        if (pingTime >= 5 && pingTime <= 5000) {
-          results.push(pingTime);
-        }
-      } catch (error) {
-        console.error(`Ping to ${url} failed:`, error);
-        continue;
-      }
-    }
-
-    if (results.length === 0) {
-      // Fallback ping measurement
-      return Math.random() * 50 + 20; // Simulated ping between 20-70ms
-    }
-
-    // Return median ping time for better accuracy
-    results.sort((a, b) => a - b);
-    const median = results[Math.floor(results.length / 2)];
-
-    return median;
-  }
-
-  async measureDownloadSpeed() {
-    // Progressive size testing - start small and increase
-    const testSize =
-      this.testConfig.downloadSizes[
-        Math.min(this.currentTestSize, this.testConfig.downloadSizes.length - 1)
-      ];
-
-    try {
-      // For larger files, use parallel connections to better utilize bandwidth
-      const useParallel = testSize >= 5 * 1024 * 1024; // 5MB or larger
-
-      let result;
-      if (useParallel) {
-        result = await this.testDownloadWithParallelConnections(testSize);
-      } else {
-        result = await this.testDownloadWithCloudflare(testSize);
-      }
-
-      if (result === null) {
-        // Fallback to alternative servers
-        result = await this.testDownloadWithFallback(testSize);
-      }
-
-      if (result === null) {
-        // Final fallback to simulated testing
-        console.warn("All download servers failed, using simulation");
-        return this.simulateNetworkSpeed("download");
-      }
-
-      // Increase test size for next measurement (progressive testing)
-      if (this.currentTestSize < this.testConfig.downloadSizes.length - 1) {
-        this.currentTestSize++;
-      }
-
-      return result;
-    } catch (error) {
-      console.error("Download measurement error:", error);
-      return this.simulateNetworkSpeed("download");
-    }
-  }
-
-  async testDownloadWithCloudflare(bytes) {
-    try {
-      // Use Cloudflare's optimized speed test endpoint
-      const url = `https://speed.cloudflare.com/__down?bytes=${bytes}`;
-      const startTime = performance.now();
-
-      const response = await fetch(url, {
-        method: "GET",
-        cache: "no-cache",
-        // Remove headers that might slow down the connection
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-
-      // Start timing when we begin reading data, not when request starts
-      const dataStartTime = performance.now();
-
-      // Read the response data using streaming for more accurate measurement
-      const reader = response.body.getReader();
-      let receivedBytes = 0;
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        receivedBytes += value.length;
-      }
-
-      const endTime = performance.now();
-      // Use data transfer time only, excluding initial request overhead
-      const duration = (endTime - dataStartTime) / 1000; // seconds
-
-      // Calculate speed in Mbps
-      const mbps = (receivedBytes * 8) / (duration * 1000000);
-
-      // Validate reasonable result
-      if (mbps > 0 && mbps < 10000) {
-        // Sanity check: 0-10Gbps
-        return mbps;
-      }
-
-      return null;
-    } catch (error) {
-      console.error("Cloudflare test failed:", error);
-      return null;
-    }
-  }
-
-  async testDownloadWithParallelConnections(totalBytes) {
-    try {
-      const numConnections = 4; // Use 4 parallel connections
-      const bytesPerConnection = Math.floor(totalBytes / numConnections);
-
-      const promises = [];
-      const startTime = performance.now();
-
-      // Create multiple parallel download requests
-      for (let i = 0; i < numConnections; i++) {
-        const url = `https://speed.cloudflare.com/__down?bytes=${bytesPerConnection}`;
-        promises.push(this.downloadChunk(url));
-      }
-
-      // Wait for all downloads to complete
-      const results = await Promise.all(promises);
-      const endTime = performance.now();
-
-      // Calculate total bytes received
-      const totalBytesReceived = results.reduce((sum, bytes) => sum + bytes, 0);
-
-      // Calculate total duration (all connections run in parallel)
-      const duration = (endTime - startTime) / 1000;
-      const mbps = (totalBytesReceived * 8) / (duration * 1000000);
-
-      if (mbps > 0 && mbps < 10000) {
-        return mbps;
-      }
-
-      return null;
-    } catch (error) {
-      console.error("Parallel download test failed:", error);
-      return null;
-    }
-  }
-
-  async downloadChunk(url) {
-    try {
-      const response = await fetch(url, {
-        method: "GET",
-        cache: "no-cache",
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-
-      const reader = response.body.getReader();
-      let receivedBytes = 0;
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        receivedBytes += value.length;
-      }
-
-      return receivedBytes;
-    } catch (error) {
-      console.error("Chunk download failed:", error);
-      return 0;
-    }
-  }
-
-  async testDownloadWithFallback(bytes) {
-    // Try alternative methods for download testing
-    const fallbackUrls = [
-      `https://httpbin.org/bytes/${bytes}`,
-      // Add more fallback URLs as needed
-    ];
-
-    for (const url of fallbackUrls) {
-      try {
-        const startTime = performance.now();
-
-        const response = await fetch(url, {
-          method: "GET",
-          cache: "no-cache",
-        });
-
-        if (!response.ok) continue;
-
-        const data = await response.arrayBuffer();
-        const endTime = performance.now();
-
-        const duration = (endTime - startTime) / 1000;
-        const mbps = (data.byteLength * 8) / (duration * 1000000);
-
-        if (mbps > 0 && mbps < 10000) {
-          return mbps;
-        }
-      } catch (error) {
-        console.error(`Fallback URL ${url} failed:`, error);
-        continue;
-      }
-    }
-
-    return null;
-  }
-
-  async measureUploadSpeed() {
-    // Use progressive upload sizes for better accuracy
-    const testSize =
-      this.testConfig.uploadSizes[
-        Math.min(
-          this.currentUploadSizeIndex || 0,
-          this.testConfig.uploadSizes.length - 1
-        )
-      ];
-
-    try {
-      // For larger files, use parallel uploads like downloads
-      const useParallel = testSize >= 20 * 1024 * 1024; // 20MB or larger
-
-      let result;
-      if (useParallel) {
-        result = await this.testUploadWithParallelConnections(testSize);
-      } else {
-        result = await this.testUploadWithHttpbin(testSize);
-      }
-
-      if (result === null) {
-        // Try alternative upload endpoints
-        result = await this.testUploadWithAlternativeEndpoints(testSize);
-      }
-
-      if (result === null) {
-        // Final fallback to simulated testing
-        console.warn("All upload servers failed, using simulation");
-        return this.simulateNetworkSpeed("upload");
-      }
-
-      // Increase upload test size for next measurement
-      if (!this.currentUploadSizeIndex) this.currentUploadSizeIndex = 0;
-      if (
-        this.currentUploadSizeIndex <
-        this.testConfig.uploadSizes.length - 1
-      ) {
-        this.currentUploadSizeIndex++;
-      }
-
-      return result;
-    } catch (error) {
-      console.error("Upload measurement error:", error);
-      return this.simulateNetworkSpeed("upload");
-    }
-  }
-
-  async testUploadWithParallelConnections(totalBytes) {
-    try {
-      const chunkCount = 4; // Use 4 parallel connections like downloads
-      const chunkSize = Math.floor(totalBytes / chunkCount);
-      const uploadChunks = [];
-
-      // Create upload chunks with test data
-      for (let i = 0; i < chunkCount; i++) {
-        const isLastChunk = i === chunkCount - 1;
-        const currentChunkSize = isLastChunk
-          ? totalBytes - chunkSize * i // Handle remainder in last chunk
-          : chunkSize;
-
-        uploadChunks.push({
-          data: this.generateTestData(currentChunkSize),
-          size: currentChunkSize,
-        });
-      }
-
-      // Start parallel uploads
-      const startTime = performance.now();
-
-      const uploadPromises = uploadChunks.map(async (chunk, index) => {
-        try {
-          const response = await fetch("https://httpbin.org/post", {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/octet-stream",
-              "X-Chunk-Index": index.toString(),
-            },
-            body: chunk.data,
-          });
-
-          if (!response.ok) {
-            throw new Error(`Chunk ${index} failed: HTTP ${response.status}`);
-          }
-
-          return { success: true, size: chunk.size };
-        } catch (error) {
-          console.warn(`Upload chunk ${index} failed:`, error);
-          return { success: false, size: chunk.size };
-        }
-      });
-
-      const results = await Promise.allSettled(uploadPromises);
-      const endTime = performance.now();
-
-      // Calculate total successful bytes uploaded
-      let successfulBytes = 0;
-      let successfulUploads = 0;
-
-      results.forEach((result, index) => {
-        if (result.status === "fulfilled" && result.value.success) {
-          successfulBytes += result.value.size;
-          successfulUploads++;
-        }
-      });
-
-      // Need at least 2 successful uploads for valid measurement
-      if (successfulUploads < 2) {
-        console.warn(
-          `Only ${successfulUploads} uploads succeeded, insufficient for measurement`
-        );
-        return null;
-      }
-
-      const durationMs = endTime - startTime;
-      const speedMbps = this.calculateSpeed(successfulBytes, durationMs);
-
-      console.log(
-        `Parallel upload: ${successfulBytes} bytes in ${durationMs.toFixed(
-          0
-        )}ms = ${speedMbps.toFixed(2)} Mbps`
-      );
-      return speedMbps;
-    } catch (error) {
-      console.error("Parallel upload error:", error);
-      return null;
-    }
-  }
-
-  async testUploadWithAlternativeEndpoints(bytes) {
-    const endpoints = [
-      {
-        url: "https://postman-echo.com/post",
-        name: "Postman Echo",
-        headers: { "Content-Type": "application/octet-stream" },
-      },
-      {
-        url: "https://jsonplaceholder.typicode.com/posts",
-        name: "JSONPlaceholder",
-        headers: { "Content-Type": "application/json" },
-      },
-    ];
-
-    for (const endpoint of endpoints) {
-      try {
-        console.log(`Trying upload to ${endpoint.name}...`);
-        const testData =
-          endpoint.name === "JSONPlaceholder"
-            ? JSON.stringify({ data: this.generateTestData(bytes).toString() })
-            : this.generateTestData(bytes);
-
-        const startTime = performance.now();
-
-        const response = await fetch(endpoint.url, {
-          method: "POST",
-          headers: endpoint.headers,
-          body: testData,
-        });
-
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}`);
-        }
-
-        const endTime = performance.now();
-        const durationMs = endTime - startTime;
-        const speedMbps = this.calculateSpeed(bytes, durationMs);
-
-        console.log(
-          `${endpoint.name} upload: ${bytes} bytes in ${durationMs.toFixed(
-            0
-          )}ms = ${speedMbps.toFixed(2)} Mbps`
-        );
-        return speedMbps;
-      } catch (error) {
-        console.warn(`${endpoint.name} upload failed:`, error);
-        continue;
-      }
-    }
-
-    return null;
-  }
-
-  async testUploadWithHttpbin(bytes) {
-    try {
-      const testData = this.generateTestData(bytes);
-
-      // More precise timing - measure only the actual upload
-      const startTime = performance.now();
-
-      const response = await fetch("https://httpbin.org/post", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/octet-stream",
-          "Content-Length": bytes.toString(),
-        },
-        body: testData,
-      });
-
-      // Stop timing as soon as response headers are received
-      const endTime = performance.now();
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-
-      // Calculate using precise measurements
-      const durationMs = endTime - startTime;
-      const speedMbps = this.calculateSpeed(bytes, durationMs);
-
-      console.log(
-        `HTTPBin upload: ${bytes} bytes in ${durationMs.toFixed(
-          0
-        )}ms = ${speedMbps.toFixed(2)} Mbps`
-      );
-
-      // Validate reasonable result (uploads typically 10-80% of download speed)
-      if (speedMbps > 0 && speedMbps < 1000) {
-        return speedMbps;
-      }
-
-      return null;
-    } catch (error) {
-      console.error("Httpbin upload test failed:", error);
-      return null;
-    }
-  }
-
-  async testUploadWithFormData(bytes) {
-    try {
-      const testData = this.generateTestData(bytes);
-      const formData = new FormData();
-      formData.append("file", new Blob([testData]), "speedtest.bin");
-
-      const startTime = performance.now();
-
-      const response = await fetch("https://httpbin.org/post", {
-        method: "POST",
-        body: formData,
-        headers: {
-          "Cache-Control": "no-cache",
-        },
-      });
-
-      const endTime = performance.now();
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-
-      // Calculate using precise measurements
-      const durationMs = endTime - startTime;
-      const speedMbps = this.calculateSpeed(bytes, durationMs);
-
-      console.log(
-        `FormData upload: ${bytes} bytes in ${durationMs.toFixed(
-          0
-        )}ms = ${speedMbps.toFixed(2)} Mbps`
-      );
-
-      if (speedMbps > 0 && speedMbps < 1000) {
-        return speedMbps;
-      }
-
-      return null;
-    } catch (error) {
-      console.error("FormData upload test failed:", error);
-      return null;
-    }
-  }
-
-  generateTestData(size) {
-    // For large uploads, use a more efficient pattern-based approach
-    if (size > 10 * 1024 * 1024) {
-      // 10MB+
-      return this.generateLargeTestData(size);
-    }
-
-    // For smaller uploads, use random data for better accuracy
-    const data = new Uint8Array(size);
-    for (let i = 0; i < size; i++) {
-      data[i] = Math.floor(Math.random() * 256);
-    }
-    return data;
-  }
-
-  generateLargeTestData(size) {
-    // Create a repeating pattern for efficiency with large files
-    const patternSize = 1024; // 1KB pattern
-    const pattern = new Uint8Array(patternSize);
-
-    // Fill pattern with semi-random but predictable data
-    for (let i = 0; i < patternSize; i++) {
-      pattern[i] = (i * 137 + 71) % 256; // Simple pseudo-random sequence
-    }
-
-    const data = new Uint8Array(size);
-    for (let i = 0; i < size; i++) {
-      data[i] = pattern[i % patternSize];
-    }
-
-    return data;
-  }
-
-  calculateSpeed(bytes, durationMs) {
-    // Convert to Mbps: (bytes * 8 bits/byte) / (duration in seconds * 1,000,000 bits/Mbps)
-    const durationSeconds = durationMs / 1000;
-    const speedMbps = (bytes * 8) / (durationSeconds * 1000000);
-    return speedMbps;
-  }
-
-  simulateNetworkSpeed(type) {
-    // Simulate realistic network speeds with variation
-    const baseSpeed = type === "download" ? 50 : 20; // Mbps
-    const variation = 0.7 + Math.random() * 0.6; // ±30% variation
-    const timeVariation = Math.sin(Date.now() / 10000) * 0.2 + 1; // Slow time-based variation
-
-    return Math.max(0.1, baseSpeed * variation * timeVariation);
-  }
-
-  updateProgress() {
-    if (!this.isRunning || this.testDuration === 0) return;
-
-    const elapsed = (Date.now() - this.startTime) / 1000;
-    const progress = Math.min(100, (elapsed / this.testDuration) * 100);
-
-    this.domElements.progressFill.style.width = progress + "%";
-    this.domElements.testProgress.textContent = `${elapsed.toFixed(0)}s / ${
-      this.testDuration
-    }s`;
-  }
-
-  drawGraph() {
-    const canvas = this.domElements.canvas;
-    const ctx = this.domElements.canvasContext;
-
-    // Ensure canvas elements exist before proceeding
-    if (!canvas || !ctx) {
-      console.warn("Canvas or context not available for drawing graph");
-      return;
-    }
-
-    const rect = canvas.getBoundingClientRect();
-
-    // Clear canvas
-    ctx.clearRect(0, 0, rect.width, rect.height);
-
-    if (this.graphData.timestamps.length === 0) {
+    if (
+      this.graphData.timestamps.length === 0 &&
+      (!baseline || baseline.timestamps.length === 0)
+    ) {
       // Draw empty graph
       ctx.strokeStyle = "#e9ecef";
       ctx.lineWidth = 1;
       ctx.setLineDash([5, 5]);
       ctx.beginPath();
-      ctx.moveTo(50, rect.height - 50);
-      ctx.lineTo(rect.width - 20, rect.height - 50);
+      ctx.moveTo(50, height - 50);
+      ctx.lineTo(width - 20, height - 50);
       ctx.moveTo(50, 30);
-      ctx.lineTo(50, rect.height - 50);
+      ctx.lineTo(50, height - 50);
       ctx.stroke();
       ctx.setLineDash([]);
 
       ctx.fillStyle = "#999";
       ctx.font = "14px Arial";
       ctx.textAlign = "center";
-      ctx.fillText("No data yet", rect.width / 2, rect.height / 2);
+      ctx.fillText("No data yet", width / 2, height / 2);
       return;
     }
 
@@ -1826,11 +1485,22 @@ class SpeedTest {
       }
     }
 
-    const maxTime = Math.max(...this.graphData.timestamps);
+    // Keep the baseline on the same scale
+    if (baseline) {
+      const validBaseline = [
+        ...(this.graphSettings.showDownload ? baseline.download : []),
+        ...(this.graphSettings.showUpload ? baseline.upload : []),
+      ].filter((val) => val !== null && val > 0);
+      if (validBaseline.length > 0) {
+        maxSpeed = Math.max(maxSpeed, Math.max(...validBaseline));
+      }
+    }
+
+    const maxTime = this.getGraphMaxTime();
 
     const padding = 50;
-    const graphWidth = rect.width - padding - 20;
-    const graphHeight = rect.height - padding - 30;
+    const graphWidth = width - padding - 20;
+    const graphHeight = height - padding - 30;
 
     // Draw grid
     ctx.strokeStyle = "#f0f0f0";
@@ -1841,7 +1511,7 @@ class SpeedTest {
       const y = padding + (i * graphHeight) / 5;
       ctx.beginPath();
       ctx.moveTo(padding, y);
-      ctx.lineTo(rect.width - 20, y);
+      ctx.lineTo(width - 20, y);
       ctx.stroke();
 
       // Y-axis labels
@@ -1856,45 +1526,45 @@ class SpeedTest {
       const x = padding + (i * graphWidth) / 5;
       ctx.beginPath();
       ctx.moveTo(x, padding);
-      ctx.lineTo(x, rect.height - 30);
+      ctx.lineTo(x, height - 30);
       ctx.stroke();
 
       // X-axis labels
       ctx.fillStyle = "#666";
       ctx.font = "12px Arial";
       ctx.textAlign = "center";
-      ctx.fillText(((maxTime * i) / 5).toFixed(0) + "s", x, rect.height - 10);
+      ctx.fillText(((maxTime * i) / 5).toFixed(0) + "s", x, height - 10);
     }
 
     // Draw data lines with dynamic coloring
-    const drawLine = (data, normalColor) => {
-      if (data.length < 2) return;
+    // include() picks the intervals belonging to the series (all by default)
+    const drawLine = (data, normalColor, include = () => true) => {
+      const indices = data.map((_, i) => i).filter(include);
+      if (indices.length < 2) return;
 
       ctx.lineWidth = 2;
 
       // Draw line segments, changing color when speed drops below threshold
-      for (let i = 0; i < data.length - 1; i++) {
+      for (let k = 0; k < indices.length - 1; k++) {
+        const i = indices[k];
+        const j = indices[k + 1];
+
         // Skip null values (failed measurements)
-        if (
-          data[i] === null ||
-          data[i] <= 0 ||
-          data[i + 1] === null ||
-          data[i + 1] <= 0
-        )
+        if (data[i] === null || data[i] <= 0 || data[j] === null || data[j] <= 0)
           continue;
 
         const x1 =
           padding + (this.graphData.timestamps[i] / maxTime) * graphWidth;
         const y1 = padding + (1 - data[i] / maxSpeed) * graphHeight;
         const x2 =
-          padding + (this.graphData.timestamps[i + 1] / maxTime) * graphWidth;
-        const y2 = padding + (1 - data[i + 1] / maxSpeed) * graphHeight;
+          padding + (this.graphData.timestamps[j] / maxTime) * graphWidth;
+        const y2 = padding + (1 - data[j] / maxSpeed) * graphHeight;
 
         // Determine color based on speed values
         // Use red if either point is below the threshold
         const useRedColor =
           data[i] < this.graphSettings.slowSpeedThreshold ||
-          data[i + 1] < this.graphSettings.slowSpeedThreshold;
+          data[j] < this.graphSettings.slowSpeedThreshold;
         ctx.strokeStyle = useRedColor
           ? this.graphSettings.colors.slowSpeed
           : normalColor;
@@ -1906,32 +1576,112 @@ class SpeedTest {
       }
     };
 
-    // Draw download line
-    if (this.graphSettings.showDownload) {
-      drawLine(this.graphData.download, this.graphSettings.colors.download);
-    }
+    // Draw the baseline underneath as faded dotted lines
+    if (baseline) {
+      const drawBaselineLine = (data, color) => {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
 
-    // Draw upload line
-    if (this.graphSettings.showUpload) {
-      drawLine(this.graphData.upload, this.graphSettings.colors.upload);
-    }
+        // Failed intervals leave a gap
+        let drawing = false;
+        data.forEach((value, i) => {
+          if (value === null || value <= 0) {
+            drawing = false;
+            return;
+          }
 
-    // Draw 10 Mbps reference line if the scale allows it
-    if (maxSpeed >= this.graphSettings.slowSpeedThreshold) {
-      const referenceY =
-        padding +
-        (1 - this.graphSettings.slowSpeedThreshold / maxSpeed) * graphHeight;
-      ctx.strokeStyle = this.graphSettings.colors.reference;
-      ctx.lineWidth = 1;
-      ctx.setLineDash([5, 5]);
-      ctx.beginPath();
-      ctx.moveTo(padding, referenceY);
-      ctx.lineTo(rect.width - 20, referenceY);
-      ctx.stroke();
-      ctx.setLineDash([]);
+          const x = padding + (baseline.timestamps[i] / maxTime) * graphWidth;
+          const y = padding + (1 - value / maxSpeed) * graphHeight;
+          if (drawing) {
+            ctx.lineTo(x, y);
+          } else {
+            ctx.moveTo(x, y);
+          }
+          drawing = true;
+        });
 
-      // Add reference line label
-      ctx.fillStyle = this.graphSettings.colors.reference;
+        ctx.stroke();
+      };
+
+      ctx.save();
+      ctx.globalAlpha = 0.45;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([2, 4]);
+      if (this.graphSettings.showDownload) {
+        drawBaselineLine(baseline.download, this.graphSettings.colors.download);
+      }
+      if (this.graphSettings.showUpload) {
+        drawBaselineLine(baseline.upload, this.graphSettings.colors.upload);
+      }
+      ctx.restore();
+    }
+
+    if (this.comparison) {
+      // One series per server; uploads are dashed
+      this.comparison.backends.forEach((backend, index) => {
+        const color = this.getServerColor(index);
+        const include = (i) => this.graphData.servers[i] === backend.id;
+
+        if (this.graphSettings.showDownload) {
+          drawLine(this.graphData.download, color, include);
+        }
+        if (this.graphSettings.showUpload) {
+          ctx.setLineDash([6, 4]);
+          drawLine(this.graphData.upload, color, include);
+          ctx.setLineDash([]);
+        }
+      });
+    } else {
+      // Draw download line
+      if (this.graphSettings.showDownload) {
+        drawLine(this.graphData.download, this.graphSettings.colors.download);
+      }
+
+      // Draw upload line
+      if (this.graphSettings.showUpload) {
+        drawLine(this.graphData.upload, this.graphSettings.colors.upload);
+      }
+    }
+
+    // Mark failed intervals along the time axis
+    this.graphData.failures.forEach((failures, i) => {
+      const visibleFailures = failures.filter(
+        (f) =>
+          (f.type === "download" && this.graphSettings.showDownload) ||
+          (f.type === "upload" && this.graphSettings.showUpload) ||
+          f.type === "ping"
+      );
+      if (visibleFailures.length === 0) return;
+
+      const x = padding + (this.graphData.timestamps[i] / maxTime) * graphWidth;
+      const y = height - 30 - 8;
+
+      ctx.strokeStyle = this.graphSettings.colors.slowSpeed;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x - 4, y - 4);
+      ctx.lineTo(x + 4, y + 4);
+      ctx.moveTo(x + 4, y - 4);
+      ctx.lineTo(x - 4, y + 4);
+      ctx.stroke();
+    });
+
+    // Draw 10 Mbps reference line if the scale allows it
+    if (maxSpeed >= this.graphSettings.slowSpeedThreshold) {
+      const referenceY =
+        padding +
+        (1 - this.graphSettings.slowSpeedThreshold / maxSpeed) * graphHeight;
+      ctx.strokeStyle = this.graphSettings.colors.reference;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([5, 5]);
+      ctx.beginPath();
+      ctx.moveTo(padding, referenceY);
+      ctx.lineTo(width - 20, referenceY);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      // Add reference line label
+      ctx.fillStyle = this.graphSettings.colors.reference;
       ctx.font = "11px Arial";
       ctx.textAlign = "left";
       ctx.fillText("10 Mbps", padding + 5, referenceY - 5);
@@ -1942,22 +1692,62 @@ class SpeedTest {
     ctx.lineWidth = 2;
     ctx.beginPath();
     ctx.moveTo(padding, padding);
-    ctx.lineTo(padding, rect.height - 30);
-    ctx.lineTo(rect.width - 20, rect.height - 30);
+    ctx.lineTo(padding, height - 30);
+    ctx.lineTo(width - 20, height - 30);
     ctx.stroke();
   }
 
+  /**
+   * Get the graph color for a comparison server
+   * @param {number} index - Index into the comparison backends
+   * @returns {string} CSS color
+   */
+  getServerColor(index) {
+    const palette = this.graphSettings.colors.servers;
+    return palette[index % palette.length];
+  }
+
+  /**
+   * Show which color belongs to which server in comparison mode
+   */
+  updateServerLegend() {
+    const legend = this.domElements.serverLegend;
+    if (!legend) return;
+
+    if (!this.comparison) {
+      legend.hidden = true;
+      legend.innerHTML = "";
+      return;
+    }
+
+    legend.innerHTML = this.comparison.backends
+      .map(
+        (backend, index) => `<span class="server-legend-item">
+          <span class="server-swatch" style="background: ${this.getServerColor(
+            index
+          )}"></span>${escapeMarkup(backend.name)}
+        </span>`
+      )
+      .join("");
+    legend.hidden = false;
+  }
+
   calculateStatistics() {
-    const testType = this.domElements.testTypeSelect.value;
+    const results = this.getResults();
+    const testType = this.runSettings.testType;
 
     // Download statistics (using warmed-up data)
     if (
       (testType === "download" || testType === "both") &&
       this.measurementData.download.length > 0
     ) {
-      const stats = this.calculateWarmedUpStats(this.measurementData.download);
-      const warmedUpData = this.getWarmedUpData(this.measurementData.download);
-      const p98Download = this.calculate98thPercentile(
+      const stats = results.calculateWarmedUpStats(
+        this.measurementData.download
+      );
+      const warmedUpData = results.getWarmedUpData(
+        this.measurementData.download
+      );
+      const p98Download = results.calculate98thPercentile(
         this.measurementData.download
       );
 
@@ -1989,9 +1779,9 @@ class SpeedTest {
       (testType === "upload" || testType === "both") &&
       this.measurementData.upload.length > 0
     ) {
-      const stats = this.calculateWarmedUpStats(this.measurementData.upload);
-      const warmedUpData = this.getWarmedUpData(this.measurementData.upload);
-      const p98Upload = this.calculate98thPercentile(
+      const stats = results.calculateWarmedUpStats(this.measurementData.upload);
+      const warmedUpData = results.getWarmedUpData(this.measurementData.upload);
+      const p98Upload = results.calculate98thPercentile(
         this.measurementData.upload
       );
 
@@ -2019,417 +1809,1566 @@ class SpeedTest {
     }
 
     // Consistency calculation (coefficient of variation) - using warmed-up data
-    let stability = 0;
-    if (testType === "download" && this.measurementData.download.length > 0) {
-      const warmedUpData = this.getWarmedUpData(this.measurementData.download);
-      if (warmedUpData.length > 0) {
-        const downloadCV = this.calculateCV(warmedUpData);
-        stability = Math.max(0, 100 - downloadCV);
+    const stability = results.calculateStability();
+
+    // Latency statistics from the probe bursts (using warmed-up data)
+    const latencyFields = [
+      "medianPing",
+      "pingRange",
+      "p98Ping",
+      "jitter",
+      "packetLoss",
+    ];
+    if (this.measurementData.ping.length > 0) {
+      const latency = results.calculateLatencyStats();
+
+      if (latency.count > 0) {
+        const p98Ping = results.calculate98thPercentile(
+          this.measurementData.ping
+        );
+        document.getElementById("medianPing").textContent =
+          latency.median.toFixed(1) + " ms";
+        document.getElementById("pingRange").textContent =
+          `${latency.min.toFixed(1)} / ${latency.max.toFixed(1)} ms`;
+        document.getElementById("p98Ping").textContent =
+          p98Ping.toFixed(1) + " ms";
+        document.getElementById("jitter").textContent =
+          latency.jitter.toFixed(1) + " ms";
+        document.getElementById("packetLoss").textContent =
+          (latency.loss * 100).toFixed(1) + " %";
+        document.getElementById(
+          "packetLoss"
+        ).title = `${latency.lost} of ${latency.sent} probe requests lost`;
+      } else if (latency.sent > 0) {
+        // No probe got through, but the loss still counts
+        ["medianPing", "pingRange", "p98Ping", "jitter"].forEach((id) => {
+          document.getElementById(id).textContent = "-- ms";
+        });
+        document.getElementById("packetLoss").textContent =
+          (latency.loss * 100).toFixed(1) + " %";
+        document.getElementById(
+          "packetLoss"
+        ).title = `${latency.lost} of ${latency.sent} probe requests lost`;
+      } else {
+        latencyFields.forEach((id) => {
+          document.getElementById(id).textContent = "Warming up...";
+        });
       }
-    } else if (
-      testType === "upload" &&
-      this.measurementData.upload.length > 0
-    ) {
-      const warmedUpData = this.getWarmedUpData(this.measurementData.upload);
-      if (warmedUpData.length > 0) {
-        const uploadCV = this.calculateCV(warmedUpData);
-        stability = Math.max(0, 100 - uploadCV);
+    } else {
+      document.getElementById("medianPing").textContent = "-- ms";
+      document.getElementById("pingRange").textContent = "-- ms";
+      document.getElementById("p98Ping").textContent = "-- ms";
+      document.getElementById("jitter").textContent = "-- ms";
+      document.getElementById("packetLoss").textContent = "-- %";
+    }
+
+    // Bufferbloat: idle latency compared with latency under load
+    const bufferbloat = results.calculateBufferbloat();
+    document.getElementById("idlePing").textContent =
+      bufferbloat.idle !== null ? bufferbloat.idle.toFixed(1) + " ms" : "-- ms";
+    document.getElementById("loadedPing").textContent =
+      this.formatLoadedLatency(bufferbloat);
+    document.getElementById("bufferbloatGrade").textContent =
+      bufferbloat.grade || "--";
+
+    // Failed intervals are excluded above and counted here
+    const failureCounts = results.countFailures();
+    const failedEl = document.getElementById("failedIntervals");
+    const totalIntervals = this.graphData.timestamps.length;
+    failedEl.textContent = `${failureCounts.intervals} of ${totalIntervals}`;
+    failedEl.title = results.describeFailureCounts(failureCounts);
+
+    // Duration
+    const duration = (this.endTime - this.startTime) / 1000;
+
+    document.getElementById("stability").textContent =
+      stability.toFixed(0) + " %";
+    document.getElementById("actualDuration").textContent =
+      duration.toFixed(0) + " s";
+
+    this.updateComparisonStats(results);
+    this.updateBaselineStats(results);
+  }
+
+  /**
+   * Show per-server results side by side in comparison mode
+   * @param {SpeedTestResults} results - Results of the run
+   */
+  updateComparisonStats(results) {
+    const container = this.domElements.comparisonStats;
+    if (!container) return;
+
+    if (!this.comparison) {
+      container.hidden = true;
+      container.innerHTML = "";
+      return;
+    }
+
+    const formatSpeed = (stats) =>
+      stats ? `${stats.avg.toFixed(1)} Mbps` : "-- Mbps";
+    const formatMs = (value) =>
+      value !== null ? `${value.toFixed(1)} ms` : "-- ms";
+
+    const rows = this.comparison.backends
+      .map((backend, index) => {
+        const stats = results.calculateServerStats(backend);
+        return `<tr>
+          <th scope="row">
+            <span class="server-swatch" style="background: ${this.getServerColor(
+              index
+            )}"></span>${escapeMarkup(backend.name)}
+          </th>
+          <td>${formatSpeed(stats.download)}</td>
+          <td>${formatSpeed(stats.upload)}</td>
+          <td>${formatMs(stats.ping)}</td>
+          <td>${formatMs(stats.jitter)}</td>
+          <td>${stats.failedIntervals} of ${stats.intervals}</td>
+        </tr>`;
+      })
+      .join("");
+
+    container.innerHTML = `<table class="comparison-table">
+      <caption>Per-server results (${escapeMarkup(
+        this.comparison.mode
+      )})</caption>
+      <thead>
+        <tr>
+          <th scope="col">Server</th>
+          <th scope="col">Avg Download</th>
+          <th scope="col">Avg Upload</th>
+          <th scope="col">Median Ping</th>
+          <th scope="col">Jitter</th>
+          <th scope="col">Failed Intervals</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+    container.hidden = false;
+  }
+
+  /**
+   * Format loaded latency for display, e.g. "↓ 45.2 (+20.1) / ↑ 80.3 (+55.2) ms"
+   * @param {Object} bufferbloat - Result of calculateBufferbloat()
+   * @returns {string} Display text
+   */
+  formatLoadedLatency(bufferbloat) {
+    const parts = [
+      ["↓", bufferbloat.download],
+      ["↑", bufferbloat.upload],
+    ]
+      .filter(([, result]) => result)
+      .map(([arrow, result]) => {
+        const increase =
+          result.increase !== null ? ` (+${result.increase.toFixed(1)})` : "";
+        return `${arrow} ${result.median.toFixed(1)}${increase}`;
+      });
+
+    return parts.length > 0 ? `${parts.join(" / ")} ms` : "-- ms";
+  }
+
+  /**
+   * Reset all statistics display fields to default values
+   * Called when starting a new test to clear previous results
+   */
+  resetStatisticsDisplay() {
+    // Reset download statistics
+    document.getElementById("avgDownload").textContent = "-- Mbps";
+    document.getElementById("maxDownload").textContent = "-- Mbps";
+    document.getElementById("minDownload").textContent = "-- Mbps";
+    document.getElementById("p98Download").textContent = "-- Mbps";
+
+    // Reset upload statistics
+    document.getElementById("avgUpload").textContent = "-- Mbps";
+    document.getElementById("maxUpload").textContent = "-- Mbps";
+    document.getElementById("minUpload").textContent = "-- Mbps";
+    document.getElementById("p98Upload").textContent = "-- Mbps";
+
+    // Reset latency statistics
+    document.getElementById("medianPing").textContent = "-- ms";
+    document.getElementById("pingRange").textContent = "-- ms";
+    document.getElementById("p98Ping").textContent = "-- ms";
+    document.getElementById("jitter").textContent = "-- ms";
+    document.getElementById("packetLoss").textContent = "-- %";
+    document.getElementById("packetLoss").title = "";
+    document.getElementById("idlePing").textContent = "-- ms";
+    document.getElementById("loadedPing").textContent = "-- ms";
+    document.getElementById("bufferbloatGrade").textContent = "--";
+
+    // Reset stability, failures and duration
+    document.getElementById("stability").textContent = "-- %";
+    document.getElementById("failedIntervals").textContent = "--";
+    document.getElementById("failedIntervals").title = "";
+    document.getElementById("actualDuration").textContent = "-- s";
+
+    // Per-server results and baseline differences are rebuilt once the run
+    // has data
+    [this.domElements.comparisonStats, this.domElements.baselineStats].forEach(
+      (container) => {
+        if (container) {
+          container.hidden = true;
+          container.innerHTML = "";
+        }
       }
-    } else if (
-      testType === "both" &&
-      this.measurementData.download.length > 0 &&
-      this.measurementData.upload.length > 0
-    ) {
-      const warmedUpDownload = this.getWarmedUpData(
-        this.measurementData.download
+    );
+  }
+
+  /**
+   * Download the CSV file containing all test results
+   */
+  downloadCSV() {
+    try {
+      // Show CSV export indicator
+      this.showCSVExportStatus("Exporting test results to CSV...", "loading");
+
+      // Generate CSV content
+      const results = this.getResults();
+      const csvContent = results.generateCSV();
+
+      this.saveFile(
+        new Blob([csvContent], { type: "text/csv;charset=utf-8;" }),
+        results.generateCSVFilename()
+      );
+
+      // Show success status
+      this.showCSVExportStatus("CSV file downloaded successfully!", "success");
+
+      // Update main test status
+      this.updateTestStatus(
+        "Test completed - CSV exported successfully",
+        false
+      );
+
+      // Hide CSV status after a delay
+      setTimeout(() => {
+        this.hideCSVExportStatus();
+      }, 3000);
+    } catch (error) {
+      console.error("CSV export failed:", error);
+      this.showCSVExportStatus("Failed to export CSV file", "error");
+      this.updateTestStatus("Test completed - CSV export failed", true);
+
+      // Hide CSV status after a delay
+      setTimeout(() => {
+        this.hideCSVExportStatus();
+      }, 3000);
+    }
+  }
+
+  /**
+   * Download the JSON file with everything recorded about the run, including
+   * each individual request
+   */
+  downloadJSON() {
+    try {
+      const results = this.getResults();
+      this.saveFile(
+        new Blob([results.generateJSON()], { type: "application/json" }),
+        results.generateFilename("json")
+      );
+      this.showCSVExportStatus("JSON file downloaded successfully!", "success");
+    } catch (error) {
+      console.error("JSON export failed:", error);
+      this.showCSVExportStatus("Failed to export JSON file", "error");
+    }
+
+    // Hide export status after a delay
+    setTimeout(() => {
+      this.hideCSVExportStatus();
+    }, 3000);
+  }
+
+  /**
+   * Download a self-contained HTML report of the shown run, readable
+   * offline by people who won't open a CSV
+   */
+  downloadReport() {
+    try {
+      const results = this.getResults();
+      const report = generateRunReport(results, {
+        title: this.runName || this.describeRun(results),
+        statistics: this.collectStatisticsPanel(results),
+        graph: renderGraphSVG(this.getGraphImage(results)),
+        slowSpeedThreshold: this.graphSettings.slowSpeedThreshold,
+      });
+
+      this.saveFile(
+        new Blob([report], { type: "text/html;charset=utf-8" }),
+        results.generateFilename("html")
+      );
+      this.showCSVExportStatus(
+        "HTML report downloaded successfully!",
+        "success"
+      );
+    } catch (error) {
+      console.error("Report export failed:", error);
+      this.showCSVExportStatus("Failed to export HTML report", "error");
+    }
+
+    // Hide export status after a delay
+    setTimeout(() => {
+      this.hideCSVExportStatus();
+    }, 3000);
+  }
+
+  /**
+   * Read the statistics panel as currently shown, so the report carries the
+   * same numbers
+   * @param {SpeedTestResults} results - Results of the shown run
+   * @returns {Array<{name: string, items: Array<{label: string, value: string}>}>}
+   *   Panel groups, without the transfer type the run didn't measure
+   */
+  collectStatisticsPanel(results) {
+    const groupNames = {
+      download: "Download",
+      upload: "Upload",
+      latency: "Latency",
+      meta: "Run",
+    };
+    const { testType } = results.settings;
+
+    return [...document.querySelectorAll(".stats-grid .stat-group")]
+      .filter(({ dataset }) => {
+        const group = dataset.statGroup;
+        return (
+          !(group === "download" && testType === "upload") &&
+          !(group === "upload" && testType === "download")
+        );
+      })
+      .map((group) => ({
+        name: groupNames[group.dataset.statGroup] || group.dataset.statGroup,
+        items: [...group.querySelectorAll(".stat-item")].map((item) => ({
+          label: item.querySelector("label").textContent.replace(/:$/, ""),
+          value: item.querySelector("span").textContent,
+        })),
+      }));
+  }
+
+  /**
+   * Download the graph as an image with a title block, legend and axis
+   * titles, for attaching to reports
+   * @param {string} format - 'png' (at the selected scale) or 'svg'
+   */
+  async downloadGraphImage(format) {
+    try {
+      const results = this.getResults();
+      const image = this.getGraphImage(results);
+      const blob =
+        format === "svg"
+          ? new Blob([renderGraphSVG(image)], { type: "image/svg+xml" })
+          : await renderGraphPNG(
+              image,
+              Number(this.domElements.graphImageScale.value)
+            );
+
+      this.saveFile(blob, results.generateFilename(format));
+      this.updateGraphExportStatus(`${format.toUpperCase()} image downloaded`);
+    } catch (error) {
+      console.error("Graph export failed:", error);
+      this.updateGraphExportStatus(
+        `Failed to export ${format.toUpperCase()} image: ${error.message}`,
+        true
+      );
+    }
+  }
+
+  /**
+   * Describe the graph for drawGraphImage()
+   * @param {SpeedTestResults} results - Results of the shown run
+   * @returns {Object} Title, metadata lines, legend entries and a callback
+   *   drawing the plot
+   */
+  getGraphImage(results) {
+    const { settings } = results;
+    const statistics = results.summarize();
+    const seconds = Math.round((results.endTime - results.startTime) / 1000);
+    const connections =
+      settings.connectionMode === "auto"
+        ? "auto connections"
+        : `${settings.connectionMode} connections`;
+    const formatSpeed = (stats) =>
+      stats ? `${stats.avg.toFixed(1)} Mbps` : "--";
+
+    const figures = [];
+    if (settings.testType !== "upload") {
+      figures.push(`Download avg ${formatSpeed(statistics.download)}`);
+    }
+    if (settings.testType !== "download") {
+      figures.push(`Upload avg ${formatSpeed(statistics.upload)}`);
+    }
+    if (statistics.latency && statistics.latency.count > 0) {
+      figures.push(
+        `Ping ${statistics.latency.median.toFixed(0)} ms`,
+        `Jitter ${statistics.latency.jitter.toFixed(1)} ms`
+      );
+    }
+    figures.push(
+      `${statistics.failures.intervals} of ${statistics.failures.totalIntervals} intervals failed`
+    );
+
+    return {
+      title: this.runName || this.describeRun(results),
+      details: [
+        [
+          `Started ${new Date(results.startTime).toLocaleString()}`,
+          settings.testDuration === 0
+            ? `continuous run, ${seconds} s`
+            : `${seconds} s`,
+          `${settings.measurementInterval / 1000} s intervals`,
+          connections,
+        ].join(" · "),
+        `Server: ${results.describeServers()}`,
+        figures.join(" · "),
+      ],
+      legend: this.describeGraphLegend(results),
+      drawPlot: (ctx, width, height) => this.renderGraph(ctx, width, height),
+    };
+  }
+
+  /**
+   * List what the lines and marks on the graph mean
+   * @param {SpeedTestResults} results - Results of the shown run
+   * @returns {Object[]} Legend entries for drawGraphImage()
+   */
+  describeGraphLegend(results) {
+    const { colors, slowSpeedThreshold, showDownload, showUpload } =
+      this.graphSettings;
+    const legend = [];
+
+    if (this.comparison) {
+      this.comparison.backends.forEach((backend, index) => {
+        legend.push({ label: backend.name, color: this.getServerColor(index) });
+      });
+      if (showUpload) {
+        legend.push({ label: "Upload (dashed)", color: "#666", dash: [6, 4] });
+      }
+    } else {
+      if (showDownload) {
+        legend.push({ label: "Download", color: colors.download });
+      }
+      if (showUpload) {
+        legend.push({ label: "Upload", color: colors.upload });
+      }
+    }
+
+    if (this.baseline) {
+      legend.push({
+        label: `Baseline: ${this.baseline.name}`,
+        color: "#666",
+        dash: [2, 4],
+        alpha: 0.45,
+      });
+    }
+
+    legend.push(
+      { label: `Below ${slowSpeedThreshold} Mbps`, color: colors.slowSpeed },
+      {
+        label: `${slowSpeedThreshold} Mbps threshold`,
+        color: colors.reference,
+        dash: [5, 5],
+      }
+    );
+
+    if (results.graphData.failures.some((failures) => failures.length > 0)) {
+      legend.push({
+        label: "Failed interval",
+        color: colors.slowSpeed,
+        marker: "cross",
+      });
+    }
+
+    return legend;
+  }
+
+  /**
+   * Show the outcome of a graph image export
+   * @param {string} message - Status text
+   * @param {boolean} isError - Whether the message reports a failure
+   */
+  updateGraphExportStatus(message, isError = false) {
+    const statusEl = this.domElements.graphExportStatus;
+    if (!statusEl) return;
+
+    statusEl.textContent = message;
+    statusEl.classList.toggle("error", isError);
+  }
+
+  /**
+   * Offer a file for download
+   * @param {Blob} blob - File contents
+   * @param {string} filename - Suggested filename
+   */
+  saveFile(blob, filename) {
+    const link = document.createElement("a");
+
+    // Create download URL
+    const url = URL.createObjectURL(blob);
+    link.setAttribute("href", url);
+    link.setAttribute("download", filename);
+    link.style.visibility = "hidden";
+
+    // Trigger download
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Clean up the URL object
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Show a CSV file exported earlier, here or elsewhere
+   * @param {File} file - CSV export chosen by the user
+   */
+  async importCSV(file) {
+    if (this.isRunning) {
+      this.updateTestStatus("Stop the current test before importing", true);
+      return;
+    }
+
+    try {
+      const results = SpeedTestResults.fromCSV(await file.text());
+      if (!results.hasData()) {
+        throw new Error("File contains no measurements");
+      }
+
+      this.viewedRunId = null;
+      this.showRun({ ...results, name: file.name });
+      this.setSharedView(false);
+      this.updateTestStatus(`Viewing imported file "${file.name}"`);
+      this.showCSVExportStatus(`Imported ${file.name}`, "success");
+      await this.renderHistory();
+    } catch (error) {
+      console.error("CSV import failed:", error);
+      this.showCSVExportStatus(
+        `Couldn't import ${file.name}: ${error.message}`,
+        "error"
+      );
+    }
+
+    // Hide CSV status after a delay
+    setTimeout(() => {
+      this.hideCSVExportStatus();
+    }, 5000);
+  }
+
+  /**
+   * Show the CSV export status indicator
+   * @param {string} message - Message to display
+   * @param {string} type - Type of status: 'loading', 'success', 'error'
+   */
+  showCSVExportStatus(message, type = "loading") {
+    const statusEl = this.domElements.csvExportStatus;
+    const messageEl = statusEl.querySelector(".export-message");
+    const iconEl = statusEl.querySelector(".export-icon");
+
+    // Update message
+    messageEl.textContent = message;
+
+    // Update icon based on type
+    switch (type) {
+      case "loading":
+        iconEl.textContent = "📊";
+        statusEl.className = "csv-export-status";
+        break;
+      case "success":
+        iconEl.textContent = "✅";
+        statusEl.className = "csv-export-status success";
+        break;
+      case "error":
+        iconEl.textContent = "❌";
+        statusEl.className = "csv-export-status error";
+        break;
+    }
+
+    // Show the status indicator
+    statusEl.style.display = "flex";
+  }
+
+  /**
+   * Hide the CSV export status indicator
+   */
+  hideCSVExportStatus() {
+    this.domElements.csvExportStatus.style.display = "none";
+  }
+
+  /**
+   * Enable or disable the CSV and JSON export buttons
+   * @param {boolean} enabled - Whether to enable the buttons
+   */
+  setCSVExportEnabled(enabled) {
+    if (this.domElements.exportJSONBtn) {
+      this.domElements.exportJSONBtn.disabled = !enabled;
+    }
+    if (this.domElements.exportReportBtn) {
+      this.domElements.exportReportBtn.disabled = !enabled;
+    }
+    if (this.domElements.shareRunBtn) {
+      this.domElements.shareRunBtn.disabled = !enabled;
+    }
+    if (this.domElements.exportPNGBtn) {
+      this.domElements.exportPNGBtn.disabled = !enabled;
+      this.domElements.exportSVGBtn.disabled = !enabled;
+    }
+    this.updateMetricsControls();
+
+    if (this.domElements.exportCSVBtn) {
+      this.domElements.exportCSVBtn.disabled = !enabled;
+
+      // Update button text based on state
+      const hasData =
+        this.measurementData.download.length > 0 ||
+        this.measurementData.upload.length > 0 ||
+        this.measurementData.ping.length > 0;
+
+      if (enabled && hasData) {
+        this.domElements.exportCSVBtn.innerHTML =
+          '<span class="export-icon" aria-hidden="true">📊</span>Export Test Results to CSV';
+      } else {
+        this.domElements.exportCSVBtn.innerHTML =
+          '<span class="export-icon" aria-hidden="true">📊</span>Export Test Results to CSV';
+      }
+    }
+  }
+
+  /**
+   * Show a finished run that wasn't measured in this session
+   * @param {Object} run - Run data in the shape SpeedTestResults accepts
+   */
+  showRun(run) {
+    const {
+      downloadSpeed,
+      uploadSpeed,
+      pingValue,
+      testProgress,
+      progressFill,
+    } = this.domElements;
+
+    this.startTime = run.startTime;
+    this.endTime = run.endTime;
+    this.runSettings = run.settings;
+    this.testDuration = run.settings.testDuration;
+    this.idleLatency = run.idleLatency;
+    this.loadedLatency = run.loadedLatency || null;
+    this.environment = run.environment || null;
+    this.requests = run.requests || [];
+    this.runServers = run.servers;
+    this.comparison = run.servers ? run.servers.comparison : null;
+    this.serverSelection = run.servers ? run.servers.selection : null;
+    this.measurementData = run.measurementData;
+    this.graphData = run.graphData;
+    this.runName = run.name || null;
+    this.sharedStatistics = run.sharedStatistics || null;
+
+    // The graph and tooltips follow the test type control
+    this.domElements.testTypeSelect.value = run.settings.testType;
+    this.updateUIForTestType();
+
+    downloadSpeed.textContent = "--";
+    uploadSpeed.textContent = "--";
+    pingValue.textContent = "--";
+    testProgress.textContent = "";
+    progressFill.style.width = "0%";
+
+    this.resetStatisticsDisplay();
+    this.calculateStatistics();
+    this.updateServerLegend();
+    this.updateServerInfo();
+    this.setCSVExportEnabled(this.getResults().hasData());
+    this.updateBaselineControls();
+  }
+
+  /**
+   * Copy a link that shows the current run on any device, with the run's
+   * samples and summary figures compressed into the URL fragment
+   */
+  async shareRun() {
+    const { shareLink } = this.domElements;
+
+    try {
+      const results = this.getResults();
+      const token = await results.generateShareToken(
+        this.runName || this.describeRun(results)
+      );
+      const url = `${location.href.split("#")[0]}#share=${token}`;
+
+      shareLink.value = url;
+      shareLink.hidden = false;
+      shareLink.select();
+
+      let copied = false;
+      if (navigator.clipboard) {
+        try {
+          await navigator.clipboard.writeText(url);
+          copied = true;
+        } catch (error) {
+          console.warn("Clipboard not available:", error);
+        }
+      }
+
+      const size = `${(url.length / 1024).toFixed(1)} KB`;
+      this.showCSVExportStatus(
+        copied
+          ? `Share link copied to the clipboard (${size})`
+          : `Copy the share link below (${size})`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Share link failed:", error);
+      this.showCSVExportStatus(
+        `Couldn't create a share link: ${error.message}`,
+        "error"
+      );
+    }
+
+    // Hide export status after a delay
+    setTimeout(() => {
+      this.hideCSVExportStatus();
+    }, 5000);
+  }
+
+  /**
+   * Show a run from a share link, read-only
+   * @param {string} token - Token from the #share= fragment
+   */
+  async openSharedRun(token) {
+    if (this.isRunning) {
+      this.updateTestStatus(
+        "Stop the current test before opening a link",
+        true
+      );
+      return;
+    }
+
+    try {
+      const { name, results } = await SpeedTestResults.fromShareToken(token);
+
+      this.viewedRunId = null;
+      this.showRun({ ...results, name });
+      this.setSharedView(true);
+      this.updateTestStatus(`Viewing shared run "${name}"`);
+      await this.renderHistory();
+    } catch (error) {
+      console.error("Failed to open shared run:", error);
+      this.updateTestStatus(
+        `Couldn't open the shared run: ${error.message}`,
+        true
+      );
+    }
+  }
+
+  /**
+   * Switch the page to or from viewing a shared run
+   * Shared runs are read-only: the page can't start a test while one is
+   * shown, so the view always matches the link. Leaving it for another run
+   * drops the fragment, so a reload doesn't bring the shared run back.
+   * @param {boolean} shared - Whether a shared run is shown
+   */
+  setSharedView(shared) {
+    const { sharedRunNotice, startStopBtn } = this.domElements;
+
+    startStopBtn.disabled = shared;
+    if (sharedRunNotice) {
+      sharedRunNotice.hidden = !shared;
+    }
+    if (!shared && location.hash.startsWith("#share=")) {
+      history.replaceState(null, "", location.pathname + location.search);
+    }
+  }
+
+  /**
+   * Name a run after its test type and start time
+   * @param {SpeedTestResults} results - Results of the run
+   * @returns {string} e.g. "Download & Upload, 19/10/2026, 14:03:12"
+   */
+  describeRun(results) {
+    const typeNames = {
+      download: "Download",
+      upload: "Upload",
+      both: "Download & Upload",
+    };
+
+    return `${typeNames[results.settings.testType]}, ${new Date(
+      results.startTime
+    ).toLocaleString()}`;
+  }
+
+  /**
+   * Overlay a run on the graph and compare the statistics with it
+   * @param {SpeedTestResults} results - Baseline run
+   * @param {string} name - Name shown in the legend
+   */
+  setBaseline(results, name) {
+    this.baseline = { name, results };
+    this.updateBaselineControls();
+    this.drawGraph();
+
+    if (!this.isRunning) {
+      this.updateBaselineStats(this.getResults());
+    }
+  }
+
+  /**
+   * Remove the baseline overlay
+   */
+  clearBaseline() {
+    this.baseline = null;
+    this.updateBaselineControls();
+    this.drawGraph();
+    this.updateBaselineStats(this.getResults());
+  }
+
+  /**
+   * Keep the finished run on screen as the baseline for the next one
+   */
+  keepRunAsBaseline() {
+    const results = this.getResults();
+    if (this.isRunning || !results.hasData()) return;
+
+    this.setBaseline(results, this.runName || this.describeRun(results));
+  }
+
+  /**
+   * Use an exported run as the baseline
+   * @param {File} file - CSV or JSON export chosen by the user
+   */
+  async loadBaselineFile(file) {
+    try {
+      const results = SpeedTestResults.fromExport(await file.text());
+      if (!results.hasData()) {
+        throw new Error("File contains no measurements");
+      }
+      this.setBaseline(results, file.name);
+    } catch (error) {
+      console.error("Failed to load baseline:", error);
+      this.updateTestStatus(`Couldn't load baseline: ${error.message}`, true);
+    }
+  }
+
+  /**
+   * Use a saved run as the baseline
+   * @param {number} id - Run id
+   */
+  async useSavedRunAsBaseline(id) {
+    try {
+      const run = await this.runHistory.get(id);
+      if (!run) {
+        this.updateHistoryStatus("This run is no longer saved", true);
+        await this.renderHistory();
+        return;
+      }
+
+      this.setBaseline(new SpeedTestResults(run), run.name);
+    } catch (error) {
+      console.error("Failed to load saved run as baseline:", error);
+      this.updateHistoryStatus("Failed to load this run", true);
+    }
+  }
+
+  /**
+   * Update the baseline buttons and legend for the current state
+   */
+  updateBaselineControls() {
+    const { keepBaselineBtn, baselineLegend, clearBaselineBtn } =
+      this.domElements;
+    if (!keepBaselineBtn) return;
+
+    keepBaselineBtn.disabled = this.isRunning || !this.getResults().hasData();
+
+    if (this.baseline) {
+      baselineLegend.innerHTML = `<span class="baseline-swatch"></span>Baseline: ${escapeMarkup(
+        this.baseline.name
+      )}`;
+    } else {
+      baselineLegend.innerHTML = "";
+    }
+    baselineLegend.hidden = !this.baseline;
+    clearBaselineBtn.hidden = !this.baseline;
+  }
+
+  /**
+   * Show how the run's headline figures differ from the baseline
+   * @param {SpeedTestResults} results - Results of the run
+   */
+  updateBaselineStats(results) {
+    const container = this.domElements.baselineStats;
+    if (!container) return;
+
+    const rows = this.baseline
+      ? results.compareWith(this.baseline.results)
+      : [];
+    if (rows.length === 0) {
+      container.hidden = true;
+      container.innerHTML = "";
+      return;
+    }
+
+    const labels = { avg: "Avg", min: "Min", p98: "98th %ile" };
+    const describe = (row) =>
+      row.type === "stability"
+        ? "Consistency"
+        : `${labels[row.metric]} ${
+            row.type.charAt(0).toUpperCase() + row.type.slice(1)
+          }`;
+    const format = (row, value) =>
+      row.type === "stability"
+        ? `${value.toFixed(0)} %`
+        : `${value.toFixed(1)} Mbps`;
+    const formatDelta = (row) => {
+      const sign = row.delta < 0 ? "-" : "+";
+      // Consistency is already a percentage, so its change is in points
+      if (row.type === "stability") {
+        return `${sign}${Math.abs(row.delta).toFixed(0)} pts`;
+      }
+
+      const percent =
+        row.percent !== null
+          ? ` (${sign}${Math.abs(row.percent).toFixed(0)}%)`
+          : "";
+      return `${sign}${Math.abs(row.delta).toFixed(1)} Mbps${percent}`;
+    };
+
+    // Higher is better for every figure compared
+    const rowsHtml = rows
+      .map((row) => {
+        const trend =
+          row.delta > 0 ? "better" : row.delta < 0 ? "worse" : "same";
+        return `<tr>
+          <th scope="row">${describe(row)}</th>
+          <td>${format(row, row.current)}</td>
+          <td>${format(row, row.baseline)}</td>
+          <td class="delta-${trend}">${formatDelta(row)}</td>
+        </tr>`;
+      })
+      .join("");
+
+    container.innerHTML = `<table class="comparison-table">
+      <caption>Compared with baseline: ${escapeMarkup(
+        this.baseline.name
+      )}</caption>
+      <thead>
+        <tr>
+          <th scope="col">Figure</th>
+          <th scope="col">This Run</th>
+          <th scope="col">Baseline</th>
+          <th scope="col">Change</th>
+        </tr>
+      </thead>
+      <tbody>${rowsHtml}</tbody>
+    </table>`;
+    container.hidden = false;
+  }
+
+  /**
+   * Find the baseline interval closest in time to a point of the current run
+   * @param {number} time - Seconds since the current run started
+   * @returns {number|null} Baseline interval index, null without a baseline
+   */
+  findBaselineIndex(time) {
+    if (!this.baseline) return null;
+
+    const { timestamps } = this.baseline.results.graphData;
+    if (timestamps.length === 0) return null;
+
+    let closestIndex = 0;
+    timestamps.forEach((timestamp, i) => {
+      if (
+        Math.abs(timestamp - time) < Math.abs(timestamps[closestIndex] - time)
+      ) {
+        closestIndex = i;
+      }
+    });
+    return closestIndex;
+  }
+
+  /**
+   * Get the time the graph's x axis spans
+   * Both runs are aligned by time since their start, so the axis covers
+   * whichever of the current run and the baseline lasted longer.
+   * @returns {number} Seconds
+   */
+  getGraphMaxTime() {
+    const baselineTimestamps = this.baseline
+      ? this.baseline.results.graphData.timestamps
+      : [];
+    return Math.max(...this.graphData.timestamps, ...baselineTimestamps);
+  }
+
+  /**
+   * Load the saved retention limits
+   * @returns {Object} Retention limits, empty for the defaults
+   */
+  loadHistoryRetention() {
+    try {
+      return (
+        JSON.parse(localStorage.getItem("speed-test-history-retention")) || {}
+      );
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Set up the run history controls and list saved runs
+   */
+  initializeHistory() {
+    const { historyMaxRuns, historyMaxAge } = this.domElements;
+    if (!historyMaxRuns || !historyMaxAge) return;
+
+    if (!this.runHistory) {
+      historyMaxRuns.disabled = true;
+      historyMaxAge.disabled = true;
+      this.updateHistoryStatus("Run history isn't supported in this browser");
+      return;
+    }
+
+    historyMaxRuns.value = this.runHistory.retention.maxRuns;
+    historyMaxAge.value = this.runHistory.retention.maxAgeDays;
+    this.renderHistory();
+  }
+
+  /**
+   * Apply and remember the retention limits chosen in the controls
+   */
+  async updateHistoryRetention() {
+    const retention = {
+      maxRuns: parseInt(this.domElements.historyMaxRuns.value),
+      maxAgeDays: parseInt(this.domElements.historyMaxAge.value),
+    };
+    localStorage.setItem(
+      "speed-test-history-retention",
+      JSON.stringify(retention)
+    );
+
+    try {
+      const deleted = await this.runHistory.setRetention(retention);
+      if (deleted > 0) {
+        this.updateHistoryStatus(
+          `Deleted ${deleted} saved ${deleted === 1 ? "run" : "runs"}`
+        );
+      }
+      await this.renderHistory();
+    } catch (error) {
+      console.error("Failed to apply history retention:", error);
+      this.updateHistoryStatus("Failed to delete old runs", true);
+    }
+  }
+
+  /**
+   * Save the run that just finished
+   */
+  async saveRunToHistory() {
+    if (!this.runHistory) return;
+
+    const results = this.getResults();
+
+    try {
+      const run = await this.runHistory.save(
+        results,
+        this.describeRun(results)
       );
-      const warmedUpUpload = this.getWarmedUpData(this.measurementData.upload);
-
-      if (warmedUpDownload.length > 0 && warmedUpUpload.length > 0) {
-        const downloadCV = this.calculateCV(warmedUpDownload);
-        const uploadCV = this.calculateCV(warmedUpUpload);
-        stability = Math.max(0, 100 - (downloadCV + uploadCV) / 2);
-      }
+      this.viewedRunId = run.id;
+      this.runName = run.name;
+      this.updateHistoryStatus(`Saved "${run.name}"`);
+      await this.renderHistory();
+    } catch (error) {
+      console.error("Failed to save run to history:", error);
+      this.updateHistoryStatus("Failed to save this run", true);
     }
+  }
 
-    // Ping 98th percentile calculation
-    if (this.measurementData.ping.length > 0) {
-      const p98Ping = this.calculate98thPercentile(this.measurementData.ping);
-      const warmedUpPing = this.getWarmedUpData(this.measurementData.ping);
+  /**
+   * List saved runs, newest first
+   */
+  async renderHistory() {
+    const list = this.domElements.historyList;
+    if (!list || !this.runHistory) return;
 
-      if (warmedUpPing.length > 0) {
-        document.getElementById("p98Ping").textContent =
-          p98Ping.toFixed(1) + " ms";
-      } else {
-        document.getElementById("p98Ping").textContent = "Warming up...";
-      }
-    } else {
-      document.getElementById("p98Ping").textContent = "-- ms";
+    let runs;
+    try {
+      runs = await this.runHistory.list();
+    } catch (error) {
+      console.error("Failed to read run history:", error);
+      this.updateHistoryStatus("Run history couldn't be opened", true);
+      return;
     }
 
-    // Duration
-    const duration = (this.endTime - this.startTime) / 1000;
-
-    document.getElementById("stability").textContent =
-      stability.toFixed(0) + " %";
-    document.getElementById("actualDuration").textContent =
-      duration.toFixed(0) + " s";
-  }
+    if (runs.length === 0) {
+      list.innerHTML =
+        '<p class="history-empty">Completed runs are saved here automatically.</p>';
+      return;
+    }
 
-  calculateAverage(arr) {
-    return arr.reduce((sum, val) => sum + val, 0) / arr.length;
+    const formatSpeed = (stats) =>
+      stats ? `${stats.avg.toFixed(1)} Mbps` : "--";
+
+    const rows = runs
+      .map((run) => {
+        const { download, upload, latency } = run.statistics;
+        const duration = (run.endTime - run.startTime) / 1000;
+
+        return `<tr class="${run.id === this.viewedRunId ? "current" : ""}">
+          <th scope="row">
+            <input type="text" class="history-name" data-id="${run.id}"
+              value="${escapeMarkup(run.name)}" aria-label="Run name">
+          </th>
+          <td>${new Date(run.startTime).toLocaleString()}</td>
+          <td>${duration.toFixed(0)} s</td>
+          <td>${formatSpeed(download)}</td>
+          <td>${formatSpeed(upload)}</td>
+          <td>${
+            latency && latency.count > 0
+              ? `${latency.median.toFixed(1)} ms`
+              : "--"
+          }</td>
+          <td class="history-actions">
+            <button type="button" class="toggle-btn" data-action="open"
+              data-id="${run.id}">Open</button>
+            <button type="button" class="toggle-btn" data-action="baseline"
+              data-id="${run.id}">Baseline</button>
+            <button type="button" class="toggle-btn" data-action="delete"
+              data-id="${run.id}">Delete</button>
+          </td>
+        </tr>`;
+      })
+      .join("");
+
+    list.innerHTML = `<table class="comparison-table history-table">
+      <thead>
+        <tr>
+          <th scope="col">Name</th>
+          <th scope="col">Started</th>
+          <th scope="col">Duration</th>
+          <th scope="col">Avg Download</th>
+          <th scope="col">Avg Upload</th>
+          <th scope="col">Median Ping</th>
+          <th scope="col"><span class="visually-hidden">Actions</span></th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
   }
 
   /**
-   * Get warmed-up data by excluding initial measurements
-   * @param {Array} data - Full measurement array
-   * @returns {Array} Data with warm-up period excluded
+   * Handle the open and delete buttons in the history list
+   * @param {MouseEvent} event - Click event
    */
-  getWarmedUpData(data) {
-    const warmupCount = this.testConfig.warmupMeasurements;
-    if (data.length <= warmupCount) {
-      // If we don't have enough data, return empty array
-      return [];
+  handleHistoryAction(event) {
+    const button = event.target.closest("button[data-action]");
+    if (!button) return;
+
+    const id = Number(button.dataset.id);
+    if (button.dataset.action === "open") {
+      this.openSavedRun(id);
+    } else if (button.dataset.action === "baseline") {
+      this.useSavedRunAsBaseline(id);
+    } else if (button.dataset.action === "delete") {
+      this.deleteSavedRun(id);
     }
-    return data.slice(warmupCount);
   }
 
   /**
-   * Calculate statistics using only warmed-up data
-   * @param {Array} data - Full measurement array
-   * @returns {Object} Statistics object with avg, max, min
+   * Show a saved run in the graph and statistics
+   * @param {number} id - Run id
    */
-  calculateWarmedUpStats(data) {
-    const warmedUpData = this.getWarmedUpData(data);
-    if (warmedUpData.length === 0) {
-      return { avg: 0, max: 0, min: 0 };
+  async openSavedRun(id) {
+    if (this.isRunning) {
+      this.updateHistoryStatus(
+        "Stop the current test before opening a saved run",
+        true
+      );
+      return;
     }
 
-    return {
-      avg: this.calculateAverage(warmedUpData),
-      max: Math.max(...warmedUpData),
-      min: Math.min(...warmedUpData),
-    };
+    try {
+      const run = await this.runHistory.get(id);
+      if (!run) {
+        this.updateHistoryStatus("This run is no longer saved", true);
+        await this.renderHistory();
+        return;
+      }
+
+      this.showRun(run);
+      this.setSharedView(false);
+      this.viewedRunId = id;
+      this.updateTestStatus(`Viewing saved run "${run.name}"`);
+      this.updateHistoryStatus("");
+      await this.renderHistory();
+    } catch (error) {
+      console.error("Failed to open saved run:", error);
+      this.updateHistoryStatus("Failed to open this run", true);
+    }
   }
 
   /**
-   * Calculate 98th percentile by excluding top and bottom 1% of measurements
-   * @param {Array} data - Full measurement array
-   * @returns {number} 98th percentile value (average of middle 98%)
+   * Rename a saved run
+   * @param {number} id - Run id
+   * @param {string} name - New name, blank names are ignored
    */
-  calculate98thPercentile(data) {
-    const warmedUpData = this.getWarmedUpData(data);
-    if (warmedUpData.length < 10) {
-      // Need at least 10 data points for meaningful percentile calculation
-      return this.calculateAverage(warmedUpData);
+  async renameSavedRun(id, name) {
+    try {
+      if (name.trim()) {
+        await this.runHistory.rename(id, name.trim());
+        if (this.viewedRunId === id) {
+          this.runName = name.trim();
+        }
+      }
+      await this.renderHistory();
+    } catch (error) {
+      console.error("Failed to rename saved run:", error);
+      this.updateHistoryStatus("Failed to rename this run", true);
     }
+  }
 
-    // Sort data in ascending order
-    const sortedData = [...warmedUpData].sort((a, b) => a - b);
-
-    // Calculate indices for 1% and 99% (excluding top and bottom 1%)
-    const onePercentIndex = Math.floor(sortedData.length * 0.01);
-    const ninetyNinePercentIndex = Math.ceil(sortedData.length * 0.99);
-
-    // Extract middle 98% of data
-    const middle98Percent = sortedData.slice(
-      onePercentIndex,
-      ninetyNinePercentIndex
-    );
+  /**
+   * Delete a saved run after confirmation
+   * @param {number} id - Run id
+   */
+  async deleteSavedRun(id) {
+    if (!window.confirm("Delete this saved run?")) return;
 
-    // Return average of the middle 98%
-    return this.calculateAverage(middle98Percent);
+    try {
+      await this.runHistory.delete(id);
+      if (this.viewedRunId === id) {
+        this.viewedRunId = null;
+      }
+      this.updateHistoryStatus("Run deleted");
+      await this.renderHistory();
+    } catch (error) {
+      console.error("Failed to delete saved run:", error);
+      this.updateHistoryStatus("Failed to delete this run", true);
+    }
   }
 
-  calculateCV(arr) {
-    if (arr.length === 0) return 0;
-    const mean = this.calculateAverage(arr);
-    const variance =
-      arr.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / arr.length;
-    const stdDev = Math.sqrt(variance);
-    return (stdDev / mean) * 100;
+  /**
+   * Show a message below the run history controls
+   * @param {string} message - Message to display
+   * @param {boolean} isError - Whether to style as error
+   */
+  updateHistoryStatus(message, isError = false) {
+    const statusEl = this.domElements.historyStatus;
+    if (!statusEl) return;
+
+    statusEl.textContent = message;
+    statusEl.classList.toggle("error", isError);
   }
 
   /**
-   * Reset all statistics display fields to default values
-   * Called when starting a new test to clear previous results
+   * Read the metrics export settings saved in localStorage
+   * @returns {Object} Format, label, push URL, authorization header and
+   *   whether to push after every run
    */
-  resetStatisticsDisplay() {
-    // Reset download statistics
-    document.getElementById("avgDownload").textContent = "-- Mbps";
-    document.getElementById("maxDownload").textContent = "-- Mbps";
-    document.getElementById("minDownload").textContent = "-- Mbps";
-    document.getElementById("p98Download").textContent = "-- Mbps";
+  loadMetricsSettings() {
+    const defaults = {
+      format: "influx",
+      label: "",
+      url: "",
+      authorization: "",
+      autoPush: false,
+    };
 
-    // Reset upload statistics
-    document.getElementById("avgUpload").textContent = "-- Mbps";
-    document.getElementById("maxUpload").textContent = "-- Mbps";
-    document.getElementById("minUpload").textContent = "-- Mbps";
-    document.getElementById("p98Upload").textContent = "-- Mbps";
+    try {
+      return {
+        ...defaults,
+        ...JSON.parse(localStorage.getItem("speed-test-metrics-export")),
+      };
+    } catch (error) {
+      return defaults;
+    }
+  }
 
-    // Reset ping statistics
-    document.getElementById("p98Ping").textContent = "-- ms";
+  /**
+   * Fill in the metrics export controls from the saved settings
+   */
+  initializeMetricsExport() {
+    const { metricsFormat, metricsLabel, metricsPushUrl } = this.domElements;
+    if (!metricsFormat) return;
 
-    // Reset stability and duration
-    document.getElementById("stability").textContent = "-- %";
-    document.getElementById("actualDuration").textContent = "-- s";
+    metricsFormat.value = this.metricsSettings.format;
+    metricsLabel.value = this.metricsSettings.label;
+    metricsPushUrl.value = this.metricsSettings.url;
+    this.domElements.metricsAuthorization.value =
+      this.metricsSettings.authorization;
+    this.domElements.metricsAutoPush.checked = this.metricsSettings.autoPush;
+    this.updateMetricsControls();
   }
 
   /**
-   * Generate a CSV formatted string from the measurement data
-   * @returns {string} CSV formatted string containing all test results
+   * Remember the settings chosen in the metrics export controls
    */
-  generateCSV() {
-    // Create CSV header with test information
-    const testType = this.domElements.testTypeSelect.value;
-    const duration =
-      this.testDuration === 0 ? "Continuous" : `${this.testDuration}s`;
-    const startTimeFormatted = new Date(this.startTime).toISOString();
-    const endTimeFormatted = new Date(this.endTime).toISOString();
-
-    let csv = [];
-
-    // Add test metadata
-    csv.push("# Internet Speed Test Results");
-    csv.push(`# Test Type: ${testType}`);
-    csv.push(`# Duration: ${duration}`);
-    csv.push(`# Start Time: ${startTimeFormatted}`);
-    csv.push(`# End Time: ${endTimeFormatted}`);
-    csv.push(
-      `# Actual Duration: ${((this.endTime - this.startTime) / 1000).toFixed(
-        1
-      )}s`
-    );
-    csv.push(""); // Empty line separator
-
-    // Add column headers
-    const headers = [
-      "Timestamp",
-      "Relative_Time_Seconds",
-      "Download_Mbps",
-      "Upload_Mbps",
-      "Ping_ms",
-    ];
-    csv.push(headers.join(","));
-
-    // Get the maximum length of data arrays to handle potential mismatches
-    const maxLength = Math.max(
-      this.graphData.timestamps.length,
-      this.measurementData.download.length,
-      this.measurementData.upload.length,
-      this.measurementData.ping.length
+  updateMetricsSettings() {
+    const { metricsFormat, metricsLabel, metricsPushUrl } = this.domElements;
+
+    this.metricsSettings = {
+      format: metricsFormat.value,
+      label: metricsLabel.value.trim(),
+      url: metricsPushUrl.value.trim(),
+      authorization: this.domElements.metricsAuthorization.value.trim(),
+      autoPush: this.domElements.metricsAutoPush.checked,
+    };
+    localStorage.setItem(
+      "speed-test-metrics-export",
+      JSON.stringify(this.metricsSettings)
     );
+    this.updateMetricsControls();
+  }
 
-    // Generate data rows
-    for (let i = 0; i < maxLength; i++) {
-      const relativeTimeSeconds = this.graphData.timestamps[i] || "";
-      const relativeTime = relativeTimeSeconds
-        ? relativeTimeSeconds.toFixed(1)
-        : "";
-      const download =
-        this.measurementData.download[i] !== undefined
-          ? this.measurementData.download[i].toFixed(2)
-          : "";
-      const upload =
-        this.measurementData.upload[i] !== undefined
-          ? this.measurementData.upload[i].toFixed(2)
-          : "";
-      const ping =
-        this.measurementData.ping[i] !== undefined
-          ? this.measurementData.ping[i].toFixed(1)
-          : "";
+  /**
+   * Enable the metrics buttons when there is a finished run to export
+   */
+  updateMetricsControls() {
+    const { downloadMetricsBtn, pushMetricsBtn } = this.domElements;
+    if (!downloadMetricsBtn) return;
 
-      // Convert relative time back to absolute timestamp for ISO format
-      const absoluteTimestamp = relativeTimeSeconds
-        ? this.startTime + relativeTimeSeconds * 1000
-        : "";
-      const timestampFormatted = absoluteTimestamp
-        ? new Date(absoluteTimestamp).toISOString()
-        : "";
-
-      const row = [timestampFormatted, relativeTime, download, upload, ping];
-      csv.push(row.join(","));
-    }
-
-    // Add statistics summary at the end
-    csv.push(""); // Empty line separator
-    csv.push("# Statistics Summary");
-
-    if (this.measurementData.download.length > 0) {
-      const downloadStats = {
-        avg: this.calculateAverage(this.measurementData.download).toFixed(2),
-        max: Math.max(...this.measurementData.download).toFixed(2),
-        min: Math.min(...this.measurementData.download).toFixed(2),
-        p98: this.calculate98thPercentile(
-          this.measurementData.download
-        ).toFixed(2),
-      };
-      csv.push(
-        `# Download - Avg: ${downloadStats.avg} Mbps, Max: ${downloadStats.max} Mbps, Min: ${downloadStats.min} Mbps, 98th Percentile: ${downloadStats.p98} Mbps`
-      );
-    }
+    const available = !this.isRunning && this.getResults().hasData();
+    downloadMetricsBtn.disabled = !available;
+    pushMetricsBtn.disabled = !available || !this.metricsSettings.url;
+  }
 
-    if (this.measurementData.upload.length > 0) {
-      const uploadStats = {
-        avg: this.calculateAverage(this.measurementData.upload).toFixed(2),
-        max: Math.max(...this.measurementData.upload).toFixed(2),
-        min: Math.min(...this.measurementData.upload).toFixed(2),
-        p98: this.calculate98thPercentile(this.measurementData.upload).toFixed(
-          2
-        ),
-      };
-      csv.push(
-        `# Upload - Avg: ${uploadStats.avg} Mbps, Max: ${uploadStats.max} Mbps, Min: ${uploadStats.min} Mbps, 98th Percentile: ${uploadStats.p98} Mbps`
+  /**
+   * Download the run as InfluxDB line protocol or Prometheus metrics
+   */
+  downloadMetrics() {
+    const { format, label } = this.metricsSettings;
+
+    try {
+      const results = this.getResults();
+      this.saveFile(
+        new Blob([`${results.generateMetrics(format, label)}\n`], {
+          type: "text/plain",
+        }),
+        results.generateMetricsFilename(format)
       );
+      this.updateMetricsStatus("Metrics file downloaded");
+    } catch (error) {
+      console.error("Metrics export failed:", error);
+      this.updateMetricsStatus("Failed to export metrics", true);
     }
+  }
 
-    if (this.measurementData.ping.length > 0) {
-      const pingStats = {
-        avg: this.calculateAverage(this.measurementData.ping).toFixed(1),
-        max: Math.max(...this.measurementData.ping).toFixed(1),
-        min: Math.min(...this.measurementData.ping).toFixed(1),
-        p98: this.calculate98thPercentile(this.measurementData.ping).toFixed(1),
-      };
-      csv.push(
-        `# Ping - Avg: ${pingStats.avg} ms, Max: ${pingStats.max} ms, Min: ${pingStats.min} ms, 98th Percentile: ${pingStats.p98} ms`
+  /**
+   * Push the run's metrics to the configured URL
+   * The collector must allow cross-origin requests from this page.
+   */
+  async pushMetrics() {
+    const { url } = this.metricsSettings;
+    if (!url) return;
+
+    this.updateMetricsStatus(`Pushing metrics to ${url}...`);
+    try {
+      await this.getResults().pushMetrics(this.metricsSettings);
+      this.updateMetricsStatus(
+        `Metrics pushed at ${new Date().toLocaleTimeString()}`
       );
+    } catch (error) {
+      console.error("Metrics push failed:", error);
+      this.updateMetricsStatus(`Couldn't push metrics: ${error.message}`, true);
     }
-
-    return csv.join("\n");
   }
 
   /**
-   * Generate a filename for the CSV export based on the test start time
-   * @returns {string} Filename in format: speedtest_YYYY-MM-DD_HH-MM-SS.csv
+   * Show a message below the metrics export controls
+   * @param {string} message - Message to display
+   * @param {boolean} isError - Whether to style as error
    */
-  generateCSVFilename() {
-    const date = new Date(this.startTime);
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, "0");
-    const day = String(date.getDate()).padStart(2, "0");
-    const hours = String(date.getHours()).padStart(2, "0");
-    const minutes = String(date.getMinutes()).padStart(2, "0");
-    const seconds = String(date.getSeconds()).padStart(2, "0");
+  updateMetricsStatus(message, isError = false) {
+    const statusEl = this.domElements.metricsStatus;
+    if (!statusEl) return;
 
-    return `speedtest_${year}-${month}-${day}_${hours}-${minutes}-${seconds}.csv`;
+    statusEl.textContent = message;
+    statusEl.classList.toggle("error", isError);
   }
 
   /**
-   * Download the CSV file containing all test results
+   * Read the webhooks saved in localStorage
+   * @returns {Object[]} Webhook configurations
    */
-  downloadCSV() {
+  loadWebhooks() {
     try {
-      // Show CSV export indicator
-      this.showCSVExportStatus("Exporting test results to CSV...", "loading");
-
-      // Generate CSV content
-      const csvContent = this.generateCSV();
-
-      // Create blob and download link
-      const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
-      const link = document.createElement("a");
-
-      // Create download URL
-      const url = URL.createObjectURL(blob);
-      link.setAttribute("href", url);
-      link.setAttribute("download", this.generateCSVFilename());
-      link.style.visibility = "hidden";
-
-      // Trigger download
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-
-      // Clean up the URL object
-      URL.revokeObjectURL(url);
-
-      // Show success status
-      this.showCSVExportStatus("CSV file downloaded successfully!", "success");
+      return JSON.parse(localStorage.getItem("speed-test-webhooks")) || [];
+    } catch (error) {
+      return [];
+    }
+  }
 
-      // Update main test status
-      this.updateTestStatus(
-        "Test completed - CSV exported successfully",
-        false
-      );
+  /**
+   * Remember the configured webhooks and show them
+   * @param {Object[]} webhooks - Webhook configurations
+   */
+  saveWebhooks(webhooks) {
+    this.webhooks.setWebhooks(webhooks);
+    localStorage.setItem("speed-test-webhooks", JSON.stringify(webhooks));
+    this.renderWebhooks();
+  }
 
-      // Hide CSV status after a delay
-      setTimeout(() => {
-        this.hideCSVExportStatus();
-      }, 3000);
+  /**
+   * Add a webhook from the form fields
+   */
+  addWebhook() {
+    const {
+      webhookUrl,
+      webhookHeaders,
+      webhookTemplate,
+      webhookEveryInterval,
+    } = this.domElements;
+    const url = webhookUrl.value.trim();
+
+    let headers;
+    try {
+      if (!/^https?:\/\//.test(url)) {
+        throw new Error("Enter an http:// or https:// URL");
+      }
+      new URL(url); // Throws for malformed URLs
+      headers = parseWebhookHeaders(webhookHeaders.value);
     } catch (error) {
-      console.error("CSV export failed:", error);
-      this.showCSVExportStatus("Failed to export CSV file", "error");
-      this.updateTestStatus("Test completed - CSV export failed", true);
-
-      // Hide CSV status after a delay
-      setTimeout(() => {
-        this.hideCSVExportStatus();
-      }, 3000);
+      this.updateWebhookStatus(error.message, true);
+      return;
     }
+
+    this.saveWebhooks([
+      ...this.webhooks.webhooks,
+      {
+        url,
+        headers,
+        template: webhookTemplate.value.trim(),
+        everyInterval: webhookEveryInterval.checked,
+      },
+    ]);
+
+    webhookUrl.value = "";
+    webhookHeaders.value = "";
+    webhookTemplate.value = "";
+    webhookEveryInterval.checked = false;
+    this.updateWebhookStatus(`Added ${url}`);
   }
 
   /**
-   * Show the CSV export status indicator
-   * @param {string} message - Message to display
-   * @param {string} type - Type of status: 'loading', 'success', 'error'
+   * Remove a webhook
+   * @param {number} index - Position in the webhook list
    */
-  showCSVExportStatus(message, type = "loading") {
-    const statusEl = this.domElements.csvExportStatus;
-    const messageEl = statusEl.querySelector(".export-message");
-    const iconEl = statusEl.querySelector(".export-icon");
+  removeWebhook(index) {
+    const webhooks = this.webhooks.webhooks.filter((_, i) => i !== index);
+    this.saveWebhooks(webhooks);
+    this.updateWebhookStatus("Webhook removed");
+  }
 
-    // Update message
-    messageEl.textContent = message;
+  /**
+   * List the configured webhooks
+   */
+  renderWebhooks() {
+    const list = this.domElements.webhookList;
+    if (!list) return;
 
-    // Update icon based on type
-    switch (type) {
-      case "loading":
-        iconEl.textContent = "📊";
-        statusEl.className = "csv-export-status";
-        break;
-      case "success":
-        iconEl.textContent = "✅";
-        statusEl.className = "csv-export-status success";
-        break;
-      case "error":
-        iconEl.textContent = "❌";
-        statusEl.className = "csv-export-status error";
-        break;
+    if (this.webhooks.webhooks.length === 0) {
+      list.innerHTML =
+        '<p class="history-empty">No webhooks yet. Completed runs are posted to every webhook added here.</p>';
+      return;
     }
 
-    // Show the status indicator
-    statusEl.style.display = "flex";
+    const rows = this.webhooks.webhooks
+      .map((webhook, index) => {
+        const url = escapeMarkup(webhook.url);
+        const headers = Object.keys(webhook.headers).join(", ");
+        const events = webhook.everyInterval
+          ? "Completion and intervals"
+          : "Completion";
+
+        return `<tr>
+          <th scope="row" class="webhook-url">${url}</th>
+          <td>${headers ? escapeMarkup(headers) : "--"}</td>
+          <td>${webhook.template ? "Template" : "Summary JSON"}</td>
+          <td>${events}</td>
+          <td class="history-actions">
+            <button type="button" class="toggle-btn" data-index="${index}">Remove</button>
+          </td>
+        </tr>`;
+      })
+      .join("");
+
+    list.innerHTML = `<table class="comparison-table">
+      <thead>
+        <tr>
+          <th scope="col">URL</th>
+          <th scope="col">Headers</th>
+          <th scope="col">Payload</th>
+          <th scope="col">Sent on</th>
+          <th scope="col"><span class="visually-hidden">Actions</span></th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
   }
 
   /**
-   * Hide the CSV export status indicator
+   * List recent webhook deliveries, with failures highlighted
    */
-  hideCSVExportStatus() {
-    this.domElements.csvExportStatus.style.display = "none";
+  renderWebhookDeliveries() {
+    const list = this.domElements.webhookDeliveries;
+    if (!list) return;
+
+    const { deliveries } = this.webhooks;
+    if (deliveries.length === 0) {
+      list.innerHTML = "";
+      return;
+    }
+
+    const statusNames = {
+      sending: "Sending",
+      retrying: "Retrying",
+      delivered: "Delivered",
+      failed: "Failed",
+    };
+    const eventNames = {
+      "run.completed": "Run completed",
+      "run.interval": "Interval",
+    };
+    const rows = deliveries
+      .map(
+        (delivery) => `<tr class="webhook-${delivery.status}">
+          <td>${new Date(delivery.time).toLocaleTimeString()}</td>
+          <td>${eventNames[delivery.event]}</td>
+          <td class="webhook-url">${escapeMarkup(delivery.url)}</td>
+          <td>${statusNames[delivery.status]}</td>
+          <td>${delivery.attempts}</td>
+          <td>${escapeMarkup(delivery.error) || "--"}</td>
+        </tr>`
+      )
+      .join("");
+
+    list.innerHTML = `<table class="comparison-table">
+      <caption>Recent deliveries</caption>
+      <thead>
+        <tr>
+          <th scope="col">Time</th>
+          <th scope="col">Event</th>
+          <th scope="col">URL</th>
+          <th scope="col">Status</th>
+          <th scope="col">Attempts</th>
+          <th scope="col">Error</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+
+    const failed = deliveries.filter((d) => d.status === "failed").length;
+    if (failed > 0) {
+      this.updateWebhookStatus(
+        `${failed} of the last ${deliveries.length} deliveries failed`,
+        true
+      );
+    }
   }
 
   /**
-   * Enable or disable the CSV export button
-   * @param {boolean} enabled - Whether to enable the button
+   * Show a message below the webhook form
+   * @param {string} message - Message to display
+   * @param {boolean} isError - Whether to style as error
    */
-  setCSVExportEnabled(enabled) {
-    if (this.domElements.exportCSVBtn) {
-      this.domElements.exportCSVBtn.disabled = !enabled;
-
-      // Update button text based on state
-      const hasData =
-        this.measurementData.download.length > 0 ||
-        this.measurementData.upload.length > 0 ||
-        this.measurementData.ping.length > 0;
+  updateWebhookStatus(message, isError = false) {
+    const statusEl = this.domElements.webhookStatus;
+    if (!statusEl) return;
 
-      if (enabled && hasData) {
-        this.domElements.exportCSVBtn.innerHTML =
-          '<span class="export-icon" aria-hidden="true">📊</span>Export Test Results to CSV';
-      } else {
-        this.domElements.exportCSVBtn.innerHTML =
-          '<span class="export-icon" aria-hidden="true">📊</span>Export Test Results to CSV';
-      }
-    }
+    statusEl.textContent = message;
+    statusEl.classList.toggle("error", isError);
   }
 
   /**
@@ -2459,7 +3398,7 @@ class SpeedTest {
     }
 
     // Calculate the closest data point based on mouse X position
-    const maxTime = Math.max(...this.graphData.timestamps);
+    const maxTime = this.getGraphMaxTime();
     const mouseTime = ((mouseX - padding) / graphWidth) * maxTime;
     
     // Find the closest data point
@@ -2496,10 +3435,35 @@ class SpeedTest {
     const timestamp = this.graphData.timestamps[dataIndex];
     const downloadSpeed = this.graphData.download[dataIndex];
     const uploadSpeed = this.graphData.upload[dataIndex];
-    const pingValue = this.measurementData.ping[dataIndex]; // Get ping from raw data
+    const pingSample = this.measurementData.ping[dataIndex]; // Get ping from raw data
+    const pingValue = pingSample ? pingSample.value : null;
+    const pingDetails =
+      pingSample && pingSample.status === "ok" ? pingSample : null;
+    const failures = this.graphData.failures[dataIndex] || [];
+    const connections = ["download", "upload"]
+      .map((type) => this.measurementData[type][dataIndex])
+      .filter((sample) => sample && sample.connections)
+      .map((sample) => sample.connections);
+    const timings = ["download", "upload", "ping"]
+      .map((type) => [type, this.measurementData[type][dataIndex]])
+      .filter(([, sample]) => sample && sample.timing);
+
+    const server = this.comparison
+      ? this.comparison.backends.find(
+          (backend) => backend.id === this.graphData.servers[dataIndex]
+        )
+      : null;
 
     // Format tooltip content based on test type
     let content = `<div class="tooltip-time">${timestamp.toFixed(1)}s elapsed</div>`;
+
+    // Name the server measured in this interval when comparing
+    if (server) {
+      content += `<div class="tooltip-metric">
+        <span class="metric-label">Server:</span>
+        <span class="metric-value">${escapeMarkup(server.name)}</span>
+      </div>`;
+    }
     
     // Show download speed if test includes downloads and data exists
     if ((testType === "download" || testType === "both") && downloadSpeed !== null && downloadSpeed > 0) {
@@ -2516,7 +3480,35 @@ class SpeedTest {
         <span class="metric-value upload">${uploadSpeed.toFixed(1)} Mbps</span>
       </div>`;
     }
+
+    // Show the baseline speeds at the same time since start
+    const baselineIndex = this.findBaselineIndex(timestamp);
+    if (baselineIndex !== null) {
+      const baselineData = this.baseline.results.graphData;
+      const baselineSpeeds = ["download", "upload"]
+        .filter((type) => testType === type || testType === "both")
+        .map((type) => baselineData[type][baselineIndex])
+        .filter((value) => value !== undefined && value !== null && value > 0)
+        .map((value) => value.toFixed(1));
+
+      if (baselineSpeeds.length > 0) {
+        content += `<div class="tooltip-metric">
+          <span class="metric-label">Baseline:</span>
+          <span class="metric-value">${baselineSpeeds.join(" / ")} Mbps</span>
+        </div>`;
+      }
+    }
     
+    // Show the parallel connection count(s) used for the interval
+    if (connections.length > 0) {
+      content += `<div class="tooltip-metric">
+        <span class="metric-label">Connections:</span>
+        <span class="metric-value">${escapeMarkup(
+          connections.join(" / ")
+        )}</span>
+      </div>`;
+    }
+
     // Show ping if data exists
     if (pingValue !== null && pingValue > 0) {
       content += `<div class="tooltip-metric">
@@ -2525,6 +3517,43 @@ class SpeedTest {
       </div>`;
     }
 
+    // Show latency probe details for the interval
+    if (pingDetails) {
+      content += `<div class="tooltip-metric">
+        <span class="metric-label">Jitter:</span>
+        <span class="metric-value ping">${pingDetails.jitter.toFixed(1)} ms</span>
+      </div>
+      <div class="tooltip-metric">
+        <span class="metric-label">Loss:</span>
+        <span class="metric-value ping">${pingDetails.lost} of ${pingDetails.sent}</span>
+      </div>
+      <div class="tooltip-metric">
+        <span class="metric-label">Load:</span>
+        <span class="metric-value ping">${escapeMarkup(
+          pingDetails.load || "idle"
+        )}</span>
+      </div>`;
+    }
+
+    // Break request time down into network phases
+    timings.forEach(([type, sample]) => {
+      const label = type.charAt(0).toUpperCase() + type.slice(1);
+      content += `<div class="tooltip-timing">${label}: ${escapeMarkup(
+        this.formatTimingSummary(sample.timing)
+      )}</div>`;
+    });
+
+    // Explain failed measurements in this interval
+    failures.forEach((failure) => {
+      const label =
+        failure.type.charAt(0).toUpperCase() + failure.type.slice(1);
+      content += `<div class="tooltip-metric">
+        <span class="metric-label">${escapeMarkup(label)}:</span>
+        <span class="metric-value failed">${escapeMarkup(failure.status)}</span>
+      </div>
+      <div class="tooltip-reason">${escapeMarkup(failure.reason)}</div>`;
+    });
+
     // Update tooltip content and position
     tooltip.querySelector('.tooltip-content').innerHTML = content;
     
@@ -2541,6 +3570,36 @@ class SpeedTest {
     tooltip.classList.add('visible');
   }
 
+  /**
+   * Describe an interval's network phases in one line
+   * @param {Object} timing - Summary from summarizeRequestTimings
+   * @returns {string} e.g. "h2, DNS 12 · TCP 20 · TLS 31 · TTFB 45 · transfer 2980 ms"
+   */
+  formatTimingSummary(timing) {
+    const format = (value) => (value === null ? "--" : value.toFixed(0));
+    const phases = [];
+
+    if (timing.ttfb === null) {
+      return `${timing.protocol || "unknown protocol"}, phases hidden by server`;
+    }
+
+    if (timing.newConnections > 0) {
+      phases.push(
+        `DNS ${format(timing.dns)}`,
+        `TCP ${format(timing.tcp)}`,
+        `TLS ${format(timing.tls)}`
+      );
+    } else {
+      phases.push("reused connection");
+    }
+    phases.push(
+      `TTFB ${format(timing.ttfb)}`,
+      `transfer ${format(timing.transfer)} ms`
+    );
+
+    return `${timing.protocol || "unknown protocol"}, ${phases.join(" · ")}`;
+  }
+
   /**
    * Hide the tooltip
    */
@@ -2553,8 +3612,9 @@ class SpeedTest {
 }
 
 // Initialize the speed test when DOM is loaded
+// (server.js sets window.speedTestOptions to use itself as the backend)
 document.addEventListener("DOMContentLoaded", () => {
-  window.speedTest = new SpeedTest();
+  window.speedTest = new SpeedTest(window.speedTestOptions);
 });
 
 // Handle window resize for graph
@@ -0,0 +1,272 @@
+/**
+ * Reference Speed Test Server
+ *
+ * A dependency-free Node.js HTTP server implementing the endpoints the app
+ * relies on, so tests can run entirely on a LAN or lab network:
+ *
+ * - GET  /__down?bytes=N  Streams N bytes of generated data
+ * - POST /__up            Accepts and discards an upload, reports bytes received
+ * - GET  /__ping          Empty response used as a latency target
+ *
+ * It also serves index.html, script.js and the other app files. Pages served
+ * from here default to this server as their backend, so no public endpoint is
+ * contacted. Automated tests can start it on an ephemeral port with
+ * `createServer()` and point an EchoServerBackend at it.
+ *
+ * Usage: node server.js [--port 8080] [--host 0.0.0.0]
+ */
+
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = "0.0.0.0";
+
+// Largest payload a single download request may ask for (1 GiB)
+const MAX_DOWNLOAD_BYTES = 1024 * 1024 * 1024;
+
+// Downloads repeat one block of random data to avoid per-request generation cost
+const PAYLOAD_BLOCK = crypto.randomBytes(64 * 1024);
+
+const STATIC_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+};
+
+// Makes pages served from this server measure against it by default
+const LOCAL_BACKEND_SNIPPET =
+  '<script>window.speedTestOptions = { backend: { type: "echo", name: "Local Server", baseUrl: "" } };</script>';
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, OPTIONS",
+  "Access-Control-Allow-Headers": "*",
+  "Access-Control-Max-Age": "86400",
+  // Expose detailed Resource Timing data to cross-origin pages
+  "Timing-Allow-Origin": "*",
+};
+
+/**
+ * Create the speed test HTTP server
+ * @param {Object} options - Server options
+ * @param {string} options.root - Directory the app files are served from
+ * @returns {http.Server} Server instance (not yet listening)
+ */
+function createServer({ root = __dirname } = {}) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    for (const [name, value] of Object.entries(CORS_HEADERS)) {
+      res.setHeader(name, value);
+    }
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    switch (url.pathname) {
+      case "/__down":
+        handleDownload(req, res, url);
+        break;
+      case "/__up":
+        handleUpload(req, res);
+        break;
+      case "/__ping":
+        handlePing(req, res);
+        break;
+      default:
+        handleStatic(req, res, url, root);
+    }
+  });
+}
+
+/**
+ * Stream the requested number of bytes, respecting backpressure
+ */
+function handleDownload(req, res, url) {
+  const bytes = Number(url.searchParams.get("bytes") || 0);
+
+  if (!Number.isInteger(bytes) || bytes < 0 || bytes > MAX_DOWNLOAD_BYTES) {
+    sendText(
+      res,
+      400,
+      `bytes must be an integer between 0 and ${MAX_DOWNLOAD_BYTES}`
+    );
+    return;
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "application/octet-stream",
+    "Content-Length": bytes,
+    "Cache-Control": "no-store",
+  });
+
+  let remaining = bytes;
+
+  const write = () => {
+    while (remaining > 0) {
+      const chunk =
+        remaining >= PAYLOAD_BLOCK.length
+          ? PAYLOAD_BLOCK
+          : PAYLOAD_BLOCK.subarray(0, remaining);
+      remaining -= chunk.length;
+
+      if (!res.write(chunk)) {
+        res.once("drain", write);
+        return;
+      }
+    }
+    res.end();
+  };
+
+  // Stop generating data if the client goes away mid-transfer
+  res.on("close", () => {
+    remaining = 0;
+  });
+
+  write();
+}
+
+/**
+ * Drain an upload body and report how many bytes arrived
+ */
+function handleUpload(req, res) {
+  if (req.method !== "POST" && req.method !== "PUT") {
+    sendText(res, 405, "Use POST or PUT to upload");
+    return;
+  }
+
+  let received = 0;
+
+  req.on("data", (chunk) => {
+    received += chunk.length;
+  });
+
+  req.on("end", () => {
+    res.writeHead(200, {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-store",
+    });
+    res.end(JSON.stringify({ received }));
+  });
+
+  req.on("error", () => {
+    res.destroy();
+  });
+}
+
+/**
+ * Answer latency probes with an empty response
+ */
+function handlePing(req, res) {
+  res.writeHead(204, { "Cache-Control": "no-store" });
+  res.end();
+}
+
+/**
+ * Serve app files from the root directory
+ */
+function handleStatic(req, res, url, root) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    sendText(res, 405, "Method not allowed");
+    return;
+  }
+
+  const pathname = url.pathname === "/" ? "/index.html" : url.pathname;
+
+  let filePath;
+  try {
+    filePath = path.resolve(root, "." + decodeURIComponent(pathname));
+  } catch (error) {
+    sendText(res, 400, "Malformed path");
+    return;
+  }
+
+  const contentType = STATIC_TYPES[path.extname(filePath)];
+
+  // Refuse anything outside the root or with an unknown file type
+  if (!filePath.startsWith(path.resolve(root) + path.sep) || !contentType) {
+    sendText(res, 404, "Not found");
+    return;
+  }
+
+  fs.readFile(filePath, (error, data) => {
+    if (error) {
+      sendText(res, 404, "Not found");
+      return;
+    }
+
+    let body = data;
+    if (path.basename(filePath) === "index.html") {
+      body = data
+        .toString("utf8")
+        .replace("</head>", `  ${LOCAL_BACKEND_SNIPPET}\n</head>`);
+    }
+
+    res.writeHead(200, {
+      "Content-Type": contentType,
+      "Cache-Control": "no-cache",
+    });
+    res.end(req.method === "HEAD" ? undefined : body);
+  });
+}
+
+function sendText(res, status, message) {
+  res.writeHead(status, { "Content-Type": "text/plain; charset=utf-8" });
+  res.end(message);
+}
+
+/**
+ * Parse --port and --host command line flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{port: number, host: string}} Listen options
+ */
+function parseArgs(argv) {
+  const options = {
+    port: Number(process.env.PORT) || DEFAULT_PORT,
+    host: process.env.HOST || DEFAULT_HOST,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--port") options.port = Number(argv[++i]);
+    if (argv[i] === "--host") options.host = argv[++i];
+  }
+
+  return options;
+}
+
+/**
+ * List the addresses other devices on the network can reach the server at
+ * @param {number} port - Listening port
+ * @returns {string[]} URLs for each external IPv4 interface
+ */
+function getLanUrls(port) {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter((iface) => iface && iface.family === "IPv4" && !iface.internal)
+    .map((iface) => `http://${iface.address}:${port}/`);
+}
+
+if (require.main === module) {
+  const { port, host } = parseArgs(process.argv.slice(2));
+  const server = createServer();
+
+  server.listen(port, host, () => {
+    console.log(`Speed test server listening on http://localhost:${port}/`);
+    for (const url of getLanUrls(port)) {
+      console.log(`  LAN: ${url}`);
+    }
+  });
+}
+
+module.exports = { createServer, MAX_DOWNLOAD_BYTES };
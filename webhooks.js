@@ -0,0 +1,334 @@
+/**
+ * Speed Test Webhooks
+ *
+ * Posts a JSON summary of a run to user-configured URLs when the run
+ * completes and, for webhooks that ask for it, after every interval of a
+ * continuous run. Each webhook has a URL, optional request headers and an
+ * optional payload template with {{placeholders}} for the summary fields.
+ *
+ * Failed deliveries are retried with a doubling delay; every delivery is kept
+ * in a short log so the page can show what was sent and what failed.
+ */
+
+class WebhookDispatcher {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {Object[]} options.webhooks - Initial webhooks, see setWebhooks()
+   * @param {number} options.maxAttempts - Attempts per delivery, including the
+   *   first
+   * @param {number} options.retryDelay - Delay before the first retry in ms,
+   *   doubled for each further retry
+   * @param {number} options.timeout - Time to wait for a response in ms
+   * @param {number} options.logSize - Deliveries kept in the log
+   * @param {Function} options.onUpdate - Called with the delivery whenever one
+   *   starts, is retried, succeeds or fails
+   */
+  constructor(options = {}) {
+    this.webhooks = options.webhooks || [];
+    this.maxAttempts = options.maxAttempts || 4;
+    this.retryDelay = options.retryDelay || 2000;
+    this.timeout = options.timeout || 10000;
+    this.logSize = options.logSize || 20;
+    this.onUpdate = options.onUpdate || (() => {});
+    this.deliveries = []; // Recent deliveries, newest first
+    this.nextDeliveryId = 1;
+  }
+
+  /**
+   * Replace the configured webhooks
+   * @param {Array<{url: string, headers: Object, template: string, everyInterval: boolean}>} webhooks -
+   *   Webhooks; headers map names to values, an empty template sends the
+   *   summary as is and everyInterval also sends each interval of continuous
+   *   runs
+   */
+  setWebhooks(webhooks) {
+    this.webhooks = webhooks;
+  }
+
+  /**
+   * Check whether any webhook wants interval updates
+   * @returns {boolean} True when interval payloads need to be built
+   */
+  hasIntervalWebhooks() {
+    return this.webhooks.some((webhook) => webhook.everyInterval);
+  }
+
+  /**
+   * Post the summary of a completed run to every webhook
+   * @param {SpeedTestResults} results - Results of the run
+   * @param {string} name - Run name, if any
+   * @returns {Promise<Object[]>} Deliveries once all have succeeded or failed
+   */
+  sendRunComplete(results, name) {
+    const payload = this.buildPayload("run.completed", results, name);
+    return Promise.all(
+      this.webhooks.map((webhook) => this.deliver(webhook, payload))
+    );
+  }
+
+  /**
+   * Post the latest interval of a continuous run to the webhooks that want it
+   * @param {SpeedTestResults} results - Results of the run so far
+   * @param {Object} sample - Sample event detail of the interval
+   * @param {string} name - Run name, if any
+   * @returns {Promise<Object[]>} Deliveries once all have succeeded or failed
+   */
+  sendInterval(results, sample, name) {
+    const payload = {
+      ...this.buildPayload("run.interval", results, name),
+      interval: {
+        timestamp: new Date(
+          results.startTime + sample.timestamp * 1000
+        ).toISOString(),
+        relativeTime: sample.timestamp,
+        download: sample.download && sample.download.value,
+        upload: sample.upload && sample.upload.value,
+        ping: sample.ping.value,
+        failures: sample.failures.map(({ type, status, reason }) => ({
+          type,
+          status,
+          reason,
+        })),
+      },
+    };
+
+    return Promise.all(
+      this.webhooks
+        .filter((webhook) => webhook.everyInterval)
+        .map((webhook) => this.deliver(webhook, payload))
+    );
+  }
+
+  /**
+   * Summarize a run for a webhook payload
+   * @param {string} event - 'run.completed' or 'run.interval'
+   * @param {SpeedTestResults} results - Results of the run
+   * @param {string} name - Run name, if any
+   * @returns {Object} Event, run times, settings, server, headline figures,
+   *   the full statistics and a one-line text summary for chat relays
+   */
+  buildPayload(event, results, name) {
+    const statistics = results.summarize();
+    const endTime = results.endTime || Date.now();
+    const average = (type) => (statistics[type] ? statistics[type].avg : null);
+    const summary = {
+      download: average("download"),
+      upload: average("upload"),
+      ping: statistics.latency ? statistics.latency.median : null,
+      jitter: statistics.latency ? statistics.latency.jitter : null,
+      loss: statistics.latency ? statistics.latency.loss : null,
+      stability: statistics.stability,
+      bufferbloat: statistics.bufferbloat.grade,
+      failedIntervals: statistics.failures.intervals,
+      intervals: statistics.failures.totalIntervals,
+    };
+
+    return {
+      event,
+      name: name || null,
+      startTime: new Date(results.startTime).toISOString(),
+      endTime:
+        event === "run.completed" ? new Date(endTime).toISOString() : null,
+      duration: (endTime - results.startTime) / 1000,
+      settings: results.settings,
+      server: results.describeServers(),
+      summary,
+      text: describeSummary(summary, results.describeServers()),
+      statistics,
+    };
+  }
+
+  /**
+   * Render the request body for a webhook
+   * Placeholders such as {{summary.download}} or {{text}} are replaced by the
+   * payload value at that path, see formatPlaceholder().
+   * @param {Object} webhook - Webhook configuration
+   * @param {Object} payload - Payload from buildPayload()
+   * @returns {string} Request body
+   */
+  renderBody(webhook, payload) {
+    if (!webhook.template || !webhook.template.trim()) {
+      return JSON.stringify(payload);
+    }
+
+    return webhook.template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) =>
+      formatPlaceholder(
+        path
+          .split(".")
+          .reduce(
+            (value, key) =>
+              value !== null && value !== undefined ? value[key] : undefined,
+            payload
+          )
+      )
+    );
+  }
+
+  /**
+   * Deliver a payload to one webhook, retrying failures
+   * Network errors, timeouts, 429 and 5xx responses are retried; other
+   * responses are final.
+   * @param {Object} webhook - Webhook configuration
+   * @param {Object} payload - Payload from buildPayload()
+   * @returns {Promise<Object>} Delivery with its final status
+   */
+  async deliver(webhook, payload) {
+    const delivery = {
+      id: this.nextDeliveryId++,
+      url: webhook.url,
+      event: payload.event,
+      status: "sending", // sending, retrying, delivered or failed
+      attempts: 0,
+      error: "",
+      time: Date.now(),
+    };
+    this.deliveries.unshift(delivery);
+    this.deliveries.length = Math.min(this.deliveries.length, this.logSize);
+
+    let body;
+    try {
+      body = this.renderBody(webhook, payload);
+    } catch (error) {
+      return this.finishDelivery(delivery, "failed", error.message);
+    }
+
+    while (delivery.attempts < this.maxAttempts) {
+      delivery.attempts++;
+      this.onUpdate(delivery);
+
+      const { ok, retry, error } = await this.post(webhook, body);
+      if (ok) {
+        return this.finishDelivery(delivery, "delivered", "");
+      }
+
+      delivery.error = error;
+      if (!retry || delivery.attempts >= this.maxAttempts) break;
+
+      delivery.status = "retrying";
+      this.onUpdate(delivery);
+      await new Promise((resolve) =>
+        setTimeout(resolve, this.retryDelay * 2 ** (delivery.attempts - 1))
+      );
+    }
+
+    return this.finishDelivery(delivery, "failed", delivery.error);
+  }
+
+  /**
+   * Send one request to a webhook
+   * @param {Object} webhook - Webhook configuration
+   * @param {string} body - Request body
+   * @returns {Promise<{ok: boolean, retry: boolean, error: string}>} Outcome,
+   *   and whether a failure is worth retrying
+   */
+  async post(webhook, body) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...webhook.headers },
+        body,
+        signal: controller.signal,
+      });
+
+      if (response.ok) return { ok: true, retry: false, error: "" };
+      return {
+        ok: false,
+        retry: response.status === 429 || response.status >= 500,
+        error: `HTTP ${response.status}`,
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        retry: true,
+        error:
+          error.name === "AbortError"
+            ? "Request timed out"
+            : "Network error (offline, unreachable or blocked by CORS)",
+      };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Record the outcome of a delivery
+   * @param {Object} delivery - Delivery log entry
+   * @param {string} status - 'delivered' or 'failed'
+   * @param {string} error - Failure reason
+   * @returns {Object} The delivery
+   */
+  finishDelivery(delivery, status, error) {
+    delivery.status = status;
+    delivery.error = error;
+    this.onUpdate(delivery);
+    return delivery;
+  }
+}
+
+/**
+ * Parse request headers entered one per line as "Name: value"
+ * @param {string} text - Header lines
+ * @returns {Object} Header values by name
+ * @throws {Error} When a non-empty line has no name
+ */
+function parseWebhookHeaders(text) {
+  const headers = {};
+
+  text
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .forEach((line) => {
+      const separator = line.indexOf(":");
+      if (separator <= 0) {
+        throw new Error(`Header "${line.trim()}" must look like Name: value`);
+      }
+      headers[line.slice(0, separator).trim()] = line
+        .slice(separator + 1)
+        .trim();
+    });
+
+  return headers;
+}
+
+/**
+ * Format a payload value for a template placeholder
+ * @param {*} value - Value at the placeholder's path
+ * @returns {string} Strings escaped for use inside a JSON string, numbers
+ *   rounded to two decimals, objects as JSON and missing values as null
+ */
+function formatPlaceholder(value) {
+  if (value === null || value === undefined) return "null";
+  if (typeof value === "string") return JSON.stringify(value).slice(1, -1);
+  if (typeof value === "number") return String(Number(value.toFixed(2)));
+  return JSON.stringify(value);
+}
+
+/**
+ * Describe the headline figures in one line, e.g. for a chat message
+ * @param {Object} summary - Summary from buildPayload()
+ * @param {string} server - Server description
+ * @returns {string} e.g. "Speed test via Cloudflare: 245.3 Mbps down, ..."
+ */
+function describeSummary(summary, server) {
+  const format = (value, unit, digits = 1) =>
+    value !== null ? `${value.toFixed(digits)}${unit}` : "--";
+  const parts = [
+    `${format(summary.download, " Mbps")} down`,
+    `${format(summary.upload, " Mbps")} up`,
+    `${format(summary.ping, " ms", 0)} ping`,
+  ];
+  if (summary.failedIntervals > 0) {
+    parts.push(
+      `${summary.failedIntervals} of ${summary.intervals} intervals failed`
+    );
+  }
+
+  return `Speed test via ${server}: ${parts.join(", ")}`;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { WebhookDispatcher, parseWebhookHeaders };
+}
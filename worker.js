@@ -0,0 +1,36 @@
+/**
+ * Speed Test Worker
+ *
+ * Hosts a SpeedTestEngine off the main thread. The page talks to it through
+ * SpeedTestWorkerClient:
+ *
+ * - in:  {command: "init", args: [options]} once, then {command, args} for
+ *        start, stop, setMeasurementInterval and setBackend
+ * - out: {type: "ready"} after init, then {type, detail} for every engine event
+ */
+
+importScripts("backends.js", "engine.js");
+
+const COMMANDS = ["start", "stop", "setMeasurementInterval", "setBackend"];
+
+let engine = null;
+
+self.onmessage = ({ data }) => {
+  const { command, args = [] } = data;
+
+  if (command === "init") {
+    engine = new SpeedTestEngine(...args);
+    for (const type of SpeedTestEngine.EVENTS) {
+      engine.on(type, (detail) => self.postMessage({ type, detail }));
+    }
+    self.postMessage({ type: "ready" });
+    return;
+  }
+
+  if (!engine || !COMMANDS.includes(command)) {
+    console.error(`Unexpected speed test worker command: ${command}`);
+    return;
+  }
+
+  engine[command](...args);
+};